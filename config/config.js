@@ -0,0 +1,15 @@
+// config/config.js
+// Koneksi DB untuk sequelize-cli (migrations/); env sama dengan models/index.js.
+require('dotenv').config();
+
+const db = {
+  username: process.env.MYSQLUSER,
+  password: process.env.MYSQLPASSWORD,
+  database: process.env.MYSQLDATABASE,
+  host: process.env.MYSQLHOST,
+  port: Number(process.env.MYSQLPORT || 3306),
+  dialect: 'mysql',
+  logging: false,
+};
+
+module.exports = { development: db, test: db, production: db };
@@ -6,14 +6,38 @@ const cors = require('cors');
 const puppeteer = require('puppeteer');
 const axios = require('axios');
 const cheerio = require('cheerio');
-const { sequelize, News, HistoricalData } = require('./models');
+const { sequelize, News, HistoricalData, NewsTag, Author, NewsRevision, ScrapeRun, NewsLangReview } = require('./models');
 const Redis = require('ioredis');
 const helmet = require('helmet');
 const compression = require('compression');
 const rateLimit = require('express-rate-limit');
 const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
 const NodeCache = require('node-cache');
 const { XMLParser } = require('fast-xml-parser');
+const { normalizeSearch, searchTerms, buildBooleanQuery, makeSnippet } = require('./services/search');
+const { FEED_FORMATS, renderFeed, buildNewsSitemap } = require('./services/feeds');
+const { classifyUserAgent, renderSharePage } = require('./services/share');
+const { extractKeywords, rankRelated } = require('./services/related');
+const { INSTRUMENTS, tagArticle, resolveTag } = require('./services/tagging');
+const { NEWS_CATEGORIES, categoryById, resolveCategoryFromLabel, topicForCategory } = require('./services/categories');
+const { TRACKED_FIELDS, diffNewsRows } = require('./services/revisions');
+const { defineSource, BUILTIN_SOURCES } = require('./sources');
+const { createJobQueue, JobDeferredError } = require('./services/queue');
+const { registerJobRun, scrapeJob } = require('./services/jobRuns');
+const { createSnapshots } = require('./services/snapshots');
+const { pendingMigrations } = require('./services/schemaMigrations');
+const { parseHistoricalTable, parseCalendarDocument } = require('./services/pageParsers');
+const { parsePublishedAt, normalizeSpace, HTML_HEADERS, makeHtmlHeaders, isWafOrChallenge, delay, retryRequest, runParallelWithLimit } = require('./services/scrapeHelpers');
+const { createParserHealth } = require('./services/parserHealth');
+const { createNewsCollector } = require('./services/newsCollector');
+const { parseArticleBody } = require('./services/articleBody');
+const { createImageStore, HASH_RE: IMAGE_HASH_RE } = require('./services/images');
+const { createTranslator } = require('./services/translate');
+const { detectLanguage } = require('./services/langdetect');
+const { simhash } = require('./services/simhash');
+const { nearestStory, claimStoryPush } = require('./services/storyClusters');
+const { loadScheduleConfig, cronMatches, zonedParts, skipReason, nextRun, burstEvents } = require('./services/schedule');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -31,6 +55,13 @@ if (!admin.apps.length) {
 }
 const fcm = admin.messaging();
 
+/** ===================== Upstream record/replay (snapshots) ==================== */
+// SCRAPE_MODE=off|record|replay, SNAPSHOT_DIR (default ./snapshots). Semua GET ke upstream lewat `upstream`,
+// navigasi puppeteer lewat snapshots.gotoPage — lihat services/snapshots.js.
+const snapshots = createSnapshots({ mode: (process.env.SCRAPE_MODE || 'off').toLowerCase(), dir: process.env.SNAPSHOT_DIR || 'snapshots' });
+const upstream = snapshots.http(axios);
+if (snapshots.mode !== 'off') console.log(`📼 Scrape mode ${snapshots.mode.toUpperCase()} (${snapshots.dir})`);
+
 /** ========================== Puppeteer Singleton =========================== */
 let _browserPromise = null;
 
@@ -68,16 +99,9 @@ async function closeBrowser() {
 
 /** ===================== TOPIC MAP & PUSH (per-BAHASA) ===================== */
 
-// peta kategori -> topic dasar (tanpa suffix bahasa)
+// peta kategori -> topic dasar (tanpa suffix bahasa); terima category_id atau label bebas
 function topicBaseFor(category = '') {
-  const c = (category || '').toLowerCase();
-  if (c.includes('commodity')) return 'news_commodity';
-  if (c.includes('currenc')) return 'news_currencies';
-  if (c.includes('index')) return 'news_index';
-  if (c.includes('crypto')) return 'news_crypto';
-  if (c.includes('economy') || c.includes('fiscal')) return 'news_economy';
-  if (c.includes('analysis')) return 'news_analysis';
-  return 'news_all';
+  return topicForCategory(category);
 }
 function resolveLang(lang) {
   const l = String(lang || '').toLowerCase();
@@ -93,9 +117,11 @@ async function alreadyPushed(redis, key) {
 
 // ⛳️ kirim ke 2 topic: (1) per-bahasa (news_id/news_en) — WAJIB untuk app kamu
 //                        (2) per-kategori+bahasa (news_crypto_id) — OPSIONAL
-async function pushNews({ id, title, summary, image, category, language = 'id' }) {
+async function pushNews({ id, title, summary, image, imageHash, category, categoryId, language = 'id' }) {
   const lang = resolveLang(language);
-  const baseTopic = topicBaseFor(category);
+  // varian push (1024×512 JPEG) dari image store; tanpa PUBLIC_BASE_URL → original
+  image = pushImageUrl({ image_hash: imageHash, category_id: categoryId || resolveCategoryFromLabel(category)?.id }) || image;
+  const baseTopic = topicBaseFor(categoryId || category);
   const topicLangOnly = `news_${lang}`;
   const topicCatLang = `${baseTopic}_${lang}`;
 
@@ -162,6 +188,17 @@ const limiter = rateLimit({
 });
 app.use(limiter);
 
+// admin API: ADMIN_TOKEN wajib di-set (Authorization: Bearer <token> atau x-admin-token)
+function requireAdmin(req, res, next) {
+  const expected = process.env.ADMIN_TOKEN;
+  if (!expected) return res.status(503).json({ error: 'Admin API disabled (ADMIN_TOKEN not set)' });
+  const given = String(req.get('x-admin-token') || (req.get('authorization') || '').replace(/^Bearer\s+/i, ''));
+  const a = crypto.createHash('sha256').update(given).digest();
+  const b = crypto.createHash('sha256').update(expected).digest();
+  if (!given || !crypto.timingSafeEqual(a, b)) return res.status(401).json({ error: 'Unauthorized' });
+  return next();
+}
+
 // global safety nets
 process.on('unhandledRejection', (reason) => console.error('🧯 Unhandled Rejection:', reason));
 process.on('uncaughtException', (err) => console.error('🧯 Uncaught Exception:', err));
@@ -189,8 +226,16 @@ redis.on('error', (err) => console.error('❌ Redis error:', err));
 (async () => {
   try {
     await sequelize.authenticate();
-    await sequelize.sync();
-    console.log('✅ MySQL connected & synced!');
+    // skema dibuat/diubah lewat `npm run migrate` (migrations/), bukan saat boot
+    const pending = await pendingMigrations(sequelize);
+    if (pending.length) {
+      console.error(`❌ ${pending.length} pending migration(s): ${pending.join(', ')} → run "npm run migrate" first`);
+      process.exit(1);
+    }
+    console.log('✅ MySQL connected, schema up to date');
+    const n = await loadAuthors();
+    console.log(`✍️ Authors loaded (${n})`);
+    await cleanupScrapeRuns();
   } catch (err) {
     console.error('❌ MySQL error:', err.message);
   }
@@ -205,88 +250,125 @@ redis.on('error', (err) => console.error('❌ Redis error:', err));
 })();
 
 // ================================ helpers =================================
-const MONTHS_EN = { jan: 0, january: 0, feb: 1, february: 1, mar: 2, march: 2, apr: 3, april: 3, may: 4, jun: 5, june: 5, jul: 6, july: 6, aug: 7, august: 7, sep: 8, sept: 8, september: 8, oct: 9, october: 9, nov: 10, november: 10, dec: 11, december: 11 };
-const MONTHS_ID = { jan: 0, januari: 0, feb: 1, februari: 1, mar: 2, maret: 2, apr: 3, april: 3, mei: 4, jun: 5, juni: 5, jul: 6, juli: 6, agu: 7, agustus: 7, agst: 7, sep: 8, september: 8, okt: 9, oktober: 9, nov: 10, november: 10, des: 11, desember: 11 };
-
-function parsePublishedAt(dateStr = '', lang = 'en') {
-  const s = String(dateStr).trim().replace(/\s+/g, ' ');
-  if (!s) return null;
-  const m = s.match(/^(\d{1,2})\s+([A-Za-z\.]+)\s+(\d{4})(?:\s+(\d{1,2}):(\d{2}))?$/);
-  if (!m) return null;
-  const day = parseInt(m[1], 10);
-  const monRaw = m[2].toLowerCase().replace(/\./g, '');
-  const year = parseInt(m[3], 10);
-  const hourLocal = m[4] ? parseInt(m[4], 10) : 12;
-  const minuteLocal = m[5] ? parseInt(m[5], 10) : 0;
-
-  const map = (lang || '').toLowerCase() === 'id' ? MONTHS_ID : MONTHS_EN;
-  const altMap = map === MONTHS_ID ? MONTHS_EN : MONTHS_ID;
-  let month = map[monRaw];
-  if (month == null) month = altMap[monRaw];
-  if (month == null || !Number.isFinite(day) || !Number.isFinite(year)) return null;
-
-  const WIB_OFFSET = 7;
-  const dtUtc = new Date(Date.UTC(year, month, day, hourLocal - WIB_OFFSET, minuteLocal, 0));
-  return Number.isNaN(+dtUtc) ? null : dtUtc;
-}
-
 function ensureDate(d) {
   const x = d instanceof Date ? d : new Date(d);
   return Number.isNaN(+x) ? new Date() : x;
 }
-function normalizeSpace(s) { return (s || '').replace(/\s+/g, ' ').trim(); }
-
-const HTML_HEADERS = {
-  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/125.0.0.0 Safari/537.36',
-  'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-  'Accept-Language': 'en-US,en;q=0.9,id;q=0.8',
-  'Cache-Control': 'no-cache',
-  'Pragma': 'no-cache',
-  'Connection': 'keep-alive',
-  'Upgrade-Insecure-Requests': '1',
-  'DNT': '1',
-};
-function makeHtmlHeaders(lang = 'en') {
-  const isID = (lang || '').toLowerCase() === 'id';
-  return { ...HTML_HEADERS, 'Accept-Language': isID ? 'id-ID,id;q=1,en;q=0.5' : 'en-US,en;q=1,id;q=0.5' };
-}
-function isWafOrChallenge($) {
-  const t = $.text().toLowerCase();
-  const ttl = $('title').text().toLowerCase();
-  return (
-    t.includes('access denied') ||
-    t.includes('forbidden') ||
-    t.includes('request blocked') ||
-    t.includes('captcha') ||
-    ttl.includes('forbidden') ||
-    ttl.includes('blocked')
-  );
-}
-const delay = (ms) => new Promise((r) => setTimeout(r, ms));
-async function retryRequest(fn, retries = 3, delayMs = 500) {
-  try { return await fn(); }
-  catch (err) {
-    if (retries === 0) throw err;
-    await delay(delayMs);
-    return retryRequest(fn, retries - 1, delayMs * 2);
+
+// ---- conditional GET ke upstream: ETag / Last-Modified per URL disimpan di redis ----
+// Validator baru TIDAK langsung disimpan; caller panggil commit() setelah isinya benar-benar diproses,
+// supaya run yang gagal di tengah tidak membuat run berikutnya dapat 304 lalu melewatkan item.
+const httpCondKey = (url) => `http:cond:${crypto.createHash('sha1').update(url).digest('hex')}`;
+async function conditionalGet(url, config = {}) {
+  let saved = null;
+  // record/replay butuh body utuh → tanpa validator
+  if (snapshots.mode === 'off') {
+    try { saved = JSON.parse((await redis.get(httpCondKey(url))) || 'null'); } catch { }
   }
+  const headers = { ...(config.headers || {}) };
+  if (saved?.etag) headers['If-None-Match'] = saved.etag;
+  if (saved?.lastModified) headers['If-Modified-Since'] = saved.lastModified;
+
+  const res = await upstream.get(url, { ...config, headers, validateStatus: (s) => (s >= 200 && s < 300) || s === 304 });
+  if (res.status === 304) return { notModified: true, data: null, commit: async () => { } };
+
+  const etag = res.headers?.etag || null;
+  const lastModified = res.headers?.['last-modified'] || null;
+  const commit = async () => {
+    if ((!etag && !lastModified) || snapshots.mode !== 'off') return;
+    await redis.set(httpCondKey(url), JSON.stringify({ etag, lastModified }), 'EX', 7 * 24 * 3600);
+  };
+  return { notModified: false, data: res.data, commit };
 }
-function sendWithETag(req, res, payload, maxAgeSec = 30) {
-  const body = JSON.stringify(payload);
+
+function sendBodyWithETag(req, res, body, contentType, maxAgeSec = 30) {
   const etag = crypto.createHash('md5').update(body).digest('hex');
   res.set('ETag', etag);
   res.set('Cache-Control', `public, max-age=${maxAgeSec}, stale-while-revalidate=60`);
   if (req.headers['if-none-match'] === etag) return res.status(304).end();
-  return res.json(payload);
+  return res.type(contentType).send(body);
+}
+function sendWithETag(req, res, payload, maxAgeSec = 30) {
+  return sendBodyWithETag(req, res, JSON.stringify(payload), 'application/json; charset=utf-8', maxAgeSec);
 }
-function makeNewsCacheKey({ lang, category, search, page, limit, fields }) {
+// base URL publik (untuk link absolut di feed/sitemap); PUBLIC_BASE_URL override kalau di belakang proxy
+function publicBaseUrl(req) {
+  return (process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+}
+function makeNewsCacheKey({ lang, category, search, page, limit, fields, cursor, withCount = true, from, to, tags, author, collapse = false }) {
   const f = (fields || '').split(',').map(s => s.trim()).sort().join('|');
   const c = category || 'all';
   const s = (search || '').trim();
   const qhash = crypto.createHash('md5').update(s).digest('hex');
-  return `news:list:${lang}:cat:${c}:q:${qhash}:p:${page}:l:${limit}:f:${f}`;
+  const pos = cursor ? `c:${cursor}` : `p:${page}`;
+  const range = `${from ? +from : '-'}..${to ? +to : '-'}`;
+  const t = (tags && tags.length) ? [...tags].sort().join('|') : 'all';
+  return `news:list:${lang}:cat:${c}:t:${t}:a:${author || 'all'}:q:${qhash}:r:${range}:${pos}:l:${limit}:f:${f}:n:${withCount ? 1 : 0}${collapse ? ':collapse' : ''}`;
+}
+// ---- rentang tanggal list berita ----
+// "YYYY-MM-DD" dibaca sebagai hari WIB (sama seperti parsePublishedAt); selain itu ISO biasa.
+const WIB_OFFSET_HOURS = 7;
+function parseRangeDate(s, { endOfDay = false } = {}) {
+  const str = String(s || '').trim();
+  if (!str) return null;
+  const m = str.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  const d = m
+    ? new Date(Date.UTC(+m[1], +m[2] - 1, +m[3] + (endOfDay ? 1 : 0), -WIB_OFFSET_HOURS))
+    : new Date(str);
+  return Number.isNaN(+d) ? undefined : d;
+}
+/**
+ * Resolve ?from=&to= / ?year=&month= → { from, to } (to eksklusif).
+ * Tanpa parameter → default 3 bulan terakhir (perilaku lama).
+ * Return { error } kalau input tidak valid (termasuk ?month= tanpa ?year=).
+ */
+function resolveNewsRange({ from, to, year, month } = {}) {
+  if (month && !year) return { error: '"month" requires "year"' };
+  if (year) {
+    const y = parseInt(year, 10);
+    const mo = month ? parseInt(month, 10) : null;
+    if (!Number.isFinite(y) || y < 1970 || y > 9999 || (month && !(mo >= 1 && mo <= 12))) return { error: 'Invalid year/month' };
+    return {
+      from: new Date(Date.UTC(y, mo ? mo - 1 : 0, 1, -WIB_OFFSET_HOURS)),
+      to: new Date(Date.UTC(mo ? y : y + 1, mo ? mo : 0, 1, -WIB_OFFSET_HOURS)),
+    };
+  }
+  if (from || to) {
+    const f = parseRangeDate(from);
+    const t = parseRangeDate(to, { endOfDay: true });
+    if (f === undefined || t === undefined) return { error: 'Invalid from/to (use ISO 8601, e.g. 2024-03-20)' };
+    if (f && t && f >= t) return { error: '"from" must be before "to"' };
+    // "to" berupa timestamp penuh → inklusif
+    return { from: f, to: t && !/^\d{4}-\d{2}-\d{2}$/.test(String(to).trim()) ? new Date(+t + 1) : t };
+  }
+  const cutoff = new Date(); cutoff.setMonth(cutoff.getMonth() - 3);
+  return { from: cutoff, to: null, isDefault: true };
+}
+// cursor opaque = base64url("<published_at ms>:<id>")
+function encodeNewsCursor(row) {
+  const t = +ensureDate(row.published_at);
+  return Buffer.from(`${t}:${row.id}`).toString('base64url');
+}
+function decodeNewsCursor(cursor) {
+  try {
+    const m = Buffer.from(String(cursor), 'base64url').toString('utf8').match(/^(\d+):(\d+)$/);
+    if (!m) return null;
+    const publishedAt = new Date(Number(m[1]));
+    const id = parseInt(m[2], 10);
+    if (Number.isNaN(+publishedAt) || !Number.isFinite(id)) return null;
+    return { publishedAt, id };
+  } catch {
+    return null;
+  }
+}
+const NEWS_ALLOWED_FIELDS = new Set(['id', 'title', 'link', 'image', 'category', 'date', 'summary', 'detail', 'detail_html', 'detail_blocks', 'image_hash', 'language', 'detected_lang', 'lang_confidence', 'createdAt', 'source_name', 'source_url', 'author', 'author_name', 'published_at', 'translation_group', 'machine_translated', 'translated_from_id', 'story_cluster_id', 'category_id', 'revision_count', 'revised_at']);
+// isi artikel terstruktur: hanya ikut di list kalau diminta lewat ?fields=
+const NEWS_HEAVY_FIELDS = ['detail_html', 'detail_blocks'];
+// kolom JSON bisa datang sebagai string (tergantung driver / raw query)
+function parseJsonColumn(v) {
+  if (typeof v !== 'string') return v ?? null;
+  try { return JSON.parse(v); } catch { return null; }
 }
-const NEWS_ALLOWED_FIELDS = new Set(['id', 'title', 'link', 'image', 'category', 'date', 'summary', 'detail', 'language', 'createdAt', 'source_name', 'source_url', 'author', 'author_name', 'published_at']);
 function normalizeFields(fields) {
   if (!fields) return null;
   const arr = fields.split(',').map(s => s.trim()).filter(Boolean);
@@ -338,6 +420,7 @@ function deepCleanCalendar(obj) {
 
 
 // =========================== author utilities ============================
+// AUTHOR_ALLOW / AUTHOR_ALIASES / AUTHOR_NAME_MAP = seed awal tabel `authors` (dipakai juga kalau DB belum siap)
 const AUTHOR_ALLOW = new Set(['cp', 'ayu', 'az', 'azf', 'yds', 'arl', 'alg', 'mrv']);
 const AUTHOR_BLACKLIST = new Set([
   'wti', 'brent', 'fed', 'ecb', 'boj', 'pboc', 'fomc', 'cpi', 'pmi', 'gdp', 'usd', 'eur', 'jpy', 'ppi', 'nfp', 'iea', 'opec', 'ath', 'dxy',
@@ -351,19 +434,63 @@ const AUTHOR_BLACKLIST = new Set([
 ]);
 const AUTHOR_ALIASES = { 'cp': 'cp', 'cP': 'cp', 'CP': 'cp', 'ayu': 'ayu', 'ayiu': 'ayu', 'ayi': 'ayu', 'ay': 'ayu', 'ads': 'ayu', 'az': 'az', 'azf': 'azf', 'yds': 'yds', 'arl': 'arl', 'alg': 'alg', 'mrv': 'mrv' };
 const AUTHOR_NAME_MAP = { cp: 'Broto', ayu: 'Ayu', az: 'Nova', azf: 'Nova', yds: 'Yudis', arl: 'Arul', alg: 'Burhan', mrv: 'Marvy' };
+// registry in-memory dibaca sinkron oleh normalizeAuthorInitial/toAuthorName; di-refresh dari tabel authors
+let authorRegistry = buildAuthorRegistry(
+  Array.from(AUTHOR_ALLOW).map((initial) => ({
+    initial,
+    display_name: AUTHOR_NAME_MAP[initial] || initial,
+    aliases: Object.keys(AUTHOR_ALIASES).filter((a) => AUTHOR_ALIASES[a] === initial && a.toLowerCase() !== initial).map((a) => a.toLowerCase()),
+  }))
+);
+
+// kolom JSON bisa datang sebagai string (MariaDB / raw query)
+function authorAliases(r) {
+  if (Array.isArray(r.aliases)) return r.aliases;
+  try { const v = JSON.parse(r.aliases || '[]'); return Array.isArray(v) ? v : []; } catch { return []; }
+}
+
+function buildAuthorRegistry(rows) {
+  const allow = new Set();
+  const aliases = {};
+  const names = {};
+  for (const r of rows) {
+    allow.add(r.initial);
+    aliases[r.initial] = r.initial;
+    names[r.initial] = r.display_name;
+    for (const a of authorAliases(r)) aliases[String(a).toLowerCase()] = r.initial;
+  }
+  return { allow, aliases, names };
+}
+
+async function loadAuthors() {
+  if ((await Author.count()) === 0) {
+    const seed = Array.from(AUTHOR_ALLOW).map((initial) => ({
+      initial,
+      display_name: AUTHOR_NAME_MAP[initial] || initial,
+      aliases: Object.keys(AUTHOR_ALIASES).filter((a) => AUTHOR_ALIASES[a] === initial && a.toLowerCase() !== initial),
+    }));
+    await Author.bulkCreate(seed, { ignoreDuplicates: true, validate: true });
+    console.log(`✍️ Seeded ${seed.length} authors`);
+  }
+  // author non-aktif tetap dikenali (artikel lama), hanya disembunyikan dari direktori
+  const rows = await Author.findAll({ raw: true });
+  authorRegistry = buildAuthorRegistry(rows);
+  return rows.length;
+}
+
 function normalizeAuthorInitial(raw) {
   if (!raw) return null;
   let s = String(raw).trim();
   const paren = s.match(/\(([a-z]{2,6})\)/i);
   if (paren) s = paren[1];
   s = s.toLowerCase();
-  if (AUTHOR_ALIASES[s]) s = AUTHOR_ALIASES[s];
+  if (authorRegistry.aliases[s]) s = authorRegistry.aliases[s];
   if (!/^[a-z]{2,6}$/.test(s)) return null;
   if (AUTHOR_BLACKLIST.has(s)) return null;
-  if (!AUTHOR_ALLOW.has(s)) return null;
+  if (!authorRegistry.allow.has(s)) return null;
   return s;
 }
-function toAuthorName(initial) { return AUTHOR_NAME_MAP[(initial || '').toLowerCase()] || null; }
+function toAuthorName(initial) { return authorRegistry.names[(initial || '').toLowerCase()] || null; }
 function extractAuthorFromHtml(html = '') {
   const m = String(html).match(/\(([a-z]{2,6})\)/i);
   return normalizeAuthorInitial(m ? m[1] : null);
@@ -377,138 +504,181 @@ function sanitizeAuthor(raw) {
   let s = String(raw).trim().toLowerCase();
   const m = s.match(/^[a-z]{2,6}$/i);
   if (!m) return null;
-  s = (AUTHOR_ALIASES[m[0].toLowerCase()] || m[0].toLowerCase());
+  s = (authorRegistry.aliases[m[0].toLowerCase()] || m[0].toLowerCase());
   if (AUTHOR_BLACKLIST.has(s)) return null;
   return s;
 }
 
 // ================================ scraping ================================
-const newsCategories = [
-  'economic-news/economy',
-  'economic-news/fiscal-moneter',
-  'market-news/index',
-  'market-news/commodity',
-  'market-news/currencies',
-  'market-news/crypto',
-  'analysis/analysis-market',
-  'analysis/analysis-opinion',
-];
-
-function extractNewsItem($, el, lang = 'en') {
-  const $el = $(el);
-  const title = normalizeSpace($el.find('h5.card-title a').text());
-  const href = $el.find('h5.card-title a').attr('href') || '';
-  const link = href ? 'https://www.newsmaker.id' + href : null;
-  if (!link || !link.includes(`/index.php/${lang}/`)) return null;
-
-  const imgSrc = $el.find('img.card-img').attr('src');
-  const image = imgSrc ? 'https://www.newsmaker.id' + imgSrc : null;
-  const category = normalizeSpace($el.find('span.category-label').text());
-
-  let date = '';
-  let summary = '';
-  $el.find('p.card-text').each((_, p) => {
-    const text = normalizeSpace($(p).text());
-    if (/\b\d{1,2}\s+\w+\s+\d{4}\b/i.test(text)) date = text;
-    else if (!summary) summary = text;
-  });
+// Sumber berita = adapter di sources/ (listing, extractor item & detail, rate limit).
+// Pipeline di bawah (scrapeNewsByLang) yang menangani dedupe, author, simpan, push & post-process.
+const sourceHelpers = {
+  axios: upstream, cheerio, retryRequest, conditionalGet, makeHtmlHeaders, isWafOrChallenge, normalizeSpace, parsePublishedAt,
+  extractAuthorFromText, extractAuthorFromHtml, sanitizeAuthor, NEWS_CATEGORIES, categoryById, resolveCategoryFromLabel,
+  checkParse, parseArticleBody,
+};
+const newsSources = new Map();
+
+/** daftarkan adapter (factory `(helpers) => source` atau object source) */
+function registerNewsSource(factoryOrSource) {
+  const built = typeof factoryOrSource === 'function' ? factoryOrSource(sourceHelpers) : factoryOrSource;
+  if (!built) return null;
+  const src = defineSource(built);
+  if (newsSources.has(src.id)) throw new Error(`news source "${src.id}" already registered`);
+  newsSources.set(src.id, src);
+  return src;
+}
+BUILTIN_SOURCES.forEach((f) => registerNewsSource(f));
 
-  let author = extractAuthorFromText(summary);
-  if (author) summary = summary.replace(/\(([a-z]{2,8})\)/i, '').trim();
+// bahasa artikel (services/langdetect.js). Beda dengan bahasa listing + confidence ≥ ambang → masuk
+// news_lang_reviews (keputusan admin), bukan dibuang. Di bawah ambang (judul pendek, teks campuran) tetap disimpan.
+const LANG_REVIEW_MIN_CONFIDENCE = Math.min(Math.max(parseFloat(process.env.LANG_REVIEW_MIN_CONFIDENCE || '0.9') || 0.9, 0.5), 1);
 
-  const publishedAt = parsePublishedAt(date, lang) || null;
-  if (!title || !link) return null;
-  return { title, link, image, category, date, summary, author: author || null, publishedAt };
+function detectItemLanguage(n) {
+  return detectLanguage([n.title, n.summary, n.detail].filter(Boolean).join('\n'));
 }
 
-async function fetchNewsDetailSafe(url, lang = 'en') {
-  return retryRequest(async () => {
-    const { data } = await axios.get(url, { timeout: 180000, headers: makeHtmlHeaders(lang), maxRedirects: 3 });
-    const $ = cheerio.load(data);
-    if (isWafOrChallenge($)) {
-      console.warn(`🛡️ WAF/Challenge at: ${url}`);
-      return { text: '', author: null, sourceName: null };
-    }
+// ====== Distributed lock (single impl) ======
+// return hasil fn, atau LOCK_SKIPPED kalau lock sedang dipegang proses/run lain
+const LOCK_SKIPPED = Symbol('lock-skipped');
+async function withLock(key, ttlSeconds, fn) {
+  const token = `${Date.now()}-${Math.random()}`;
+  const ok = await redis.set(key, token, 'NX', 'EX', ttlSeconds);
+  if (!ok) { console.log(`🔒 Skip: lock ${key} active`); return LOCK_SKIPPED; }
+  try { return await fn(); }
+  finally {
+    try {
+      const v = await redis.get(key);
+      if (v === token) await redis.del(key);
+    } catch { }
+  }
+}
 
-    const $root = $('div.article-content').first();
-    const $article = $root.clone();
+// ====== Scrape run ledger (tabel scrape_runs) ======
+// trackScrapeRun membungkus satu run job; counter diisi dari dalam scraper lewat scrapeRunCount/scrapeRunError
+// (AsyncLocalStorage, jadi fungsi scraper yang dalam tidak perlu dioper objek run).
+const scrapeRunStore = new AsyncLocalStorage();
+const SCRAPE_RUN_MAX_ERRORS = 20;
 
-    let author = null;
-    let sourceName = null;
+function scrapeRunCount(field, n = 1) {
+  const stats = scrapeRunStore.getStore();
+  if (stats && field in stats) stats[field] += n;
+}
+function scrapeRunError(err, where) {
+  const stats = scrapeRunStore.getStore();
+  if (!stats) return;
+  stats.error_count++;
+  if (stats.errors.length < SCRAPE_RUN_MAX_ERRORS) {
+    stats.errors.push({ at: new Date(), where: where || null, message: String(err?.message || err).slice(0, 500) });
+  }
+}
 
-    const $sourceP = $article.find('p').filter((_, el) => /\b(?:source|sumber)\b\s*:/i.test($(el).text())).first();
-    if ($sourceP.length) {
-      const pHtml = $sourceP.html() || '';
-      author = extractAuthorFromHtml(pHtml) || author;
-      sourceName = (pHtml.match(/\b(?:Source|Sumber)\s*:?\s*([^<\n\r]+)/i)?.[1] || '').trim() || sourceName;
-      $sourceP.remove();
-    }
+async function trackScrapeRun(job, scope, fn) {
+  const startedAt = new Date();
+  const stats = { pages_fetched: 0, items_found: 0, items_new: 0, items_updated: 0, waf_hits: 0, error_count: 0, errors: [] };
+  let row = null;
+  try {
+    row = await ScrapeRun.create({ job, scope: scope || null, status: 'running', started_at: startedAt }, { logging: false });
+  } catch (e) {
+    console.warn(`⚠️ scrape run ledger (${job}) unavailable:`, e.message);
+  }
+  // job antrean yang sedang jalan ikut memantau run ini → progress job = counter run (services/jobRuns.js)
+  registerJobRun({ job, scope: scope || null, run_id: row?.id || null, stats });
 
-    if (!author) {
-      $article.find('p').each((_, p) => {
-        if (author) return;
-        const a = extractAuthorFromHtml($(p).html() || '');
-        if (a) author = a;
-      });
+  let status = 'success';
+  try {
+    return await scrapeRunStore.run(stats, () => fn(stats));
+  } catch (e) {
+    status = 'failed';
+    stats.error_count++;
+    stats.errors.push({ at: new Date(), where: 'run', message: String(e?.message || e).slice(0, 500) });
+    throw e;
+  } finally {
+    if (status !== 'failed' && (stats.error_count || stats.waf_hits)) {
+      // tidak ada satu halaman pun yang berhasil → gagal total
+      status = stats.pages_fetched > 0 ? 'partial' : 'failed';
     }
-
-    if (!author) {
-      const metaAuthor = $('meta[name="author"]').attr('content');
-      const a = sanitizeAuthor(metaAuthor);
-      if (a) author = a;
+    const finishedAt = new Date();
+    if (row) {
+      try {
+        await row.update({
+          ...stats,
+          errors: stats.errors.length ? stats.errors : null,
+          status,
+          finished_at: finishedAt,
+          duration_ms: finishedAt - startedAt,
+        }, { logging: false });
+      } catch (e) {
+        console.warn(`⚠️ scrape run ledger update (${job}) failed:`, e.message);
+      }
     }
-
-    $article.find('p').each((_, p) => {
-      const html = $(p).html() || '';
-      const cleaned = html
-        .replace(/\s*\([a-z]{2,8}\)\s*$/i, '')
-        .replace(/\s*\([a-z]{2,8}\)\s*(?=[\.\,\;\:])/gi, '');
-      if (cleaned !== html) $(p).html(cleaned);
-    });
-
-    const paragraphs = [];
-    $article.find('p').each((_, p) => {
-      const txt = normalizeSpace($(p).text());
-      if (txt) paragraphs.push(txt);
-    });
-    const plainText = paragraphs.join('\n\n');
-    return { text: plainText, author, sourceName };
-  }, 3, 1000);
+  }
 }
 
-function looksIndonesian(s = '') {
-  const t = (s || '').toLowerCase();
-  const hits = (t.match(/\b(dan|yang|akan|dari|pada|dengan|sebagai)\b/g) || []).length;
-  const anti = (t.match(/\b(the|and|of|for|with|as|to)\b/g) || []).length;
-  return hits >= anti;
+// run "running" yang tertinggal karena proses restart di tengah jalan + buang riwayat lama
+async function cleanupScrapeRuns() {
+  const { Op } = require('sequelize');
+  const retentionDays = Math.max(parseInt(process.env.SCRAPE_RUN_RETENTION_DAYS || '30', 10) || 30, 1);
+  const [stale] = await ScrapeRun.update(
+    { status: 'failed', finished_at: new Date(), error_count: 1, errors: [{ at: new Date(), where: 'run', message: 'interrupted (process restarted)' }] },
+    { where: { status: 'running', started_at: { [Op.lt]: new Date(Date.now() - 2 * 3600 * 1000) } }, logging: false }
+  );
+  const pruned = await ScrapeRun.destroy({ where: { started_at: { [Op.lt]: new Date(Date.now() - retentionDays * 86400 * 1000) } }, logging: false });
+  if (stale || pruned) console.log(`🧾 scrape runs: ${stale} stale marked failed, ${pruned} pruned`);
 }
 
-async function runParallelWithLimit(tasks, limit = 3) {
-  const results = [];
-  const executing = new Set();
-  for (const task of tasks) {
-    const p = Promise.resolve().then(() => task());
-    results.push(p);
-    executing.add(p);
-    const clean = () => executing.delete(p);
-    p.then(clean).catch(clean);
-    if (executing.size >= limit) await Promise.race(executing);
+// ====== Parser health (selector drift) ======
+// Tiap parser melapor hasil per halaman lewat checkParse (services/parserHealth.js); kegagalan juga
+// masuk errors scrape run. PARSER_ALERT_WEBHOOK (opsional) menerima POST JSON saat failing / pulih.
+const PARSER_ALERT_WEBHOOK = process.env.PARSER_ALERT_WEBHOOK || '';
+const parserHealth = createParserHealth(redis, {
+  repeatHours: Number(process.env.PARSER_ALERT_REPEAT_HOURS || 6),
+  notify: PARSER_ALERT_WEBHOOK && snapshots.mode !== 'replay'
+    ? async (a) => {
+      const icon = a.status === 'recovered' ? '✅' : '🚨';
+      const text = a.status === 'recovered'
+        ? `${icon} Parser ${a.parser} recovered (${a.label})`
+        : `${icon} Parser ${a.parser} failing ${a.streak}x: ${a.reasons.join('; ')} — ${a.url || '-'} (${a.label})`;
+      await axios.post(PARSER_ALERT_WEBHOOK, { text, ...a }, { timeout: 10000 });
+    }
+    : null,
+});
+
+/** tidak pernah throw: health check tidak boleh menggagalkan scrape */
+async function checkParse(parser, obs) {
+  try {
+    const reasons = await parserHealth.record(parser, obs);
+    if (reasons.length) scrapeRunError(new Error(`parser ${parser}: ${reasons.join('; ')}`), obs.url);
+    return reasons;
+  } catch (e) {
+    console.warn(`⚠️ parser health ${parser} error:`, e.message);
+    return [];
   }
-  return Promise.all(results);
 }
 
-// ====== Distributed lock (single impl) ======
-async function withLock(key, ttlSeconds, fn) {
-  const token = `${Date.now()}-${Math.random()}`;
-  const ok = await redis.set(key, token, 'NX', 'EX', ttlSeconds);
-  if (!ok) { console.log(`🔒 Skip: lock ${key} active`); return; }
-  try { await fn(); }
-  finally {
-    try {
-      const v = await redis.get(key);
-      if (v === token) await redis.del(key);
-    } catch { }
-  }
+// ====== Image pipeline (services/images.js) ======
+// Gambar artikel diunduh saat scrape → news.image_hash; disajikan lewat /api/images/:hash?w=.
+// `image` tetap URL asli sumber (share page, fallback).
+const images = createImageStore({ dir: process.env.IMAGE_DIR || 'data/images', axios, redis, enabled: snapshots.mode !== 'replay' });
+const IMAGE_VARIANTS = ['thumb', 'card', 'push'];
+
+/** URL varian thumb/card/push; artikel tanpa gambar tersimpan → placeholder kategori */
+function imageUrls(base, { image_hash, category_id }) {
+  const path = image_hash ? `/api/images/${image_hash}` : `/api/images/placeholder/${category_id || 'default'}`;
+  return Object.fromEntries(IMAGE_VARIANTS.map((v) => [v, `${base}${path}?w=${v}`]));
+}
+function pushImageUrl(row) {
+  const base = (process.env.PUBLIC_BASE_URL || '').replace(/\/+$/, '');
+  // tanpa sharp placeholder berupa SVG (tidak didukung FCM) → biarkan pushNews memakai URL gambar asli
+  if (!base || (!row.image_hash && !images.available())) return null;
+  return imageUrls(base, row).push;
+}
+
+async function attachImageHashes(rows) {
+  const tasks = rows.map((r) => async () => {
+    r.image_hash = r.image ? await images.ingest(r.image) : null;
+  });
+  await runParallelWithLimit(tasks, 4);
 }
 
 function buildNewsRow(n) {
@@ -522,10 +692,15 @@ function buildNewsRow(n) {
     link: n.link,
     image: n.image,
     category: n.category,
+    category_id: n.categoryId || resolveCategoryFromLabel(n.category)?.id || null,
     date: n.date,
     summary: n.summary,
     detail: n.detail || '',
+    detail_html: n.detail_html || null,
+    detail_blocks: n.detail_blocks || null,
     language: n.language || 'en',
+    detected_lang: n.detected_lang || null,
+    lang_confidence: n.lang_confidence ?? null,
     source_name: n.sourceName || 'Newsmaker23',
     source_url: n.link,
     author: n.author || null,
@@ -536,166 +711,278 @@ function buildNewsRow(n) {
   };
 }
 
-async function scrapeNewsByLang(lang = 'en') {
+// jendela (jam) artikel lama yang masih dicek ulang: perubahan di listing (tiap scrape) dan isi (news-recheck)
+const NEWS_RECHECK_HOURS = Math.max(parseInt(process.env.NEWS_RECHECK_HOURS || '48', 10) || 0, 0);
+
+function scrapeNewsByLang(lang = 'en') {
+  return trackScrapeRun('news', lang, () => scrapeNewsByLangRun(lang));
+}
+
+async function scrapeNewsByLangRun(lang) {
   console.log(`🚀 Scraping news (${lang})...`);
 
   const { Op } = require('sequelize');
-  const existing = await News.findAll({ where: { language: lang }, attributes: ['link'], raw: true });
-  const existingLinks = new Set(existing.map((r) => r.link));
-  const seenLinks = new Set();
+  // artikel yang masih baru: kalau judul/ringkasan/gambar di listing berubah → ambil ulang detail (revisi)
+  const recent = await News.findAll({
+    where: { language: lang, published_at: { [Op.gte]: new Date(Date.now() - NEWS_RECHECK_HOURS * 3600 * 1000) } },
+    attributes: ['link', 'title', 'summary', 'image'],
+    raw: true,
+  });
+  const recentByLink = new Map(recent.map((r) => [r.link, r]));
+  // commits = high-water mark + validator HTTP, disimpan setelah item tersimpan
+  const ctx = { recentByLink, seenLinks: new Set(), commits: [] };
+
   const allNewItems = [];
+  for (const source of newsSources.values()) {
+    if (!source.languages.includes(lang)) continue;
+    try {
+      allNewItems.push(...(await newsCollector.collectSourceItems(source, lang, ctx)));
+    } catch (e) {
+      console.error(`❌ source ${source.id} (${lang}) failed:`, e.message);
+      scrapeRunError(e, `source:${source.id}`);
+    }
+  }
 
-  for (const cat of newsCategories) {
-    let start = 0;
-    let emptyStreak = 0;
-    const PAGE_SIZE = 10;
-    while (true) {
-      const url = `https://www.newsmaker.id/index.php/${lang}/${cat}?start=${start}`;
-      try {
-        const { data } = await retryRequest(
-          () => axios.get(url, { timeout: 180000, headers: makeHtmlHeaders(lang), maxRedirects: 3 }),
-          3, 1000
-        );
-
-        const $ = cheerio.load(data);
-        if (isWafOrChallenge($)) {
-          console.warn(`🛡️ Blocked page: ${url}`);
-          if (++emptyStreak >= 3) break;
-          start += PAGE_SIZE;
-          continue;
-        }
+  // baris yang gagal disimpan harus diambil lagi run berikutnya → mark / validator tidak dimajukan
+  const failedRows = await storeNewsItems(allNewItems, lang);
+  if (failedRows) {
+    console.warn(`⚠️ ${failedRows} row(s) failed to save, scrape state not committed (${lang})`);
+    return;
+  }
 
-        const items = [];
-        $('div.single-news-item').each((_, el) => {
-          const item = extractNewsItem($, el, lang);
-          if (item) items.push(item);
-        });
-
-        const fresh = items.filter((it) => !existingLinks.has(it.link) && !seenLinks.has(it.link));
-        fresh.forEach((it) => seenLinks.add(it.link));
-
-        if (fresh.length === 0) {
-          if (++emptyStreak >= 3) break;
-        } else {
-          emptyStreak = 0;
-
-          const detailTasks = fresh.map((it) => async () => {
-            const detail = await fetchNewsDetailSafe(it.link, lang);
-            const sourceName = detail?.sourceName || 'Newsmaker23';
-
-            let author = detail?.author
-              || extractAuthorFromText(it.summary || '')
-              || it.author
-              || null;
-            author = normalizeAuthorInitial(author);
-
-            if (author) console.log(`✍️ author (${author}) -> ${it.link}`);
-            if (detail?.sourceName) console.log(`🔗 source "${detail.sourceName}" -> ${it.link}`);
-
-            return {
-              ...it,
-              detail: detail?.text || '',
-              author,
-              author_name: toAuthorName(author),
-              sourceName,
-              publishedAt: it.publishedAt || null,
-              language: lang,
-            };
-          });
-
-          let detailed = (await runParallelWithLimit(detailTasks, 4)).filter(Boolean);
-          if (lang === 'id') {
-            detailed = detailed.filter((n) => looksIndonesian(n.detail || n.summary || n.title));
-          }
-          allNewItems.push(...detailed);
-        }
+  for (const commit of ctx.commits) {
+    try { await commit(); } catch (e) { console.warn('⚠️ scrape state commit failed:', e.message); }
+  }
+} // end scrapeNewsByLang
 
-        start += PAGE_SIZE;
-        await delay(120);
-      } catch (e) {
-        console.warn(`⚠️ Failed: ${url} | ${e.message}`);
-        if (++emptyStreak >= 3) break;
-        start += PAGE_SIZE;
-        await delay(300);
-      }
+// Koreksi yang hanya mengubah isi artikel tidak kelihatan di listing (listingChanged) → artikel dalam
+// NEWS_RECHECK_HOURS diambil ulang detailnya oleh maintenance news-recheck (jadwal lebih jarang dari scrape).
+// Hanya source yang bisa mengambil detail dari link saja (ownsLink); isi berubah → storeNewsItems → revisi.
+async function recheckRecentNews(lang) {
+  const { Op } = require('sequelize');
+  const rows = await News.findAll({
+    where: {
+      language: lang,
+      machine_translated: false,
+      published_at: { [Op.gte]: new Date(Date.now() - NEWS_RECHECK_HOURS * 3600 * 1000) },
+    },
+    attributes: ['link', 'title', 'summary', 'image', 'category', 'category_id', 'date', 'detail', 'author', 'author_name', 'source_name', 'published_at'],
+    raw: true,
+    logging: false,
+  });
+  const sourceFor = (link) => [...newsSources.values()].find((s) => s.fetchDetail && s.ownsLink?.(link) && s.languages.includes(lang));
+  const norm = (s) => String(s || '').replace(/\s+/g, ' ').trim();
+
+  const tasks = rows.map((row) => async () => {
+    const source = sourceFor(row.link);
+    if (!source) return null;
+    try {
+      const detail = await source.fetchDetail({ link: row.link, title: row.title, summary: row.summary }, lang);
+      scrapeRunCount('pages_fetched');
+      if (detail?.blocked) { scrapeRunCount('waf_hits'); return null; }
+      if (!detail?.text || norm(detail.text) === norm(row.detail)) return null;
+
+      const author = normalizeAuthorInitial(detail.author || row.author) || null;
+      const item = {
+        title: row.title,
+        link: row.link,
+        image: row.image,
+        category: row.category,
+        categoryId: row.category_id,
+        date: row.date,
+        summary: row.summary,
+        detail: detail.text,
+        detail_html: detail.html || null,
+        detail_blocks: detail.blocks?.length ? detail.blocks : null,
+        author,
+        author_name: toAuthorName(author) || row.author_name,
+        sourceName: detail.sourceName || row.source_name,
+        publishedAt: ensureDate(row.published_at),
+        language: lang,
+      };
+      const { lang: detected, confidence } = detectItemLanguage(item);
+      item.detected_lang = detected;
+      item.lang_confidence = detected ? confidence : null;
+      return item;
+    } catch (e) {
+      console.warn(`⚠️ recheck failed: ${row.link} | ${e.message}`);
+      scrapeRunError(e, row.link);
+      return null;
     }
-  }
+  });
+  const changed = (await runParallelWithLimit(tasks, 2)).filter(Boolean);
+  scrapeRunCount('items_found', changed.length);
+  if (changed.length) console.log(`✏️ ${changed.length} body change(s) found on recheck (${lang})`);
+  await storeNewsItems(changed, lang);
+}
+
+// cek link yang sudah ada di DB (per halaman listing, bukan load semua link).
+// Link di antrean review bahasa juga dianggap dikenal → tidak di-scrape ulang tiap run.
+async function findKnownLinks(lang, links) {
+  if (!links.length) return new Set();
+  const [rows, reviews] = await Promise.all([
+    News.findAll({ where: { language: lang, link: links }, attributes: ['link'], raw: true, logging: false }),
+    NewsLangReview.findAll({ where: { language: lang, link: links }, attributes: ['link'], raw: true, logging: false }),
+  ]);
+  return new Set([...rows, ...reviews].map((r) => r.link));
+}
+
+async function queueLangReviews(items, lang) {
+  const rows = items.map((n) => ({
+    link: n.link,
+    language: lang,
+    detected_lang: n.detected_lang,
+    lang_confidence: n.lang_confidence,
+    title: n.title || null,
+    source_name: n.sourceName || null,
+    payload: n,
+  }));
+  await NewsLangReview.bulkCreate(rows, {
+    updateOnDuplicate: ['detected_lang', 'lang_confidence', 'title', 'source_name', 'payload', 'updatedAt'],
+    logging: false,
+  });
+  console.log(`🈂️ ${rows.length} item(s) queued for language review (${lang})`);
+}
+
+// listing → item baru (services/newsCollector.js); author / bahasa dirapikan di sini
+const newsCollector = createNewsCollector({
+  redis,
+  findKnownLinks,
+  listingChanged,
+  queueLangReviews,
+  toNewsItem(it, detail, source, lang) {
+    const sourceName = detail?.sourceName || it.sourceName || source.name;
+
+    let author = detail?.author
+      || extractAuthorFromText(it.summary || '')
+      || it.author
+      || null;
+    author = normalizeAuthorInitial(author);
+
+    if (author) console.log(`✍️ author (${author}) -> ${it.link}`);
+    if (detail?.sourceName) console.log(`🔗 source "${detail.sourceName}" -> ${it.link}`);
+
+    const n = {
+      ...it,
+      detail: detail?.text || it.detail || '',
+      detail_html: detail?.html || null,
+      detail_blocks: detail?.blocks?.length ? detail.blocks : null,
+      author,
+      author_name: toAuthorName(author),
+      sourceName,
+      publishedAt: it.publishedAt || null,
+      language: lang,
+    };
+    const { lang: detected, confidence } = detectItemLanguage(n);
+    n.detected_lang = detected;
+    n.lang_confidence = detected ? confidence : null;
+    return n;
+  },
+  needsLangReview: (n, lang) => !!n.detected_lang && n.detected_lang !== lang && n.lang_confidence >= LANG_REVIEW_MIN_CONFIDENCE,
+  count: scrapeRunCount,
+  reportError: scrapeRunError,
+});
 
+// upsert + revisi + push item baru + post-process (dipakai semua source)
+// return jumlah baris yang gagal disimpan (fallback per-row)
+async function storeNewsItems(allNewItems, lang) {
+  let failedRows = 0;
   if (allNewItems.length > 0) {
     const rows = allNewItems.map(buildNewsRow);
 
     const UPDATE_COLS = [
-      'summary', 'detail', 'author', 'author_name', 'source_name', 'source_url',
-      'published_at', 'image', 'category', 'date', 'language', 'title',
-      'createdAt', 'updatedAt'
+      'summary', 'detail', 'detail_html', 'detail_blocks', 'author', 'author_name', 'source_name', 'source_url',
+      'published_at', 'image', 'image_hash', 'category', 'category_id', 'date', 'language', 'detected_lang', 'lang_confidence',
+      'title', 'createdAt', 'updatedAt'
     ];
     const MAX_DETAIL_CHARS = 500_000;
     const BATCH_SIZE = 150;
 
-    const trimmed = rows.map(r => ({ ...r, detail: (r.detail || '').slice(0, MAX_DETAIL_CHARS) }));
+    // HTML kepanjangan tidak dipotong (tag rusak) → dibuang, app fallback ke detail
+    const trimmed = rows.map(r => ({
+      ...r,
+      detail: (r.detail || '').slice(0, MAX_DETAIL_CHARS),
+      ...(r.detail_html && r.detail_html.length > MAX_DETAIL_CHARS ? { detail_html: null, detail_blocks: null } : {}),
+    }));
     const safeRows = trimmed.map(r => ({
       ...r,
       published_at: ensureDate(r.published_at),
       createdAt: ensureDate(r.createdAt),
       updatedAt: ensureDate(r.updatedAt),
     }));
+    await attachImageHashes(safeRows);
 
     for (let i = 0; i < safeRows.length; i += BATCH_SIZE) {
       const chunk = safeRows.slice(i, i + BATCH_SIZE);
       try {
+        const baseline = await loadRevisionBaseline(chunk);
         await News.bulkCreate(chunk, { updateOnDuplicate: UPDATE_COLS, logging: false });
+        scrapeRunCount('items_new', chunk.filter((r) => !baseline.has(`${r.language}|${r.link}`)).length);
+        scrapeRunCount('items_updated', await recordNewsRevisions(chunk, baseline));
 
-        // === Kirim push untuk item BARU (dedupe via redis) ===
+        // === Antrekan push untuk item BARU (dedupe via redis) ===
         for (const r of chunk) {
           try {
+            if (baseline.has(`${r.language}|${r.link}`)) continue; // revisi artikel lama, bukan berita baru
             const key = r.link || `${r.title}:${+ensureDate(r.published_at)}:${r.language}`;
             if (await alreadyPushed(redis, key)) continue;
 
             const rowDb = await News.findOne({
               where: { link: r.link },
-              attributes: ['id', 'title', 'summary', 'image', 'category', 'language'],
+              attributes: ['id', 'title', 'summary', 'image', 'image_hash', 'category', 'category_id', 'language'],
               logging: false
             });
             if (rowDb?.id) {
-              await pushNews({
+              await enqueuePush({
                 id: rowDb.id,
                 title: rowDb.title || r.title,
                 summary: rowDb.summary || r.summary,
                 image: rowDb.image || r.image,
+                imageHash: rowDb.image_hash || r.image_hash || null,
                 category: rowDb.category || r.category,
+                categoryId: rowDb.category_id || r.category_id,
                 language: rowDb.language || r.language || lang,
               });
             }
           } catch (e) {
-            console.error('⚠️ push after insert failed:', e.message);
+            console.error('⚠️ enqueue push after insert failed:', e.message);
           }
         }
 
+        await postProcessNewsRows(chunk);
       } catch (e) {
         console.error('❌ bulkCreate failed, fallback per-row:', e.message);
         for (const r of chunk) {
           try {
+            const baseline = await loadRevisionBaseline([r]);
             await News.bulkCreate([r], { updateOnDuplicate: UPDATE_COLS, logging: false });
+            scrapeRunCount(baseline.size ? 'items_updated' : 'items_new', baseline.size ? await recordNewsRevisions([r], baseline) : 1);
 
             const key = r.link || `${r.title}:${+ensureDate(r.published_at)}:${r.language}`;
-            if (!(await alreadyPushed(redis, key))) {
+            if (!baseline.size && !(await alreadyPushed(redis, key))) {
               const rowDb = await News.findOne({
                 where: { link: r.link },
-                attributes: ['id', 'title', 'summary', 'image', 'category', 'language'],
+                attributes: ['id', 'title', 'summary', 'image', 'image_hash', 'category', 'category_id', 'language'],
                 logging: false
               });
               if (rowDb?.id) {
-                await pushNews({
+                await enqueuePush({
                   id: rowDb.id,
                   title: rowDb.title || r.title,
                   summary: rowDb.summary || r.summary,
                   image: rowDb.image || r.image,
+                  imageHash: rowDb.image_hash || r.image_hash || null,
                   category: rowDb.category || r.category,
+                  categoryId: rowDb.category_id || r.category_id,
                   language: rowDb.language || r.language || lang,
                 });
               }
             }
+
+            await postProcessNewsRows([r]);
           } catch (er) {
+            failedRows++;
+            scrapeRunError(er, r.link);
             console.error('   ↳ Row failed:', {
               link: r.link,
               title: r.title?.slice(0, 120),
@@ -707,7 +994,8 @@ async function scrapeNewsByLang(lang = 'en') {
       }
     }
   }
-} // end scrapeNewsByLang
+  return failedRows;
+}
 
 // ============================== calendar job ==============================
 // ====== Calendar URL mapping (fixed) ======
@@ -731,13 +1019,14 @@ let calendarCache = {
 
 const CAL_TTL_SECONDS = 60 * 15; // 15 menit
 
-// === Global calendar QUEUE (serialize all) ===
+// === In-process calendar QUEUE (serialize: cache-miss dari route + job calendar di worker) ===
 const calQueue = [];
 let calRunning = false;
 
 function enqueueCal(taskFn) {
   return new Promise((resolve, reject) => {
-    calQueue.push({ taskFn, resolve, reject });
+    // bind konteks async pemanggil (job/run ledger), karena task dieksekusi dari loop antrean
+    calQueue.push({ taskFn: AsyncLocalStorage.bind(taskFn), resolve, reject });
     runCalQueue();
   });
 }
@@ -782,7 +1071,8 @@ async function scrapeCalendarPaged(startUrl, { maxPages = 20, pageSize = 20 } =
 
       for (let p = 1, offset = 0; p <= maxPages; p++, offset += pageSize) {
         const url = (p === 1 ? startUrl : makePagedUrl(startUrl, offset));
-        await page.goto(url, { waitUntil: 'networkidle2', timeout: 60000 });
+        await snapshots.gotoPage(page, url, { waitUntil: 'networkidle2', timeout: 60000 });
+        scrapeRunCount('pages_fetched');
 
         await page.waitForSelector('table tbody', { timeout: 60000 }).catch(() => { });
         await page.waitForFunction(
@@ -790,168 +1080,18 @@ async function scrapeCalendarPaged(startUrl, { maxPages = 20, pageSize = 20 } =
           { timeout: 15000 }
         ).catch(() => { });
 
-const res = await page.evaluate(() => {
-  const norm = (s) => (s ?? '').replace(/\s+/g, ' ').trim();
-
-  // Ubah "DD-MM-YYYY" → "YYYY-MM-DD" (kalau sudah YYYY-MM-DD biarkan)
-  const fmtDate = (d) => {
-    const s = norm(d);
-    let m = s.match(/^(\d{2})[-\/](\d{2})[-\/](\d{4})$/);     // DD-MM-YYYY
-    if (m) return `${m[3]}-${m[2]}-${m[1]}`;
-    m = s.match(/^(\d{4})[-\/](\d{2})[-\/](\d{2})$/);          // YYYY-MM-DD
-    if (m) return `${m[1]}-${m[2]}-${m[3]}`;
-    return s; // fallback
-  };
-
-  // Deteksi teks tanggal
-  const isDateText = (txt) =>
-    /^\d{2}[-/]\d{2}[-/]\d{4}$/.test(txt) || /^\d{4}-\d{2}-\d{2}$/.test(txt);
-
-  // Cari tabel utama kalender
-  function findMainTable() {
-    const tables = Array.from(document.querySelectorAll('table'));
-    for (const tb of tables) {
-      const ths = Array.from(tb.querySelectorAll('thead th'))
-        .map((th) => norm(th.textContent).toLowerCase());
-      const ok =
-        ths.includes('time') &&
-        ths.includes('country') &&
-        ths.includes('impact') &&
-        ths.some((t) => t.includes('figure'));
-      if (ok && tb.tBodies && tb.tBodies.length > 0) return tb;
-    }
-    return null;
-  }
-
-  const main = findMainTable();
-  if (!main) return { items: [], kept: 0 };
-
-  const tbody = main.tBodies[0];
-  const rows = Array.from(tbody.rows);
-  const out = [];
-  let lastEvent = null;
-
-  for (const tr of rows) {
-    const tds = tr.cells;
-
-    // ====== ROW DETAIL (accordion) ======
-    const isDetailRow =
-      tds.length === 1 || Array.from(tds).some((td) => (td.colSpan || 1) > 1);
-
-    if (isDetailRow) {
-      if (!lastEvent) continue;
-
-      const wrap = tr.querySelector('.accordion-collapse') || tr;
-      const box = wrap.querySelector('.box-cal-detail') || wrap;
-
-      const sections = Array.from(box.querySelectorAll('.mb-3'));
-      const details = {};
-      for (const sec of sections) {
-        const h = sec.querySelector('h5');
-        const title = norm(h?.textContent || '').toLowerCase();
-        const text = norm(sec.textContent.replace(h?.textContent || '', ''));
-        if (!title) continue;
-        if (title.includes('sources')) details.sources = text;
-        else if (title.includes('measures')) details.measures = text;
-        else if (title.includes('usual effect')) details.usualEffect = text;
-        else if (title.includes('frequency')) details.frequency = text;
-        else if (title.includes('next released')) details.nextReleased = text;
-        else if (title.includes('notes')) details.notes = text;
-        else if (title.includes('why trader care')) details.whyTraderCare = text;
-      }
-
-      const histTable = wrap.querySelector('table');
-      if (histTable) {
-        const histRows = Array.from(histTable.querySelectorAll('tbody tr'));
-        details.history = histRows
-          .map((r) => {
-            const cs = r.cells;
-            const d0 = norm(cs[0]?.textContent || '');
-            if (/^(history|date)$/i.test(d0)) return null;
-            return {
-              date: d0,
-              previous: norm(cs[1]?.textContent || ''),
-              forecast: norm(cs[2]?.textContent || ''),
-              actual: norm(cs[3]?.textContent || ''),
-            };
-          })
-          .filter((x) => x && x.date && /[0-9]/.test(x.date));
-      }
-
-      lastEvent.details = details;
-      continue;
-    }
-
-    // ====== ROW EVENT ======
-    if (tds.length >= 4) {
-      const c0 = norm(tds[0]?.innerText || '');
-      const c1 = norm(tds[1]?.innerText || '');
-      const hasDate = isDateText(c0);
-
-      const dateStr = hasDate ? c0 : null;              // "29-09-2025"
-      const timeOnly = hasDate ? (c1 || '-') : (c0 || '-'); // "14.00" atau "06.50"
-
-      const idxCurrency = hasDate ? 2 : 1;
-      const idxImpact = hasDate ? 3 : 2;
-      const idxFigures = hasDate ? 4 : 3;
-
-      const currency = norm(tds[idxCurrency]?.innerText || '-') || '-';
-
-      const impactCell = tds[idxImpact];
-      let impact =
-        norm(impactCell?.innerText || '') ||
-        impactCell?.getAttribute?.('title') ||
-        impactCell?.querySelector?.('[title]')?.getAttribute('title') ||
-        impactCell?.querySelector?.('img')?.getAttribute('alt') ||
-        '-';
-      impact = norm(impact);
-
-      const figuresTd = tds[idxFigures];
-      const raw = norm(figuresTd?.innerText || '');
-      if (!raw || raw === '-') continue;
-
-      const [eventLine, figuresLine] = (figuresTd?.innerText || '').split('\n');
-      const event = norm(eventLine);
-      if (!event) continue;
-
-      let previous = '-',
-        forecast = '-',
-        actual = '-';
-      if (figuresLine) {
-        const prevMatch = figuresLine.match(/Previous:\s*([^|]*)/i);
-        const foreMatch = figuresLine.match(/Forecast:\s*([^|]*)/i);
-        const actMatch = figuresLine.match(/Actual:\s*([^|]*)/i);
-        previous = prevMatch ? norm(prevMatch[1]) : '-';
-        forecast = foreMatch ? norm(foreMatch[1]) : '-';
-        actual = actMatch ? norm(actMatch[1]) : '-';
-      }
-
-      // KUNCI: untuk week tabs, kolom time = "YYYY-MM-DD HH.mm"; untuk today tetap "HH.mm"
-      const timeOut = hasDate ? `${fmtDate(dateStr)} ${timeOnly}` : timeOnly;
-
-      const obj = {
-        time: timeOut,
-        currency,
-        impact,
-        event,
-        previous,
-        forecast,
-        actual,
-      };
-      if (hasDate) obj.date = fmtDate(dateStr); // sertakan juga field date terpisah
-
-      out.push(obj);
-      lastEvent = obj;
-    }
-  }
-
-  return { items: out, kept: out.length };
-});
-
-
-
+        const res = await page.evaluate(parseCalendarDocument);
         console.log(`📄 Page offset=${(p - 1) * pageSize}: +${res.kept} (total ${all.length + res.kept})`);
-        if (res.kept === 0) break;
+        // tabel tidak ketemu / kosong: WAF/challenge, atau layout berubah (→ parser health)
+        const blocked = res.kept === 0 && isWafOrChallenge(cheerio.load(await page.content()));
+        await checkParse('calendar', { url, blocked, structure: res.table, items: res.items, expectItems: p === 1 });
+        if (res.kept === 0) {
+          if (blocked) {
+            console.warn(`🛡️ WAF/Challenge at: ${url}`);
+            scrapeRunCount('waf_hits');
+          }
+          break;
+        }
         all.push(...res.items);
         if (res.kept < pageSize) break;
       }
@@ -960,101 +1100,171 @@ const res = await page.evaluate(() => {
     });
   } catch (err) {
     console.error('❌ scrapeCalendarPaged failed:', err.message);
+    scrapeRunError(err, startUrl);
     return { ok: false, data: [], error: err.message };
   }
 }
 
 // ——— Wrapper per-tab (today/this/prev/next) + cleaning & Redis ———
-async function scrapeCalendarToday() {
-  const result = await scrapeCalendarPaged(CAL_URLS.today, { maxPages: 20, pageSize: 20 });  if (!result.ok) throw new Error(result.error || 'Scrape today failed');
-  const updatedAt = new Date();
-  const cleaned = deepCleanCalendar(result.data);
-  calendarCache.today = { updatedAt, data: cleaned };
-  await redis.set(
-    calKey('today'),
-    JSON.stringify({ status: 'success', updatedAt, total: cleaned.length, data: cleaned }),
-    'EX', CAL_TTL_SECONDS
-  );
-  console.log(`✅ Calendar TODAY updated (${cleaned.length} events)`);
-  return calendarCache.today;
-}
-
-async function scrapeCalendarThisWeek() {
-  const result = await scrapeCalendarPaged(CAL_URLS.this, { maxPages: 20, pageSize: 20 });
-  if (!result.ok) throw new Error(result.error || 'Scrape this week failed');
-  const updatedAt = new Date();
-  const cleaned = deepCleanCalendar(result.data);
-  calendarCache.this = { updatedAt, data: cleaned };
-  await redis.set(calKey('this'),
-    JSON.stringify({ status: 'success', updatedAt, total: cleaned.length, data: cleaned }),
-    'EX', CAL_TTL_SECONDS
-  );
-  console.log(`✅ Calendar THIS WEEK updated (${cleaned.length} events)`);
-  return calendarCache.this;
-}
-
-async function scrapeCalendarPrevWeek() {
-  const result = await scrapeCalendarPaged(CAL_URLS.prev, { maxPages: 20, pageSize: 20 });
-  if (!result.ok) throw new Error(result.error || 'Scrape prev week failed');
-  const updatedAt = new Date();
-  const cleaned = deepCleanCalendar(result.data);
-  calendarCache.prev = { updatedAt, data: cleaned };
-  await redis.set(calKey('prev'),
-    JSON.stringify({ status: 'success', updatedAt, total: cleaned.length, data: cleaned }),
-    'EX', CAL_TTL_SECONDS
-  );
-  console.log(`✅ Calendar PREVIOUS WEEK updated (${cleaned.length} events)`);
-  return calendarCache.prev;
-}
-
-async function scrapeCalendarNextWeek() {
-  const result = await scrapeCalendarPaged(CAL_URLS.next, { maxPages: 20, pageSize: 20 });
-  if (!result.ok) throw new Error(result.error || 'Scrape next week failed');
-  const updatedAt = new Date();
-  const cleaned = deepCleanCalendar(result.data);
-  calendarCache.next = { updatedAt, data: cleaned };
-  await redis.set(calKey('next'),
-    JSON.stringify({ status: 'success', updatedAt, total: cleaned.length, data: cleaned }),
-    'EX', CAL_TTL_SECONDS
-  );
-  console.log(`✅ Calendar NEXT WEEK updated (${cleaned.length} events)`);
-  return calendarCache.next;
+const CAL_TAB_LABELS = { today: 'TODAY', this: 'THIS WEEK', prev: 'PREVIOUS WEEK', next: 'NEXT WEEK' };
+
+function scrapeCalendarTab(tab) {
+  return trackScrapeRun('calendar', tab, async () => {
+    const result = await scrapeCalendarPaged(CAL_URLS[tab], { maxPages: 20, pageSize: 20 });
+    if (!result.ok) throw new Error(result.error || `Scrape ${tab} failed`);
+    const updatedAt = new Date();
+    const cleaned = deepCleanCalendar(result.data);
+    calendarCache[tab] = { updatedAt, data: cleaned };
+    await redis.set(calKey(tab),
+      JSON.stringify({ status: 'success', updatedAt, total: cleaned.length, data: cleaned }),
+      'EX', CAL_TTL_SECONDS
+    );
+    scrapeRunCount('items_found', cleaned.length);
+    console.log(`✅ Calendar ${CAL_TAB_LABELS[tab]} updated (${cleaned.length} events)`);
+    return calendarCache[tab];
+  });
 }
 
-// ====== Pre-warm calendar (serial via queue) ======
-(async () => {
-  try {
-    await enqueueCal(() => scrapeCalendarToday());
-    await enqueueCal(() => scrapeCalendarThisWeek());
-    await enqueueCal(() => scrapeCalendarPrevWeek());
-    await enqueueCal(() => scrapeCalendarNextWeek());
-    console.log('✅ Pre-warm calendar done');
-  } catch (e) {
-    console.error('❌ Pre-warm error:', e.message);
+const scrapeCalendarToday = () => scrapeCalendarTab('today');
+const scrapeCalendarThisWeek = () => scrapeCalendarTab('this');
+const scrapeCalendarPrevWeek = () => scrapeCalendarTab('prev');
+const scrapeCalendarNextWeek = () => scrapeCalendarTab('next');
+
+// ====================== background jobs (durable queue) ======================
+// Semua kerja background lewat antrean Redis (services/queue.js): retry + backoff, dead-letter,
+// concurrency per type, dan job yang terputus karena restart diambil ulang. withLock tetap dipakai
+// di dalam handler; lock yang sedang dipegang run lain = job ditunda (JobDeferredError), bukan gagal,
+// jadi tick terjadwal yang bertabrakan dengan run panjang tidak memenuhi dead-letter.
+const CAL_LOCK_KEY = 'lock:cal:GLOBAL';
+const jobQueue = createJobQueue(redis);
+
+async function runLocked(key, ttlSeconds, fn) {
+  const out = await withLock(key, ttlSeconds, fn);
+  if (out === LOCK_SKIPPED) {
+    // cek lagi saat lock kira-kira lepas, tapi paling lama 1 menit (run pemegang lock bisa selesai lebih cepat)
+    const ttlMs = await redis.pttl(key).catch(() => -1);
+    throw new JobDeferredError(`lock ${key} busy`, Math.min(Math.max(ttlMs, 5000), 60_000));
   }
-})();
+  return out;
+}
 
+jobQueue.define('news', scrapeJob(({ lang }) =>
+  runLocked(`lock:scrapeNews:${lang}`, 300, () => scrapeNewsByLang(lang))
+), { concurrency: 2, maxAttempts: 3, backoffMs: 30_000 });
+
+jobQueue.define('calendar', scrapeJob(({ tab }) =>
+  runLocked(CAL_LOCK_KEY, 120, () => enqueueCal(() => scrapeCalendarTab(tab)))
+), { concurrency: 1, maxAttempts: 3, backoffMs: 20_000 });
+
+jobQueue.define('historical', scrapeJob(async ({ symbol, cid }) => {
+  if (!symbol) return runLocked('lock:hist:all', 3600, () => scrapeAllHistoricalData());
+  // run "all" sedang jalan → simbol ini ikut ter-update di sana
+  if (await redis.exists('lock:hist:all')) return null;
+  return runLocked(`lock:hist:sym:${symbol.toLowerCase()}`, 1800, () => scrapeHistoricalForSymbol({ cid, name: symbol }));
+}), { concurrency: 1, maxAttempts: 2, backoffMs: 5 * 60_000 });
+
+jobQueue.define('push', async (payload) => {
+  // replay = data lama dari snapshot, jangan sampai jadi notifikasi sungguhan
+  if (snapshots.mode === 'replay') return { skipped: 'replay' };
+  const dupOf = await duplicatePushOf(payload);
+  if (dupOf) {
+    await News.update({ push_state: 'skipped', push_error: `duplicate story of #${dupOf}` }, { where: { id: payload.id }, hooks: false, silent: true, logging: false });
+    console.log(`🧬 push skipped for news #${payload.id}: same story as #${dupOf}`);
+    return { skipped: 'duplicate', of: dupOf };
+  }
+  await pushNews(payload);
+  return { topic: `news_${resolveLang(payload.language)}` };
+}, { concurrency: 4, maxAttempts: 5, backoffMs: 15_000, visibilityMs: 60_000 });
+
+const MAINTENANCE_TASKS = {
+  'tags-backfill': () => runLocked('lock:tags:backfill', 3600, () => backfillNewsTags()),
+  'categories-backfill': () => runLocked('lock:categories:backfill', 600, () => backfillCategoryIds()),
+  'scrape-runs-cleanup': () => cleanupScrapeRuns(),
+  // lock sama dengan scrape news → tidak upsert artikel yang sama bersamaan
+  'news-recheck': async () => {
+    for (const lang of ['en', 'id']) {
+      await runLocked(`lock:scrapeNews:${lang}`, 1800, () => trackScrapeRun('news-recheck', lang, () => recheckRecentNews(lang)));
+    }
+  },
+  'translations-backfill': () => runLocked('lock:translations:backfill', 3600, () => backfillTranslationGroups()),
+  'langdetect-backfill': () => runLocked('lock:langdetect:backfill', 3600, () => backfillDetectedLanguage()),
+  'story-clusters-backfill': () => runLocked('lock:story:backfill', 3600, () => backfillStoryClusters()),
+};
+jobQueue.define('translate', ({ id }) => translateNewsRow(id), { concurrency: 1, maxAttempts: 3, backoffMs: 60_000 });
+
+jobQueue.define('maintenance', async ({ task }) => {
+  if (!MAINTENANCE_TASKS[task]) throw new Error(`Unknown maintenance task "${task}"`);
+  await MAINTENANCE_TASKS[task]();
+  return { task };
+}, { concurrency: 1, maxAttempts: 2, backoffMs: 60_000 });
+
+// enqueue dengan dedupe per job (kalau masih antre/jalan, tidak dobel)
+const jobDedupeKey = (type, payload) => `${type}:${Object.values(payload).filter((v) => v != null).join(':') || 'all'}`.toLowerCase();
+function enqueueJob(type, payload = {}) {
+  return jobQueue.enqueue(type, payload, { dedupeKey: jobDedupeKey(type, payload) })
+    .catch((e) => console.error(`❌ enqueue ${type} failed:`, e.message));
+}
+function enqueuePush(payload) {
+  return jobQueue.enqueue('push', payload, { dedupeKey: `push:${payload.id}` });
+}
 
+jobQueue.start();
+
+// pre-warm + jadwal
+['today', 'this', 'prev', 'next'].forEach((tab) => enqueueJob('calendar', { tab }));
+enqueueJob('news', { lang: 'en' });
+enqueueJob('news', { lang: 'id' });
+enqueueJob('historical', {});
+enqueueJob('maintenance', { task: 'tags-backfill' });
+enqueueJob('maintenance', { task: 'categories-backfill' });
+enqueueJob('maintenance', { task: 'langdetect-backfill' });
+enqueueJob('maintenance', { task: 'story-clusters-backfill' });
+
+// ====================== scheduler (cron, market-hours aware) ======================
+// Jadwal dari services/schedule.js (default / SCHEDULE_CONFIG / SCHEDULE_<NAME>). Tick tiap 15 detik,
+// tiap menit dievaluasi sekali; SET NX per menit supaya beberapa instance tidak enqueue dobel.
+const schedules = loadScheduleConfig();
+const SCHED_TICK_MS = 15_000;
+let schedLastMinute = Math.floor(Date.now() / 60_000);
+
+async function calendarTodayEvents() {
+  if (calendarCache.today.data.length) return calendarCache.today.data;
+  const raw = await redis.get(calKey('today'));
+  return raw ? JSON.parse(raw).data || [] : [];
+}
 
-// ====== SCHEDULERS (Calendar serialized + single global lock) ======
-const CAL_LOCK_KEY = 'lock:cal:GLOBAL';
+async function runScheduleMinute(minute) {
+  const at = new Date(minute * 60_000);
+  const t = zonedParts(at, schedules.tz);
+  for (const entry of schedules.entries) {
+    if (!cronMatches(entry.cron, t)) continue;
+    const reason = skipReason(entry, t);
+    if (reason) { console.log(`⏸️ schedule ${entry.name} skipped (${reason})`); continue; }
+    if (!(await redis.set(`sched:${entry.name}:${minute}`, '1', 'NX', 'EX', 180))) continue;
+    await enqueueJob(entry.job, entry.payload);
+  }
 
-function scheduleCal(fn) {
-  enqueueCal(() => withLock(CAL_LOCK_KEY, 120, fn));
+  // burst: calendar "today" lebih sering di sekitar rilis high-impact
+  const { burst } = schedules;
+  if (!burst || minute % burst.everyMinutes !== 0) return;
+  const hot = burstEvents(await calendarTodayEvents(), t, burst);
+  if (!hot.length) return;
+  if (!(await redis.set(`sched:calendar-burst:${minute}`, '1', 'NX', 'EX', 180))) return;
+  console.log(`⚡ calendar burst: ${hot.map((e) => `${e.time} ${e.currency} ${e.event}`).slice(0, 3).join(' | ')}`);
+  await enqueueJob('calendar', { tab: 'today' });
 }
-setInterval(() => scheduleCal(scrapeCalendarToday), 15 * 60 * 1000);
-setInterval(() => scheduleCal(scrapeCalendarThisWeek), 15 * 60 * 1000 + 10_000);
-setInterval(() => scheduleCal(scrapeCalendarPrevWeek), 15 * 60 * 1000 + 20_000);
-setInterval(() => scheduleCal(scrapeCalendarNextWeek), 15 * 60 * 1000 + 30_000);
 
-// ============================== schedulers (lain) ============================
-withLock('lock:scrapeNews:en', 300, () => scrapeNewsByLang('en'));
-withLock('lock:scrapeNews:id', 300, () => scrapeNewsByLang('id'));
-withLock('lock:hist:all', 3600, () => scrapeAllHistoricalData());
+setInterval(async () => {
+  const now = Math.floor(Date.now() / 60_000);
+  // tick telat (event loop sibuk) → kejar menit yang terlewat, maks 5
+  const from = Math.max(schedLastMinute + 1, now - 4);
+  schedLastMinute = Math.max(schedLastMinute, now);
+  for (let m = from; m <= now; m++) {
+    await runScheduleMinute(m).catch((e) => console.error('❌ scheduler tick error:', e.message));
+  }
+}, SCHED_TICK_MS);
 
-setInterval(() => withLock('lock:hist:all', 3600, () => scrapeAllHistoricalData()), 4 * 60 * 60 * 1000);
-setInterval(() => withLock('lock:scrapeNews:en', 300, () => scrapeNewsByLang('en')), 5 * 60 * 1000);
-setInterval(() => withLock('lock:scrapeNews:id', 300, () => scrapeNewsByLang('id')), 5 * 60 * 1000);
+console.log(`🗓️ Scheduler (${schedules.tz}): ${schedules.entries.map((e) => `${e.name}="${e.cron.expr}"`).join(', ')}`);
 
 // ================================ historical ================================
 const BASE_URL = 'https://newsmaker.id/index.php/en/historical-data-2';
@@ -1062,19 +1272,10 @@ const MAX_CONCURRENT_SCRAPES = 10;
 let cachedSymbols = null;
 let cachedSymbolsTimestamp = 0;
 
-function parseNumber(str) {
-  if (str === undefined || str === null || str === '') return null;
-  str = String(str);
-  const cleaned = str.replace(/,/g, '').trim();
-  if (cleaned === '' || cleaned === '-') return null;
-  const parsed = parseFloat(cleaned);
-  return isNaN(parsed) ? null : parsed;
-}
-
 async function getAllSymbols() {
   const now = Date.now();
   if (cachedSymbols && now - cachedSymbolsTimestamp) return cachedSymbols;
-  const { data } = await axios.get(BASE_URL, { headers: HTML_HEADERS });
+  const { data } = await upstream.get(BASE_URL, { headers: HTML_HEADERS });
   const $ = cheerio.load(data);
   const options = $('select[name="cid"] option');
   const symbols = [];
@@ -1091,48 +1292,25 @@ async function getAllSymbols() {
 async function scrapePageForSymbol(cid, start, retries = 3, backoff = 1000) {
   try {
     const url = `${BASE_URL}?cid=${cid}&period=d&start=${start}`;
-    const { data } = await axios.get(url, { timeout: 120000, headers: HTML_HEADERS, maxRedirects: 3 });
+    const { data } = await upstream.get(url, { timeout: 120000, headers: HTML_HEADERS, maxRedirects: 3 });
+    scrapeRunCount('pages_fetched');
     const $ = cheerio.load(data);
-    const table = $('table.table.table-striped.table-bordered');
-    if (table.length === 0) return [];
-    const rows = table.find('tbody tr');
-    const result = [];
-
-    rows.each((i, row) => {
-      const $row = $(row);
-      const cols = $row.find('td');
-      let hasColspan = false;
-      cols.each((_, col) => { if ($(col).attr('colspan')) { hasColspan = true; return false; } });
-      if (hasColspan) {
-        const date = cols.first().text().trim();
-        const event = cols.last().text().trim();
-        result.push({ date, event, open: null, high: null, low: null, close: null, change: null, volume: null, openInterest: null });
-        return;
-      }
-      const textCols = cols.map((_, el) => $(el).text().trim()).get();
-      if (!textCols.length) return;
-      const rowData = {
-        date: textCols[0] || null,
-        open: parseNumber(textCols[1]),
-        high: parseNumber(textCols[2]),
-        low: parseNumber(textCols[3]),
-        close: parseNumber(textCols[4]),
-        change: textCols[5] || null,
-        volume: parseNumber(textCols[6]),
-        openInterest: parseNumber(textCols[7]),
-      };
-      if (rowData.date && (rowData.open !== null || rowData.close !== null || rowData.high !== null || rowData.low !== null)) {
-        result.push(rowData);
-      }
-    });
-
-    return result;
+    const parsed = parseHistoricalTable($);
+    if (!parsed) {
+      const blocked = isWafOrChallenge($);
+      if (blocked) scrapeRunCount('waf_hits');
+      await checkParse('historical', { url, blocked, structure: false, expectItems: start === 0 });
+      return [];
+    }
+    await checkParse('historical', { url, nodes: parsed.nodes, items: parsed.items, expectItems: start === 0 });
+    return parsed.items;
   } catch (err) {
     if (retries > 0) {
       await delay(backoff);
       return scrapePageForSymbol(cid, start, retries - 1, backoff * 2);
     } else {
       console.error(`❌ scrapePageForSymbol failed:`, err.message);
+      scrapeRunError(err, `cid=${cid}&start=${start}`);
       return [];
     }
   }
@@ -1169,7 +1347,11 @@ async function scrapeAllDataForSymbol(cid, maxRows = 5000) {
   return allData;
 }
 
-async function scrapeAllHistoricalData() {
+function scrapeAllHistoricalData() {
+  return trackScrapeRun('historical', 'all', () => scrapeAllHistoricalDataRun());
+}
+
+async function scrapeAllHistoricalDataRun() {
   const symbols = await getAllSymbols();
   const executing = new Set();
 
@@ -1179,61 +1361,99 @@ async function scrapeAllHistoricalData() {
     return p;
   }
 
-  await Promise.all(
-    symbols.map(({ cid, name }) =>
-      runWithLimit(async () => {
-        const data = await scrapeAllDataForSymbol(cid);
-        for (const row of data) {
-          try {
-            await HistoricalData.findOrCreate({
-              where: { symbol: name, date: row.date },
-              defaults: {
-                event: row.event || null,
-                open: row.open, high: row.high, low: row.low, close: row.close,
-                change: row.change, volume: row.volume, openInterest: row.openInterest,
-              },
-            });
-          } catch (err) {
-            console.error(`❌ save row ${name} (${row.date}):`, err.message);
-          }
-        }
-
-        const cacheKey = `historical:${name.toLowerCase()}:all`;
-        try {
-          await redis.set(cacheKey, JSON.stringify({ status: 'success', symbol: name, data, updatedAt: new Date() }), 'EX', 60 * 60 * 2);
-        } catch (err) {
-          console.error(`❌ Redis cache error for ${name}:`, err.message);
-        }
-      })
-    )
-  );
+  await Promise.all(symbols.map((sym) => runWithLimit(() => saveHistoricalForSymbol(sym))));
 
   return true;
 }
 
-// ============================= author fallback ============================
-async function fillAuthorFromIDIfMissing(data) {
-  const row = data.toJSON ? data.toJSON() : { ...data };
-  if ((row.language || '').toLowerCase() !== 'en') return row;
-  if (row.author || row.author_name) return row;
+async function saveHistoricalForSymbol({ cid, name }) {
+  const data = await scrapeAllDataForSymbol(cid);
+  scrapeRunCount('items_found', data.length);
+  for (const row of data) {
+    try {
+      const [, created] = await HistoricalData.findOrCreate({
+        where: { symbol: name, date: row.date },
+        defaults: {
+          event: row.event || null,
+          open: row.open, high: row.high, low: row.low, close: row.close,
+          change: row.change, volume: row.volume, openInterest: row.openInterest,
+        },
+      });
+      if (created) scrapeRunCount('items_new');
+    } catch (err) {
+      console.error(`❌ save row ${name} (${row.date}):`, err.message);
+      scrapeRunError(err, `${name} ${row.date}`);
+    }
+  }
 
-  const { Op } = require('sequelize');
-  let altLink = null;
-  if (row.link) altLink = row.link.replace('/index.php/en/', '/index.php/id/').replace('/en/', '/id/');
+  const cacheKey = `historical:${name.toLowerCase()}:all`;
+  try {
+    await redis.set(cacheKey, JSON.stringify({ status: 'success', symbol: name, data, updatedAt: new Date() }), 'EX', 60 * 60 * 2);
+  } catch (err) {
+    console.error(`❌ Redis cache error for ${name}:`, err.message);
+  }
+  return data.length;
+}
 
-  let match = null;
-  if (altLink) {
-    match = await News.findOne({
-      where: { language: 'id', link: altLink },
-      attributes: ['author', 'author_name'],
-      order: [['published_at', 'DESC']],
+// satu simbol saja (trigger admin); simbol = nama (mis. "LGD Daily") atau cid
+function scrapeHistoricalForSymbol(sym) {
+  return trackScrapeRun('historical', sym.name, () => saveHistoricalForSymbol(sym));
+}
+async function findHistoricalSymbol(input) {
+  const q = String(input || '').trim().toLowerCase();
+  if (!q) return null;
+  const symbols = await getAllSymbols();
+  return symbols.find((s) => String(s.cid).toLowerCase() === q || s.name.toLowerCase() === q) || null;
+}
+
+// ========================= translations (EN ↔ ID) =========================
+function otherLang(lang) { return resolveLang(lang) === 'en' ? 'id' : 'en'; }
+
+// gambar sama hanya dianggap pasangan kalau terbitnya berdekatan (stock image dipakai ulang berhari-hari)
+const TRANSLATION_IMAGE_WINDOW_HOURS = 6;
+
+/**
+ * Pasangan pasti untuk translation_group (permanen): 1) link di-rewrite /en/ ↔ /id/,
+ * 2) image sama DAN terbit dalam ±TRANSLATION_IMAGE_WINDOW_HOURS.
+ */
+async function findTranslationPair(row, targetLang, attributes = ['id', 'translation_group']) {
+  const { Op } = require('sequelize');
+  const fromLang = (row.language || '').toLowerCase();
+
+  if (row.link) {
+    const altLink = row.link
+      .replace(`/index.php/${fromLang}/`, `/index.php/${targetLang}/`)
+      .replace(`/${fromLang}/`, `/${targetLang}/`);
+    if (altLink !== row.link) {
+      const match = await News.findOne({ where: { language: targetLang, link: altLink }, attributes, logging: false });
+      if (match) return match;
+    }
+  }
+  if (row.image && row.published_at) {
+    const t = new Date(row.published_at);
+    const w = TRANSLATION_IMAGE_WINDOW_HOURS * 60 * 60 * 1000;
+    return News.findOne({
+      where: { language: targetLang, image: row.image, published_at: { [Op.between]: [new Date(t.getTime() - w), new Date(t.getTime() + w)] } },
+      attributes,
+      order: [[sequelize.literal(`ABS(TIMESTAMPDIFF(SECOND, published_at, ${sequelize.escape(t)}))`), 'ASC']],
       logging: false,
     });
   }
+  return null;
+}
+
+/**
+ * Tebakan versi bahasa lain, hanya untuk meminjam data ringan (author di fillAuthorFromIDIfMissing),
+ * TIDAK untuk translation_group: pasangan pasti, lalu image sama (tanpa batas waktu),
+ * lalu artikel terdekat ±6 jam (kategori & source sama).
+ */
+async function findTranslationCounterpart(row, targetLang, attributes = ['id', 'author', 'author_name', 'translation_group']) {
+  const { Op } = require('sequelize');
+  let match = await findTranslationPair(row, targetLang, attributes);
   if (!match && row.image) {
     match = await News.findOne({
-      where: { language: 'id', image: row.image },
-      attributes: ['author', 'author_name'],
+      where: { language: targetLang, image: row.image },
+      attributes,
       order: [['published_at', 'DESC']],
       logging: false,
     });
@@ -1242,115 +1462,896 @@ async function fillAuthorFromIDIfMissing(data) {
     const t = new Date(row.published_at);
     const t1 = new Date(t.getTime() - 6 * 60 * 60 * 1000);
     const t2 = new Date(t.getTime() + 6 * 60 * 60 * 1000);
-    const where = { language: 'id', published_at: { [Op.between]: [t1, t2] } };
+    const where = { language: targetLang, published_at: { [Op.between]: [t1, t2] } };
     if (row.category) where.category = row.category;
     if (row.source_name) where.source_name = row.source_name;
     match = await News.findOne({
       where,
-      attributes: ['author', 'author_name'],
-      order: [['published_at', 'DESC']],
+      attributes,
+      order: [[sequelize.literal(`ABS(TIMESTAMPDIFF(SECOND, published_at, ${sequelize.escape(t)}))`), 'ASC']],
       logging: false,
     });
   }
-  if (match) {
-    const m = match.toJSON ? match.toJSON() : match;
-    row.author = row.author || m.author || null;
-    row.author_name = row.author_name || m.author_name || toAuthorName(m.author) || null;
-  }
-  return row;
+  return match;
 }
 
-// ================================== API ==================================
-// NEWS EN
-app.get('/api/news', async (req, res) => {
+// Scraper, job translate dan translations-backfill bisa menautkan baris yang sama bersamaan →
+// translation_group hanya diisi kalau masih kosong; false = sudah diisi proses lain.
+async function claimTranslationGroup(id, group) {
+  const [affected] = await News.update({ translation_group: group }, { where: { id, translation_group: null }, hooks: false, silent: true, logging: false });
+  return affected > 0;
+}
+
+async function currentTranslationGroup(id) {
+  const cur = await News.findByPk(id, { attributes: ['translation_group'], raw: true, logging: false });
+  return cur?.translation_group || null;
+}
+
+/**
+ * Pastikan row punya translation_group; kalau pasangan pasti (findTranslationPair) ditemukan,
+ * dua-duanya diberi group yang sama. Hanya dari jalur scraper / maintenance, bukan dari GET.
+ * Return group id (atau null kalau belum ada pasangan).
+ */
+async function ensureTranslationGroup(row) {
+  if (row.translation_group) return row.translation_group;
+  const lang = (row.language || '').toLowerCase();
+  const match = await findTranslationPair(row, otherLang(lang), ['id', 'translation_group']);
+  if (!match) return null;
+
+  let group = match.translation_group;
+  let created = false;
+  if (!group) {
+    group = crypto.randomUUID();
+    created = await claimTranslationGroup(match.id, group);
+    if (!created) group = await currentTranslationGroup(match.id); // baru saja ditautkan proses lain
+    if (!group) return null;
+  }
+  if (!created) {
+    // versi terjemahan mesin di bahasa kita diganti artikel asli yang baru masuk
+    if (!row.machine_translated) await removeMachineTranslations(group, lang);
+    // pasangan sudah punya versi bahasa kita → jangan bikin grup isi 3
+    const taken = await News.count({ where: { translation_group: group, language: lang }, logging: false });
+    if (taken > 0) return null;
+  }
+
+  if (!(await claimTranslationGroup(row.id, group))) {
+    row.translation_group = await currentTranslationGroup(row.id);
+    return row.translation_group;
+  }
+  // cek ulang: baris lain berbahasa sama bisa masuk di antara count dan update → id terkecil yang bertahan
+  const members = await News.findAll({ where: { translation_group: group, language: lang }, attributes: ['id'], order: [['id', 'ASC']], raw: true, logging: false });
+  if (members.length > 1 && members[0].id !== row.id) {
+    await News.update({ translation_group: null }, { where: { id: row.id, translation_group: group }, hooks: false, silent: true, logging: false });
+    return null;
+  }
+  row.translation_group = group;
+  return group;
+}
+
+// dipanggil scraper setelah upsert
+async function linkTranslationsForRows(rows) {
+  for (const r of rows) {
+    try {
+      const rowDb = await News.findOne({
+        where: { link: r.link, language: r.language },
+        attributes: ['id', 'link', 'image', 'category', 'source_name', 'language', 'published_at', 'translation_group', 'machine_translated'],
+        logging: false,
+      });
+      if (!rowDb || rowDb.translation_group) continue;
+      const group = await ensureTranslationGroup(rowDb.toJSON());
+      if (group) console.log(`🌐 translation linked (${group}) -> ${r.link}`);
+    } catch (e) {
+      console.error('⚠️ link translation failed:', e.message);
+    }
+  }
+}
+
+// baris lama (sebelum ada translation_group / artikel yang pasangannya masuk belakangan)
+const TRANSLATION_BACKFILL_DAYS = 30;
+async function backfillTranslationGroups() {
+  const { Op } = require('sequelize');
+  const since = new Date(Date.now() - TRANSLATION_BACKFILL_DAYS * 86400 * 1000);
+  let lastId = 0;
+  let linked = 0;
+  for (;;) {
+    const rows = await News.findAll({
+      where: { id: { [Op.gt]: lastId }, translation_group: null, machine_translated: false, published_at: { [Op.gte]: since } },
+      attributes: ['id', 'link', 'image', 'language', 'published_at', 'translation_group', 'machine_translated'],
+      order: [['id', 'ASC']],
+      limit: 200,
+      raw: true,
+      logging: false,
+    });
+    if (!rows.length) break;
+    lastId = rows[rows.length - 1].id;
+    for (const row of rows) {
+      if (await ensureTranslationGroup(row)) linked++;
+    }
+  }
+  console.log(`🌐 translation backfill: ${linked} article(s) linked`);
+}
+
+// ========================== machine translation ==========================
+// Artikel yang tidak punya versi bahasa lain setelah TRANSLATE_DELAY_MINUTES (default 90; versi asli biasanya
+// menyusul) diterjemahkan → baris baru machine_translated=1, translated_from_id = id asli, translation_group sama.
+// Kalau versi asli datang belakangan, baris mesin dihapus (ensureTranslationGroup).
+// TRANSLATE_PROVIDER=google|stub|off (default google kalau ada kredensial Google, selain itu off).
+const TRANSLATE_PROVIDER = (process.env.TRANSLATE_PROVIDER
+  || (process.env.GOOGLE_TRANSLATE_API_KEY || process.env.GOOGLE_APPLICATION_CREDENTIALS ? 'google' : 'off')).toLowerCase();
+const TRANSLATE_DELAY_MINUTES = Number(process.env.TRANSLATE_DELAY_MINUTES || 90);
+const TRANSLATE_MAX_AGE_HOURS = Number(process.env.TRANSLATE_MAX_AGE_HOURS || 48);
+let translator = null;
+if (TRANSLATE_PROVIDER !== 'off') {
   try {
-    const { category = 'all', search = '', page = '1', limit = '500', fields = '' } = req.query;
+    translator = createTranslator({ provider: TRANSLATE_PROVIDER, redis });
+    console.log(`🌐 Machine translation: ${translator.name} (delay ${TRANSLATE_DELAY_MINUTES}m)`);
+  } catch (e) {
+    console.error('❌ translation provider init failed:', e.message);
+  }
+}
+
+async function removeMachineTranslations(group, lang) {
+  const rows = await News.findAll({ where: { translation_group: group, language: lang, machine_translated: true }, attributes: ['id'], raw: true, logging: false });
+  if (!rows.length) return 0;
+  const ids = rows.map((x) => x.id);
+  await NewsTag.destroy({ where: { news_id: ids }, logging: false });
+  await News.destroy({ where: { id: ids }, logging: false });
+  await redis.del(...ids.map((id) => `news:item:${id}`));
+  console.log(`🌐 replaced machine translation(s) ${ids.join(', ')} with original (${lang})`);
+  return ids.length;
+}
+
+// dipanggil setelah upsert: artikel baru tanpa pasangan → job translate (tertunda)
+async function scheduleTranslations(rows) {
+  if (!translator) return;
+  const minPub = Date.now() - TRANSLATE_MAX_AGE_HOURS * 3600 * 1000;
+  for (const r of rows) {
+    try {
+      const rowDb = await News.findOne({ where: { link: r.link, language: r.language }, attributes: ['id', 'translation_group', 'machine_translated', 'published_at'], raw: true, logging: false });
+      if (!rowDb || rowDb.translation_group || rowDb.machine_translated) continue;
+      if (new Date(rowDb.published_at).getTime() < minPub) continue;
+      await jobQueue.enqueue('translate', { id: rowDb.id }, { dedupeKey: `translate:${rowDb.id}`, delayMs: TRANSLATE_DELAY_MINUTES * 60_000 });
+    } catch (e) {
+      console.error('⚠️ schedule translation failed:', e.message);
+    }
+  }
+}
+
+/** buat (atau perbarui) versi terjemahan mesin artikel id; null kalau tidak perlu */
+async function translateNewsRow(id) {
+  if (!translator) throw new Error('machine translation disabled (TRANSLATE_PROVIDER=off)');
+  const src = await News.findByPk(id, { raw: true, logging: false });
+  if (!src || src.machine_translated) return null;
+  const to = otherLang(src.language);
+
+  let existing = null;
+  if (!src.translation_group) await ensureTranslationGroup(src); // versi asli mungkin sudah masuk
+  if (src.translation_group) {
+    existing = await News.findOne({ where: { translation_group: src.translation_group, language: to }, attributes: ['id', 'machine_translated'], raw: true, logging: false });
+    if (existing && !existing.machine_translated) return null;
+  }
+
+  const tr = await translator.translateArticle(src, src.language, to);
+  const body = tr.detail_html ? parseArticleBody(tr.detail_html) : null;
+  const group = src.translation_group || crypto.randomUUID();
+  const fields = {
+    title: tr.title,
+    summary: tr.summary,
+    detail: tr.detail,
+    detail_html: body?.html || null,
+    detail_blocks: body?.blocks?.length ? body.blocks : null,
+  };
+
+  let row;
+  if (existing) {
+    await News.update(fields, { where: { id: existing.id }, logging: false });
+    row = { id: existing.id, ...fields };
+  } else {
+    const created = await News.create({
+      ...fields,
+      link: src.link, // unik per (link, language) → link asli tetap jadi source_url
+      source_url: src.source_url,
+      source_name: src.source_name,
+      language: to,
+      image: src.image,
+      image_hash: src.image_hash,
+      category: src.category,
+      category_id: src.category_id,
+      date: src.date,
+      author: src.author,
+      author_name: src.author_name,
+      published_at: src.published_at,
+      translation_group: group,
+      machine_translated: true,
+      translated_from_id: src.id,
+      push_state: 'skipped', // terjemahan mesin tidak di-push
+    }, { logging: false });
+    row = created.toJSON();
+    // versi asli ditautkan proses lain selagi menerjemahkan → terjemahan mesin tidak dipakai
+    if (!src.translation_group && !(await claimTranslationGroup(src.id, group))) {
+      await News.destroy({ where: { id: row.id }, logging: false });
+      console.log(`🌐 machine translation #${row.id} dropped: #${src.id} was linked meanwhile`);
+      return null;
+    }
+  }
+  await saveNewsTags(row.id, fields);
+  await redis.del(`news:item:${row.id}`, `news:item:${src.id}`);
+  console.log(`🌐 machine translation ${src.language}→${to} #${row.id} (from #${src.id})`);
+  return { id: row.id, from_id: src.id, language: to, provider: translator.name, updated: Boolean(existing) };
+}
+
+// ============================ instrument tags =============================
+// simpan ulang tag satu artikel (hapus lama → insert baru)
+async function saveNewsTags(newsId, article) {
+  const tags = tagArticle(article);
+  await NewsTag.destroy({ where: { news_id: newsId }, logging: false });
+  if (tags.length) {
+    await NewsTag.bulkCreate(tags.map((t) => ({ news_id: newsId, ...t })), { logging: false });
+  }
+  return tags;
+}
+
+async function tagNewsRows(rows) {
+  for (const r of rows) {
+    try {
+      const rowDb = await News.findOne({ where: { link: r.link, language: r.language }, attributes: ['id'], logging: false });
+      if (!rowDb) continue;
+      const tags = await saveNewsTags(rowDb.id, r);
+      if (tags.length) console.log(`🏷️ tags [${tags.map((t) => t.tag).join(', ')}] -> ${r.link}`);
+    } catch (e) {
+      console.error('⚠️ tag news failed:', e.message);
+    }
+  }
+}
+
+async function loadNewsTags(newsId) {
+  const rows = await NewsTag.findAll({ where: { news_id: newsId }, attributes: ['tag', 'kind', 'hits'], order: [['hits', 'DESC']], raw: true });
+  return rows;
+}
+
+// backfill artikel lama (sekali jalan, lanjut dari id terakhir yang tercatat di redis)
+async function backfillNewsTags(batchSize = 200) {
+  const { Op } = require('sequelize');
+  const progressKey = 'tags:backfill:lastId';
+  let lastId = parseInt(await redis.get(progressKey), 10) || 0;
+  let total = 0;
+  while (true) {
+    const rows = await News.findAll({
+      where: { id: { [Op.gt]: lastId } },
+      attributes: ['id', 'title', 'summary', 'detail'],
+      order: [['id', 'ASC']],
+      limit: batchSize,
+      raw: true,
+      logging: false,
+    });
+    if (!rows.length) break;
+    for (const r of rows) {
+      try { await saveNewsTags(r.id, r); } catch (e) { console.error(`⚠️ backfill tag #${r.id}:`, e.message); }
+    }
+    lastId = rows[rows.length - 1].id;
+    total += rows.length;
+    await redis.set(progressKey, String(lastId));
+  }
+  if (total) console.log(`🏷️ tag backfill done (${total} rows)`);
+}
+
+// ========================== category_id backfill ==========================
+// baris lama hanya punya label bebas → isi category_id lewat registry (per label unik)
+async function backfillCategoryIds() {
+  const { QueryTypes } = require('sequelize');
+  const labels = await sequelize.query(
+    `SELECT DISTINCT category FROM \`${News.getTableName()}\` WHERE category_id IS NULL AND category IS NOT NULL`,
+    { type: QueryTypes.SELECT }
+  );
+  let updated = 0;
+  for (const { category } of labels) {
+    const cat = resolveCategoryFromLabel(category);
+    if (!cat) continue;
+    const [n] = await News.update({ category_id: cat.id }, { where: { category, category_id: null }, hooks: false, silent: true, logging: false });
+    updated += n;
+  }
+  if (updated) console.log(`🗂️ category_id backfill: ${updated} rows`);
+}
+
+// detected_lang untuk baris lama (sebelum langdetect). Tidak memindahkan apa pun, hanya mengisi kolom.
+async function backfillDetectedLanguage() {
+  const { Op } = require('sequelize');
+  let lastId = 0;
+  let updated = 0;
+  let mismatched = 0;
+  for (;;) {
+    const rows = await News.findAll({
+      where: { id: { [Op.gt]: lastId }, detected_lang: null, machine_translated: false },
+      attributes: ['id', 'language', 'title', 'summary', 'detail'],
+      order: [['id', 'ASC']],
+      limit: 200,
+      raw: true,
+      logging: false,
+    });
+    if (!rows.length) break;
+    lastId = rows[rows.length - 1].id;
+    for (const row of rows) {
+      const { lang, confidence } = detectItemLanguage(row);
+      if (!lang) continue;
+      await News.update({ detected_lang: lang, lang_confidence: confidence }, { where: { id: row.id }, hooks: false, silent: true, logging: false });
+      updated++;
+      if (lang !== row.language && confidence >= LANG_REVIEW_MIN_CONFIDENCE) mismatched++;
+    }
+  }
+  console.log(`🈂️ detected_lang backfill: ${updated} rows (${mismatched} look like the other language)`);
+}
+
+// ============================ revision history ============================
+// Koreksi editor ketahuan saat re-scrape: bandingkan baris DB sebelum upsert dengan hasil baru,
+// simpan diff ke news_revisions, naikkan revision_count (→ flag "updated" di API).
+function listingChanged(dbRow, item) {
+  if (!dbRow) return false;
+  const s = (v) => String(v || '').trim();
+  return ['title', 'summary', 'image'].some((k) => s(item[k]) && s(item[k]) !== s(dbRow[k]));
+}
+
+async function loadRevisionBaseline(rows) {
+  const rowsDb = await News.findAll({
+    where: { link: rows.map((r) => r.link) },
+    attributes: ['id', 'link', 'language', 'revision_count', ...TRACKED_FIELDS],
+    raw: true,
+    logging: false,
+  });
+  return new Map(rowsDb.map((r) => [`${r.language}|${r.link}`, r]));
+}
+
+async function recordNewsRevisions(rows, baseline) {
+  let recorded = 0;
+  for (const r of rows) {
+    const before = baseline.get(`${r.language}|${r.link}`);
+    if (!before) continue; // artikel baru, bukan revisi
+    const { fields, changes } = diffNewsRows(before, r);
+    if (!fields.length) continue;
+    try {
+      const revision = (before.revision_count || 0) + 1;
+      await NewsRevision.create({ news_id: before.id, revision, fields, changes }, { logging: false });
+      await News.update(
+        { revision_count: revision, revised_at: new Date() },
+        { where: { id: before.id }, hooks: false, silent: true, logging: false }
+      );
+      before.revision_count = revision;
+      try { await redis.del(`news:item:${before.id}`, `news:item:${before.id}:revisions`); } catch { }
+      console.log(`📝 revision #${revision} [${fields.join(', ')}] -> ${r.link}`);
+      recorded++;
+    } catch (e) {
+      console.error('⚠️ record revision failed:', e.message);
+    }
+  }
+  return recorded;
+}
+
+// ====================== post-processing setelah upsert ======================
+async function postProcessNewsRows(rows) {
+  await clusterNewsRows(rows);
+  await linkTranslationsForRows(rows);
+  await tagNewsRows(rows);
+  await scheduleTranslations(rows);
+}
+
+// ============================== story clusters ==============================
+// Berita yang sama dengan judul/link sedikit beda (atau diposting di dua kategori) → satu story_cluster_id
+// (= id anggota pertama). Dicari di bahasa yang sama, ±STORY_CLUSTER_WINDOW_HOURS dari published_at.
+// Cluster yang sudah ditetapkan tidak dipindah: revisi kecil hanya memperbarui simhash.
+const STORY_CLUSTER_MAX_DISTANCE = Math.max(parseInt(process.env.STORY_CLUSTER_MAX_DISTANCE || '4', 10) || 0, 0);
+const STORY_CLUSTER_WINDOW_HOURS = Math.max(parseInt(process.env.STORY_CLUSTER_WINDOW_HOURS || '72', 10) || 1, 1);
+const STORY_CLUSTER_ATTRS = ['id', 'language', 'title', 'summary', 'detail', 'published_at', 'simhash', 'story_cluster_id'];
+
+async function assignStoryCluster(row) {
+  const hash = simhash(row.title, [row.summary, row.detail].filter(Boolean).join('\n'));
+  if (!hash) return row.story_cluster_id || null;
+  if (row.story_cluster_id) {
+    if (hash !== row.simhash) await News.update({ simhash: hash }, { where: { id: row.id }, hooks: false, silent: true, logging: false });
+    return row.story_cluster_id;
+  }
+
+  const { Op } = require('sequelize');
+  const pub = +ensureDate(row.published_at);
+  const windowMs = STORY_CLUSTER_WINDOW_HOURS * 3600 * 1000;
+  const candidates = await News.findAll({
+    where: {
+      language: row.language,
+      id: { [Op.ne]: row.id },
+      simhash: { [Op.ne]: null },
+      published_at: { [Op.between]: [new Date(pub - windowMs), new Date(pub + windowMs)] },
+    },
+    attributes: ['id', 'simhash', 'story_cluster_id'],
+    raw: true,
+    logging: false,
+  });
+  const best = nearestStory(hash, candidates, STORY_CLUSTER_MAX_DISTANCE);
+  const clusterId = best ? best.clusterId : row.id;
+  await News.update({ simhash: hash, story_cluster_id: clusterId }, { where: { id: row.id }, hooks: false, silent: true, logging: false });
+  if (best) console.log(`🧬 news #${row.id} ≈ #${best.id} (distance ${best.distance}) → story ${clusterId}`);
+  return clusterId;
+}
+
+async function clusterNewsRows(rows) {
+  for (const r of rows) {
+    try {
+      const row = await News.findOne({ where: { link: r.link, language: r.language }, attributes: STORY_CLUSTER_ATTRS, raw: true, logging: false });
+      if (row) await assignStoryCluster(row);
+    } catch (e) {
+      console.warn(`⚠️ story cluster failed for ${r.link}:`, e.message);
+    }
+  }
+}
+
+// satu push per story: anggota cluster berikutnya tidak dikirim lagi (3 hari, sama dengan dedupe push).
+// Return id artikel yang sudah "memegang" story, atau null kalau boleh dikirim.
+async function duplicatePushOf({ id, language }) {
+  const row = await News.findByPk(id, { attributes: STORY_CLUSTER_ATTRS, raw: true, logging: false });
+  if (!row) return null;
+  // job push bisa jalan sebelum post-processing selesai → cluster dihitung di sini kalau belum ada
+  const clusterId = row.story_cluster_id || await assignStoryCluster(row);
+  if (!clusterId) return null;
+  return claimStoryPush(redis, { lang: resolveLang(language || row.language), clusterId, id });
+}
+
+async function backfillStoryClusters() {
+  const { Op } = require('sequelize');
+  let lastId = 0;
+  let clustered = 0;
+  for (;;) {
+    const rows = await News.findAll({
+      where: { id: { [Op.gt]: lastId }, simhash: null, machine_translated: false },
+      attributes: STORY_CLUSTER_ATTRS,
+      order: [['id', 'ASC']],
+      limit: 200,
+      raw: true,
+      logging: false,
+    });
+    if (!rows.length) break;
+    lastId = rows[rows.length - 1].id;
+    for (const row of rows) {
+      if ((await assignStoryCluster(row)) !== row.id) clustered++;
+    }
+  }
+  console.log(`🧬 story cluster backfill done (${clustered} rows joined an existing story)`);
+}
+
+// ============================= author fallback ============================
+async function fillAuthorFromIDIfMissing(data) {
+  const row = data.toJSON ? data.toJSON() : { ...data };
+  if ((row.language || '').toLowerCase() !== 'en') return row;
+  if (row.author || row.author_name) return row;
+
+  let match = null;
+  if (row.translation_group) {
+    match = await News.findOne({
+      where: { language: 'id', translation_group: row.translation_group },
+      attributes: ['author', 'author_name'],
+      logging: false,
+    });
+  }
+  if (!match) match = await findTranslationCounterpart(row, 'id', ['author', 'author_name']);
+  if (match) {
+    const m = match.toJSON ? match.toJSON() : match;
+    row.author = row.author || m.author || null;
+    row.author_name = row.author_name || m.author_name || toAuthorName(m.author) || null;
+  }
+  return row;
+}
+
+// ================================== API ==================================
+// ---- list handler (dipakai /api/news & /api/news-id) ----
+// Mode page (offset) tetap didukung; kalau ada ?cursor= pakai keyset (published_at, id)
+// supaya feed infinite-scroll tidak dobel/bolong saat scraper insert data baru.
+// ?count=0 → skip COUNT(*) (total = null).
+// ?search= → FULLTEXT (ft_news_text), urut relevance × recency, + snippet ber-<mark>.
+//            Hasil search pakai page (bukan cursor) karena urutannya bukan published_at.
+// ?from=&to= (ISO) atau ?year=&month= → rentang published_at; default 3 bulan terakhir.
+// ?symbol= / ?tag= (koma = OR) → artikel yang menyebut instrumen tsb (news_tags).
+// ?author= (inisial/alias) atau opts.author (dari /api/authors/:initial/news).
+// ?collapse=1 → satu artikel per story cluster (anggota terbaru, dalam kategori yang sama kalau difilter),
+//               + cluster_size.
+async function handleNewsList(req, res, lang, route, opts = {}) {
+  try {
+    const { category = 'all', search = '', page = '1', limit = '500', fields = '', cursor = '', count = '1', from = '', to = '', year = '', month = '' } = req.query;
+    const symbolParam = String(req.query.symbol || req.query.tag || '').trim();
+    const authorParam = opts.author || req.query.author || '';
+    const author = authorParam ? normalizeAuthorInitial(authorParam) : null;
+    if (authorParam && !author) return res.status(404).json({ error: 'Unknown author' });
     const p = Math.max(parseInt(page, 10) || 1, 1);
     const l = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 500);
     const attrs = normalizeFields(fields);
+    const withCount = !['0', 'false', 'no'].includes(String(count).toLowerCase());
+    const collapse = ['1', 'true', 'yes'].includes(String(req.query.collapse || '').toLowerCase());
+    const q = normalizeSearch(search);
     const { Op } = require('sequelize');
 
-    const cutoff = new Date(); cutoff.setMonth(cutoff.getMonth() - 3);
-    const where = { language: 'en', published_at: { [Op.gte]: cutoff } };
-    if (category !== 'all') where.category = { [Op.like]: `%${category}%` };
-    if (search) {
-      where[Op.or] = [
-        { title: { [Op.like]: `%${search}%` } },
-        { summary: { [Op.like]: `%${search}%` } },
-        { detail: { [Op.like]: `%${search}%` } },
-      ];
+    const after = cursor && !q ? decodeNewsCursor(cursor) : null;
+    if (cursor && !q && !after) return res.status(400).json({ error: 'Invalid cursor' });
+
+    const range = resolveNewsRange({ from, to, year, month });
+    if (range.error) return res.status(400).json({ error: range.error });
+
+    const where = { language: lang, published_at: {} };
+    if (range.from) where.published_at[Op.gte] = range.from;
+    if (range.to) where.published_at[Op.lt] = range.to;
+    const and = [];
+    // slug registry (commodity, analysis-market, …) → category_id; selain itu LIKE label lama
+    if (category !== 'all') {
+      const cat = categoryById(category);
+      if (cat) where.category_id = cat.id;
+      else where.category = { [Op.like]: `%${category}%` };
+    }
+    if (author) where.author = author;
+
+    const newsTable = News.getTableName().toString();
+    let clusterSize = null;
+    if (collapse) {
+      const sameCat = where.category_id ? ' AND s.category_id = `News`.`category_id`' : '';
+      and.push(sequelize.literal(
+        `(\`News\`.\`story_cluster_id\` IS NULL OR NOT EXISTS (SELECT 1 FROM \`${newsTable}\` s WHERE s.language = \`News\`.\`language\`
+          AND s.story_cluster_id = \`News\`.\`story_cluster_id\`${sameCat}
+          AND (s.published_at > \`News\`.\`published_at\` OR (s.published_at = \`News\`.\`published_at\` AND s.id > \`News\`.\`id\`))))`
+      ));
+      clusterSize = sequelize.literal(
+        `(CASE WHEN \`News\`.\`story_cluster_id\` IS NULL THEN 1 ELSE (SELECT COUNT(*) FROM \`${newsTable}\` s
+          WHERE s.language = \`News\`.\`language\` AND s.story_cluster_id = \`News\`.\`story_cluster_id\`${sameCat}) END)`
+      );
+    }
+
+    let tags = [];
+    if (symbolParam) {
+      const raw = symbolParam.split(',').map((x) => x.trim()).filter(Boolean);
+      tags = Array.from(new Set(raw.map(resolveTag).filter(Boolean)));
+      if (!tags.length) return res.status(400).json({ error: `Unknown symbol: ${symbolParam}` });
+      const tagTable = NewsTag.getTableName().toString();
+      and.push(sequelize.literal(
+        `\`News\`.\`id\` IN (SELECT news_id FROM \`${tagTable}\` WHERE tag IN (${tags.map((t) => sequelize.escape(t)).join(', ')}))`
+      ));
     }
 
-    const cacheKey = makeNewsCacheKey({ lang: 'en', category, search, page: p, limit: l, fields: attrs?.join(',') });
-    const cached = await redis.get(cacheKey);
-    if (cached) return sendWithETag(req, res, JSON.parse(cached), 30);
+    let relevance = null;
+    const terms = q ? searchTerms(q, lang) : [];
+    if (q) {
+      const ftq = buildBooleanQuery(q, lang);
+      if (ftq) {
+        const match = `MATCH(title, summary, detail) AGAINST(${sequelize.escape(ftq)} IN BOOLEAN MODE)`;
+        and.push(sequelize.literal(`${match} > 0`));
+        // decay: skor turun setengah tiap ~1 minggu
+        relevance = sequelize.literal(`(${match}) / (1 + TIMESTAMPDIFF(HOUR, published_at, NOW()) / 168)`);
+      } else {
+        // semua token < MIN_TOKEN (mis. "bi", "ai") → tidak ada di index, fallback LIKE judul/ringkasan
+        where[Op.or] = [
+          { title: { [Op.like]: `%${q}%` } },
+          { summary: { [Op.like]: `%${q}%` } },
+        ];
+      }
+    }
+    if (and.length) where[Op.and] = and;
 
-    const { rows, count } = await News.findAndCountAll({
-      where,
-      attributes: attrs || undefined,
-      order: [['published_at', 'DESC'], ['createdAt', 'DESC']],
-      limit: l,
-      offset: (p - 1) * l,
+    // range default (cutoff "sekarang") jangan masuk key, biar cache tetap kena
+    const cacheKey = makeNewsCacheKey({
+      lang, category, search: q, page: p, limit: l, fields: attrs?.join(','), cursor: after ? cursor : '', withCount,
+      from: range.isDefault ? null : range.from, to: range.isDefault ? null : range.to, tags, author, collapse,
     });
+    const cached = await redis.get(cacheKey);
+    if (cached) return sendWithETag(req, res, JSON.parse(cached), 30);
 
-    const data = rows.map(r => {
+    // kolom kunci cursor wajib ikut walau ?fields= membatasi; search butuh teks untuk snippet
+    const withImages = !attrs || attrs.includes('image');
+    const base = publicBaseUrl(req);
+    let queryAttrs = attrs ? Array.from(new Set([...attrs, 'id', 'published_at', 'revision_count', ...(withImages ? ['image_hash', 'category_id'] : []), ...(q ? ['title', 'summary', 'detail'] : [])])) : { exclude: NEWS_HEAVY_FIELDS };
+    const extraAttrs = [...(relevance ? [[relevance, 'relevance']] : []), ...(clusterSize ? [[clusterSize, 'cluster_size']] : [])];
+    if (extraAttrs.length) queryAttrs = Array.isArray(queryAttrs) ? [...queryAttrs, ...extraAttrs] : { ...queryAttrs, include: extraAttrs };
+
+    const pageWhere = after
+      ? {
+        ...where,
+        [Op.and]: [...and, {
+          [Op.or]: [
+            { published_at: { [Op.lt]: after.publishedAt } },
+            { published_at: after.publishedAt, id: { [Op.lt]: after.id } },
+          ],
+        }],
+      }
+      : where;
+
+    const [rows, total] = await Promise.all([
+      News.findAll({
+        where: pageWhere,
+        attributes: queryAttrs,
+        order: relevance ? [[sequelize.literal('relevance'), 'DESC'], ['id', 'DESC']] : [['published_at', 'DESC'], ['id', 'DESC']],
+        limit: l + 1,
+        offset: after ? 0 : (p - 1) * l,
+      }),
+      withCount ? News.count({ where }) : Promise.resolve(null),
+    ]);
+
+    const hasMore = rows.length > l;
+    const data = rows.slice(0, l).map(r => {
       const row = r.toJSON ? r.toJSON() : r;
       if (!row.author_name) row.author_name = toAuthorName(row.author) || null;
+      row.updated = (row.revision_count || 0) > 0;
+      if (attrs && !attrs.includes('revision_count')) delete row.revision_count;
+      if ('detail_blocks' in row) row.detail_blocks = parseJsonColumn(row.detail_blocks);
+      if (withImages) row.images = imageUrls(base, row);
+      if (attrs) for (const k of ['image_hash', 'category_id']) if (!attrs.includes(k)) delete row[k];
+      if (row.cluster_size != null) row.cluster_size = Number(row.cluster_size);
+      if (q) {
+        row.snippet = makeSnippet([row.detail, row.summary, row.title], terms);
+        if (row.relevance != null) row.relevance = Number(row.relevance);
+        if (attrs) for (const k of ['title', 'summary', 'detail']) if (!attrs.includes(k)) delete row[k];
+      }
       return row;
     });
+    const nextCursor = !q && hasMore && data.length ? encodeNewsCursor(data[data.length - 1]) : null;
 
-    const payload = { status: 'success', page: p, perPage: l, total: count, data };
+    const payload = { status: 'success', page: after ? null : p, perPage: l, total, nextCursor, data };
     await redis.set(cacheKey, JSON.stringify(payload), 'EX', 45);
     return sendWithETag(req, res, payload, 30);
   } catch (err) {
-    console.error('❌ /api/news error:', err.message);
+    console.error(`❌ ${route} error:`, err.message);
     res.status(500).json({ error: 'Internal server error' });
   }
-});
+}
 
-// NEWS ID
-app.get('/api/news-id', async (req, res) => {
+// ---- archive: jumlah artikel per tahun/bulan (bulan dihitung dalam WIB) ----
+async function handleNewsArchive(req, res, lang, route) {
   try {
-    const { category = 'all', search = '', page = '1', limit = '500', fields = '' } = req.query;
-    const p = Math.max(parseInt(page, 10) || 1, 1);
-    const l = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 500);
-    const attrs = normalizeFields(fields);
+    const { QueryTypes } = require('sequelize');
+    const range = req.query.year ? resolveNewsRange({ year: req.query.year }) : null;
+    if (range?.error) return res.status(400).json({ error: 'Invalid year' });
+    const y = range ? parseInt(req.query.year, 10) : null;
+
+    const cacheKey = `news:archive:${lang}:${y || 'all'}`;
+    const cached = await redis.get(cacheKey);
+    if (cached) return sendWithETag(req, res, JSON.parse(cached), 300);
+
+    const tableName = News.getTableName().toString();
+    const local = `DATE_ADD(published_at, INTERVAL ${WIB_OFFSET_HOURS} HOUR)`;
+    // filter tahun sebagai rentang published_at (batas WIB) supaya idx_lang_pub_id tetap terpakai
+    const rows = await sequelize.query(`
+      SELECT YEAR(${local}) AS y, MONTH(${local}) AS m, COUNT(*) AS c
+      FROM \`${tableName}\`
+      WHERE language = :lang ${range ? 'AND published_at >= :from AND published_at < :to' : ''}
+      GROUP BY y, m
+      ORDER BY y DESC, m DESC
+    `, { type: QueryTypes.SELECT, replacements: { lang, from: range?.from, to: range?.to } });
+
+    const years = new Map();
+    for (const r of rows) {
+      const year = Number(r.y);
+      if (!years.has(year)) years.set(year, { year, total: 0, months: [] });
+      const entry = years.get(year);
+      entry.total += Number(r.c);
+      entry.months.push({ month: Number(r.m), count: Number(r.c) });
+    }
+
+    const payload = { status: 'success', language: lang, data: Array.from(years.values()) };
+    await redis.set(cacheKey, JSON.stringify(payload), 'EX', 600);
+    return sendWithETag(req, res, payload, 300);
+  } catch (err) {
+    console.error(`❌ ${route} error:`, err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+// CATEGORIES: registry kanonik + jumlah artikel per bahasa (tab bar app)
+app.get('/api/categories', async (req, res) => {
+  try {
+    const cacheKey = 'news:categories:counts';
+    const cached = await redis.get(cacheKey);
+    if (cached) return sendWithETag(req, res, JSON.parse(cached), 300);
+
     const { Op } = require('sequelize');
+    const since = new Date(); since.setMonth(since.getMonth() - 3);
+    const countBy = (where) => News.findAll({
+      attributes: ['category_id', 'language', [sequelize.fn('COUNT', sequelize.col('id')), 'c']],
+      where: { category_id: { [Op.ne]: null }, ...where },
+      group: ['category_id', 'language'],
+      raw: true,
+    });
+    const [all, recent] = await Promise.all([countBy({}), countBy({ published_at: { [Op.gte]: since } })]);
+    const pick = (rows, id, lang) => Number(rows.find((x) => x.category_id === id && x.language === lang)?.c || 0);
+
+    const data = NEWS_CATEGORIES.map((c) => ({
+      id: c.id,
+      slug: c.id,
+      section: c.section,
+      path: c.path,
+      name: c.name,
+      topic: c.topic,
+      topics: { en: `${c.topic}_en`, id: `${c.topic}_id` },
+      counts: { en: pick(all, c.id, 'en'), id: pick(all, c.id, 'id') },
+      recentCounts: { en: pick(recent, c.id, 'en'), id: pick(recent, c.id, 'id') }, // 3 bulan (window default list)
+    }));
+
+    const payload = { status: 'success', total: data.length, data };
+    await redis.set(cacheKey, JSON.stringify(payload), 'EX', 600);
+    return sendWithETag(req, res, payload, 300);
+  } catch (err) {
+    console.error('❌ /api/categories error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// TAGS: kamus instrumen/bank sentral + jumlah artikel per bahasa (untuk ?symbol=)
+app.get('/api/tags', async (req, res) => {
+  try {
+    const cacheKey = 'news:tags:counts';
+    const cached = await redis.get(cacheKey);
+    if (cached) return sendWithETag(req, res, JSON.parse(cached), 300);
+
+    const { QueryTypes } = require('sequelize');
+    const counts = await sequelize.query(`
+      SELECT t.tag, n.language, COUNT(*) AS c
+      FROM \`${NewsTag.getTableName()}\` t
+      JOIN \`${News.getTableName()}\` n ON n.id = t.news_id
+      GROUP BY t.tag, n.language
+    `, { type: QueryTypes.SELECT });
 
-    const cutoff = new Date(); cutoff.setMonth(cutoff.getMonth() - 3);
-    const where = { language: 'id', published_at: { [Op.gte]: cutoff } };
-    if (category !== 'all') where.category = { [Op.like]: `%${category}%` };
-    if (search) {
-      where[Op.or] = [
-        { title: { [Op.like]: `%${search}%` } },
-        { summary: { [Op.like]: `%${search}%` } },
-        { detail: { [Op.like]: `%${search}%` } },
-      ];
+    const byTag = {};
+    for (const r of counts) {
+      byTag[r.tag] = byTag[r.tag] || { en: 0, id: 0 };
+      byTag[r.tag][r.language] = Number(r.c);
     }
+    const data = INSTRUMENTS.map(({ tag, kind, name, aliases }) => ({ tag, kind, name, aliases, counts: byTag[tag] || { en: 0, id: 0 } }));
+
+    const payload = { status: 'success', total: data.length, data };
+    await redis.set(cacheKey, JSON.stringify(payload), 'EX', 600);
+    return sendWithETag(req, res, payload, 300);
+  } catch (err) {
+    console.error('❌ /api/tags error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// NEWS EN
+app.get('/api/news', (req, res) => handleNewsList(req, res, 'en', '/api/news'));
+app.get('/api/news/archive', (req, res) => handleNewsArchive(req, res, 'en', '/api/news/archive'));
 
-    const cacheKey = makeNewsCacheKey({ lang: 'id', category, search, page: p, limit: l, fields: attrs?.join(',') });
+// NEWS ID
+app.get('/api/news-id', (req, res) => handleNewsList(req, res, 'id', '/api/news-id'));
+app.get('/api/news-id/archive', (req, res) => handleNewsArchive(req, res, 'id', '/api/news-id/archive'));
+
+// NEWS translations (toggle "read in English / Bahasa")
+app.get(['/api/news/:id/translations', '/api/news-id/:id/translations'], async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (!Number.isFinite(id)) return res.status(400).json({ error: 'Invalid id' });
+    const cacheKey = `news:item:${id}:translations`;
     const cached = await redis.get(cacheKey);
-    if (cached) return sendWithETag(req, res, JSON.parse(cached), 30);
+    if (cached) return sendWithETag(req, res, JSON.parse(cached), 120);
 
-    const { rows, count } = await News.findAndCountAll({
-      where,
-      attributes: attrs || undefined,
-      order: [['published_at', 'DESC'], ['createdAt', 'DESC']],
-      limit: l,
-      offset: (p - 1) * l,
+    const row = await News.findByPk(id, {
+      attributes: ['id', 'title', 'link', 'image', 'category', 'source_name', 'language', 'published_at', 'translation_group'],
     });
+    if (!row) return res.status(404).json({ error: 'Not found' });
 
-    const data = rows.map(r => {
-      const row = r.toJSON ? r.toJSON() : r;
-      if (!row.author_name) row.author_name = toAuthorName(row.author) || null;
-      return row;
+    // read-only: pasangan dibuat scraper (linkTranslationsForRows) / maintenance translations-backfill
+    const group = row.translation_group;
+    const versions = group
+      ? await News.findAll({
+        where: { translation_group: group },
+        attributes: ['id', 'language', 'title', 'link', 'image', 'published_at'],
+        order: [['language', 'ASC']],
+      })
+      : [row];
+
+    const data = versions.map((v) => {
+      const x = v.toJSON ? v.toJSON() : v;
+      return { id: x.id, language: x.language, title: x.title, link: x.link, image: x.image, published_at: x.published_at, current: x.id === id };
     });
+    const payload = { status: 'success', translation_group: group || null, data };
+    await redis.set(cacheKey, JSON.stringify(payload), 'EX', group ? 600 : 120);
+    return sendWithETag(req, res, payload, 120);
+  } catch (err) {
+    console.error('❌ /api/news/:id/translations error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    const payload = { status: 'success', page: p, perPage: l, total: count, data };
-    await redis.set(cacheKey, JSON.stringify(payload), 'EX', 45);
-    return sendWithETag(req, res, payload, 30);
+// NEWS related (bahasa sama; kategori, keyword title/detail, kedekatan waktu)
+app.get(['/api/news/:id/related', '/api/news-id/:id/related'], async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (!Number.isFinite(id)) return res.status(400).json({ error: 'Invalid id' });
+    const l = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 50);
+    const cacheKey = `news:item:${id}:related:${l}`;
+    const cached = await redis.get(cacheKey);
+    if (cached) return sendWithETag(req, res, JSON.parse(cached), 300);
+
+    const row = await News.findByPk(id, { attributes: ['id', 'title', 'summary', 'detail', 'category', 'category_id', 'language', 'published_at'], raw: true });
+    if (!row) return res.status(404).json({ error: 'Not found' });
+
+    const { Op } = require('sequelize');
+    const lang = row.language;
+    const keywords = extractKeywords({ title: row.title, text: row.detail || row.summary }, lang);
+    const t = ensureDate(row.published_at);
+    const window = 30 * 24 * 60 * 60 * 1000;
+
+    // prefilter kandidat: kategori sama ATAU instrumen sama ATAU match FULLTEXT keyword artikel
+    const articleTags = (await loadNewsTags(id)).map((t) => t.tag);
+    const or = [];
+    if (row.category_id) or.push({ category_id: row.category_id });
+    else if (row.category) or.push({ category: row.category });
+    if (articleTags.length) {
+      or.push(sequelize.literal(
+        `\`News\`.\`id\` IN (SELECT news_id FROM \`${NewsTag.getTableName()}\` WHERE tag IN (${articleTags.map((t) => sequelize.escape(t)).join(', ')}))`
+      ));
+    }
+    const ftq = Array.from(keywords).slice(0, 20).map((k) => `${k}*`).join(' ');
+    if (ftq) or.push(sequelize.literal(`MATCH(title, summary, detail) AGAINST(${sequelize.escape(ftq)} IN BOOLEAN MODE) > 0`));
+
+    const candidates = or.length ? await News.findAll({
+      where: {
+        language: lang,
+        id: { [Op.ne]: id },
+        published_at: { [Op.between]: [new Date(+t - window), new Date(+t + window)] },
+        [Op.or]: or,
+      },
+      attributes: ['id', 'title', 'summary', 'image', 'category', 'category_id', 'language', 'author', 'author_name', 'published_at'],
+      order: [[sequelize.literal(`ABS(TIMESTAMPDIFF(SECOND, published_at, ${sequelize.escape(t)}))`), 'ASC']],
+      limit: 300,
+      raw: true,
+    }) : [];
+
+    // instrumen yang sama ikut menaikkan skor
+    const tagRows = await NewsTag.findAll({
+      where: { news_id: candidates.map((c) => c.id) },
+      attributes: ['news_id', 'tag'],
+      raw: true,
+    });
+    const tagsById = new Map([[id, new Set(articleTags)]]);
+    for (const t of tagRows) {
+      if (!tagsById.has(t.news_id)) tagsById.set(t.news_id, new Set());
+      tagsById.get(t.news_id).add(t.tag);
+    }
+
+    const data = rankRelated(row, candidates, { limit: l, keywords, tagsById }).map((r) => ({
+      ...r,
+      author_name: r.author_name || toAuthorName(r.author) || null,
+    }));
+
+    const payload = { status: 'success', id, total: data.length, data };
+    await redis.set(cacheKey, JSON.stringify(payload), 'EX', 600);
+    return sendWithETag(req, res, payload, 300);
+  } catch (err) {
+    console.error('❌ /api/news/:id/related error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// NEWS revisions (koreksi editor yang terdeteksi saat re-scrape, terbaru dulu)
+app.get(['/api/news/:id/revisions', '/api/news-id/:id/revisions'], async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (!Number.isFinite(id)) return res.status(400).json({ error: 'Invalid id' });
+    const cacheKey = `news:item:${id}:revisions`;
+    const cached = await redis.get(cacheKey);
+    if (cached) return sendWithETag(req, res, JSON.parse(cached), 120);
+
+    const row = await News.findByPk(id, { attributes: ['id', 'revision_count', 'revised_at'], raw: true });
+    if (!row) return res.status(404).json({ error: 'Not found' });
+
+    const revisions = row.revision_count > 0
+      ? await NewsRevision.findAll({
+        where: { news_id: id },
+        attributes: ['revision', 'fields', 'changes', 'createdAt'],
+        order: [['revision', 'DESC']],
+        raw: true,
+      })
+      : [];
+
+    const data = revisions.map((v) => ({
+      revision: v.revision,
+      fields: typeof v.fields === 'string' ? JSON.parse(v.fields) : v.fields,
+      changes: typeof v.changes === 'string' ? JSON.parse(v.changes) : v.changes,
+      detected_at: v.createdAt,
+    }));
+    const payload = { status: 'success', id, updated: data.length > 0, revised_at: row.revised_at || null, total: data.length, data };
+    await redis.set(cacheKey, JSON.stringify(payload), 'EX', 120);
+    return sendWithETag(req, res, payload, 120);
   } catch (err) {
-    console.error('❌ /api/news-id error:', err.message);
+    console.error('❌ /api/news/:id/revisions error:', err.message);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
@@ -1370,6 +2371,10 @@ app.get('/api/news/:id', async (req, res) => {
     let data = row.toJSON ? row.toJSON() : row;
     if (!data.author_name) data.author_name = toAuthorName(data.author) || null;
     data = await fillAuthorFromIDIfMissing(data);
+    data.tags = await loadNewsTags(id);
+    data.updated = (data.revision_count || 0) > 0;
+    data.detail_blocks = parseJsonColumn(data.detail_blocks);
+    data.images = imageUrls(publicBaseUrl(req), data);
 
     const payload = { status: 'success', data };
     await redis.set(cacheKey, JSON.stringify(payload), 'EX', 120);
@@ -1394,6 +2399,10 @@ app.get('/api/news-id/:id', async (req, res) => {
 
     const data = row.toJSON ? row.toJSON() : row;
     if (!data.author_name) data.author_name = toAuthorName(data.author) || null;
+    data.tags = await loadNewsTags(id);
+    data.updated = (data.revision_count || 0) > 0;
+    data.detail_blocks = parseJsonColumn(data.detail_blocks);
+    data.images = imageUrls(publicBaseUrl(req), data);
 
     const payload = { status: 'success', data };
     await redis.set(cacheKey, JSON.stringify(payload), 'EX', 120);
@@ -1404,6 +2413,351 @@ app.get('/api/news-id/:id', async (req, res) => {
   }
 });
 
+// ================================ Images =================================
+// ?w=thumb|card|push|<px> (dibulatkan ke lebar yang diizinkan). WebP kalau client menerima, push selalu JPEG.
+function sendImage(req, res, img, maxAgeSec) {
+  const etag = `"${img.key}-${img.format}-${crypto.createHash('md5').update(img.body).digest('hex').slice(0, 16)}"`;
+  res.set('ETag', etag);
+  res.set('Vary', 'Accept');
+  res.set('Cache-Control', `public, max-age=${maxAgeSec}${maxAgeSec >= 86400 ? ', immutable' : ''}`);
+  res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+  if (req.headers['if-none-match'] === etag) return res.status(304).end();
+  return res.type(`image/${img.format}`).send(img.body);
+}
+const acceptsWebp = (req) => /image\/webp/i.test(req.get('accept') || '');
+
+app.get('/api/images/placeholder/:category', async (req, res) => {
+  try {
+    const cat = categoryById(req.params.category);
+    const img = await images.placeholder(cat?.id || 'default', cat?.name.en || 'Newsmaker 23', req.query.w, acceptsWebp(req) ? 'webp' : 'jpeg');
+    return sendImage(req, res, img, 86400);
+  } catch (err) {
+    console.error('❌ /api/images/placeholder error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/images/:hash', async (req, res) => {
+  try {
+    const hash = String(req.params.hash).toLowerCase();
+    if (!IMAGE_HASH_RE.test(hash)) return res.status(400).json({ error: 'Invalid image hash' });
+    const img = await images.variant(hash, req.query.w, acceptsWebp(req) ? 'webp' : 'jpeg');
+    if (!img) {
+      // gambar hilang dari disk (mis. volume baru) → placeholder umum, jangan di-cache lama
+      return sendImage(req, res, await images.placeholder('default', 'Newsmaker 23', req.query.w, 'jpeg'), 300);
+    }
+    return sendImage(req, res, img, 365 * 86400);
+  } catch (err) {
+    console.error('❌ /api/images/:hash error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ================================ Authors =================================
+async function authorNewsCounts() {
+  const rows = await News.findAll({
+    attributes: ['author', 'language', [sequelize.fn('COUNT', sequelize.col('id')), 'c']],
+    where: { author: Array.from(authorRegistry.allow) },
+    group: ['author', 'language'],
+    raw: true,
+  });
+  const out = {};
+  for (const r of rows) {
+    out[r.author] = out[r.author] || { en: 0, id: 0 };
+    out[r.author][r.language] = Number(r.c);
+  }
+  return out;
+}
+function authorPublic(a, counts = {}) {
+  return {
+    initial: a.initial,
+    name: a.display_name,
+    aliases: authorAliases(a),
+    photo_url: a.photo_url || null,
+    bio: a.bio || null,
+    active: !!a.active,
+    counts: counts[a.initial] || { en: 0, id: 0 },
+  };
+}
+async function invalidateAuthorCaches() {
+  try {
+    const keys = await redis.keys('authors:*');
+    if (keys.length) await redis.del(...keys);
+  } catch (e) {
+    console.warn('⚠️ Redis del error (authors):', e.message);
+  }
+}
+
+app.get('/api/authors', async (req, res) => {
+  try {
+    const all = String(req.query.all || '0') === '1';
+    const cacheKey = `authors:list:${all ? 'all' : 'active'}`;
+    const cached = await redis.get(cacheKey);
+    if (cached) return sendWithETag(req, res, JSON.parse(cached), 300);
+
+    const [rows, counts] = await Promise.all([
+      Author.findAll({ where: all ? {} : { active: true }, order: [['display_name', 'ASC']], raw: true }),
+      authorNewsCounts(),
+    ]);
+    const data = rows.map((a) => authorPublic(a, counts));
+    const payload = { status: 'success', total: data.length, data };
+    await redis.set(cacheKey, JSON.stringify(payload), 'EX', 600);
+    return sendWithETag(req, res, payload, 300);
+  } catch (err) {
+    console.error('❌ /api/authors error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/authors/:initial', async (req, res) => {
+  try {
+    const initial = normalizeAuthorInitial(req.params.initial);
+    if (!initial) return res.status(404).json({ error: 'Not found' });
+    const cacheKey = `authors:item:${initial}`;
+    const cached = await redis.get(cacheKey);
+    if (cached) return sendWithETag(req, res, JSON.parse(cached), 300);
+
+    const a = await Author.findOne({ where: { initial }, raw: true });
+    if (!a) return res.status(404).json({ error: 'Not found' });
+    const counts = await authorNewsCounts();
+    const payload = { status: 'success', data: authorPublic(a, counts) };
+    await redis.set(cacheKey, JSON.stringify(payload), 'EX', 600);
+    return sendWithETag(req, res, payload, 300);
+  } catch (err) {
+    console.error('❌ /api/authors/:initial error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// feed per-author: parameter sama dengan /api/news (+ ?lang=en|id)
+app.get('/api/authors/:initial/news', (req, res) => {
+  const lang = resolveLang(req.query.lang);
+  return handleNewsList(req, res, lang, '/api/authors/:initial/news', { author: req.params.initial });
+});
+
+// ---- admin authors ----
+const AUTHOR_EDITABLE = ['display_name', 'photo_url', 'bio', 'active'];
+
+function validateAuthorAlias(alias, initial) {
+  const a = String(alias || '').trim().toLowerCase();
+  if (!/^[a-z]{2,6}$/.test(a)) return { error: 'Alias must be 2-6 letters' };
+  if (AUTHOR_BLACKLIST.has(a)) return { error: `Alias "${a}" is blacklisted` };
+  const owner = authorRegistry.aliases[a];
+  if (owner && owner !== initial) return { error: `Alias "${a}" already used by "${owner}"` };
+  return { alias: a };
+}
+
+app.post('/api/admin/authors', requireAdmin, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const initial = String(body.initial || '').trim().toLowerCase();
+    if (!/^[a-z]{2,6}$/.test(initial)) return res.status(400).json({ error: 'initial must be 2-6 letters' });
+    if (AUTHOR_BLACKLIST.has(initial)) return res.status(400).json({ error: `Initial "${initial}" is blacklisted` });
+    if (!body.display_name) return res.status(400).json({ error: 'display_name is required' });
+
+    const aliases = [];
+    for (const raw of Array.isArray(body.aliases) ? body.aliases : []) {
+      const v = validateAuthorAlias(raw, initial);
+      if (v.error) return res.status(400).json({ error: v.error });
+      if (v.alias !== initial) aliases.push(v.alias);
+    }
+
+    const values = { initial, aliases };
+    for (const k of AUTHOR_EDITABLE) if (body[k] !== undefined) values[k] = body[k];
+    const existed = await Author.count({ where: { initial } });
+    await Author.upsert(values);
+    const author = await Author.findOne({ where: { initial } });
+
+    await loadAuthors();
+    await invalidateAuthorCaches();
+    res.status(existed ? 200 : 201).json({ status: 'success', data: authorPublic(author.toJSON()) });
+  } catch (err) {
+    console.error('❌ POST /api/admin/authors error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.patch('/api/admin/authors/:initial', requireAdmin, async (req, res) => {
+  try {
+    const author = await Author.findOne({ where: { initial: String(req.params.initial).toLowerCase() } });
+    if (!author) return res.status(404).json({ error: 'Not found' });
+    const changes = {};
+    for (const k of AUTHOR_EDITABLE) if (req.body?.[k] !== undefined) changes[k] = req.body[k];
+    await author.update(changes);
+
+    await loadAuthors();
+    await invalidateAuthorCaches();
+    res.json({ status: 'success', data: authorPublic(author.toJSON()) });
+  } catch (err) {
+    console.error('❌ PATCH /api/admin/authors/:initial error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/admin/authors/:initial/aliases', requireAdmin, async (req, res) => {
+  try {
+    const author = await Author.findOne({ where: { initial: String(req.params.initial).toLowerCase() } });
+    if (!author) return res.status(404).json({ error: 'Not found' });
+    const v = validateAuthorAlias(req.body?.alias, author.initial);
+    if (v.error) return res.status(400).json({ error: v.error });
+    if (v.alias !== author.initial) await author.update({ aliases: [...authorAliases(author), v.alias] });
+
+    await loadAuthors();
+    await invalidateAuthorCaches();
+    res.json({ status: 'success', data: authorPublic(author.toJSON()) });
+  } catch (err) {
+    console.error('❌ POST /api/admin/authors/:initial/aliases error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/api/admin/authors/:initial/aliases/:alias', requireAdmin, async (req, res) => {
+  try {
+    const author = await Author.findOne({ where: { initial: String(req.params.initial).toLowerCase() } });
+    if (!author) return res.status(404).json({ error: 'Not found' });
+    const alias = String(req.params.alias).toLowerCase();
+    await author.update({ aliases: authorAliases(author).filter((a) => a !== alias) });
+
+    await loadAuthors();
+    await invalidateAuthorCaches();
+    res.json({ status: 'success', data: authorPublic(author.toJSON()) });
+  } catch (err) {
+    console.error('❌ DELETE /api/admin/authors/:initial/aliases/:alias error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// instance lain ikut menerima perubahan admin
+setInterval(() => loadAuthors().catch((e) => console.error('❌ loadAuthors error:', e.message)), 10 * 60 * 1000);
+
+// ================================= Feeds ==================================
+// /feeds/news/en.xml (RSS), /feeds/news/id/commodity.atom, /feeds/news/en.json (JSON Feed)
+const FEED_TITLES = {
+  en: { title: 'Newsmaker 23 News', description: 'Latest market and economic news from Newsmaker 23' },
+  id: { title: 'Berita Newsmaker 23', description: 'Berita pasar dan ekonomi terbaru dari Newsmaker 23' },
+};
+
+async function handleNewsFeed(req, res) {
+  try {
+    const lang = String(req.params.lang || '').toLowerCase();
+    const format = String(req.params.format || '').toLowerCase();
+    const category = req.params.category ? String(req.params.category).toLowerCase() : null;
+    if (!['en', 'id'].includes(lang)) return res.status(404).json({ error: 'Unknown language' });
+    if (!FEED_FORMATS[format]) return res.status(404).json({ error: 'Unknown feed format' });
+    const cat = category ? categoryById(category) : null;
+    if (category && !cat) return res.status(404).json({ error: 'Unknown category' });
+    const l = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    const cacheKey = `feed:news:${lang}:${category || 'all'}:${format}:${l}`;
+    let rendered = null;
+    const cached = await redis.get(cacheKey);
+    if (cached) rendered = JSON.parse(cached);
+    else {
+      const where = { language: lang };
+      if (cat) where.category_id = cat.id;
+      const rows = await News.findAll({
+        where,
+        attributes: ['id', 'title', 'link', 'image', 'category', 'summary', 'source_name', 'source_url', 'author', 'author_name', 'published_at', 'updatedAt'],
+        order: [['published_at', 'DESC'], ['id', 'DESC']],
+        limit: l,
+        raw: true,
+      });
+      const items = rows.map((r) => ({ ...r, author_name: r.author_name || toAuthorName(r.author) || null }));
+
+      const base = publicBaseUrl(req);
+      const t = FEED_TITLES[lang];
+      const meta = {
+        title: cat ? `${t.title} — ${cat.name[lang]}` : t.title,
+        description: t.description,
+        language: lang,
+        homeUrl: `https://www.newsmaker.id/index.php/${lang}`,
+        feedUrl: `${base}${req.path}`,
+      };
+      rendered = renderFeed(format, meta, items);
+      await redis.set(cacheKey, JSON.stringify(rendered), 'EX', 300);
+    }
+    return sendBodyWithETag(req, res, rendered.body, rendered.contentType, 300);
+  } catch (err) {
+    console.error('❌ /feeds/news error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+app.get('/feeds/news/:lang.:format', handleNewsFeed);
+app.get('/feeds/news/:lang/:category.:format', handleNewsFeed);
+
+// Google News sitemap: artikel 2 hari terakhir (maks 1000), loc → halaman share
+app.get('/sitemap-news.xml', async (req, res) => {
+  try {
+    const cacheKey = 'sitemap:news';
+    let body = await redis.get(cacheKey);
+    if (!body) {
+      const { Op } = require('sequelize');
+      const since = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000);
+      const rows = await News.findAll({
+        where: { published_at: { [Op.gte]: since } },
+        attributes: ['id', 'title', 'language', 'published_at'],
+        order: [['published_at', 'DESC'], ['id', 'DESC']],
+        limit: 1000,
+        raw: true,
+      });
+      const base = publicBaseUrl(req);
+      body = buildNewsSitemap(rows.map((r) => ({ ...r, loc: `${base}/share/news/${r.id}` })));
+      await redis.set(cacheKey, body, 'EX', 600);
+    }
+    return sendBodyWithETag(req, res, body, 'application/xml; charset=utf-8', 600);
+  } catch (err) {
+    console.error('❌ /sitemap-news.xml error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ================================= Share ==================================
+// /share/news/:id → OG/Twitter tags untuk preview; browser mobile dibuka ke app, desktop ke source_url
+app.get('/share/news/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (!Number.isFinite(id)) return res.status(400).send('Invalid id');
+
+    const cacheKey = `share:news:${id}`;
+    let row = null;
+    const cached = await redis.get(cacheKey);
+    if (cached) row = JSON.parse(cached);
+    else {
+      row = await News.findByPk(id, {
+        attributes: ['id', 'title', 'summary', 'image', 'language', 'source_url', 'link', 'author', 'author_name', 'published_at'],
+        raw: true,
+      });
+      if (!row) return res.status(404).send('Not found');
+      await redis.set(cacheKey, JSON.stringify(row), 'EX', 600);
+    }
+
+    const fallbackUrl = row.source_url || row.link;
+    const client = classifyUserAgent(req.get('user-agent') || '');
+    if (client === 'desktop') return res.redirect(302, fallbackUrl);
+
+    // helmet default CSP memblok inline script → pakai nonce khusus halaman ini
+    const nonce = crypto.randomBytes(16).toString('base64');
+    res.set('Content-Security-Policy', `default-src 'none'; img-src * data:; style-src 'unsafe-inline'; script-src 'nonce-${nonce}'`);
+    res.set('Cache-Control', 'public, max-age=300');
+    return res.type('html').send(renderSharePage({
+      title: row.title,
+      description: row.summary,
+      image: row.image,
+      shareUrl: `${publicBaseUrl(req)}/share/news/${row.id}`,
+      deeplink: `newsmaker23://news?id=${row.id}`,
+      fallbackUrl,
+      lang: row.language,
+      publishedAt: row.published_at,
+      author: row.author_name || toAuthorName(row.author),
+      openApp: client === 'mobile',
+      nonce,
+    }));
+  } catch (err) {
+    console.error('❌ /share/news/:id error:', err.message);
+    res.status(500).send('Internal server error');
+  }
+});
+
 // ================================ Calendar API =============================
 // TODAY
 app.get('/api/calendar/today', async (req, res) => {
@@ -1603,7 +2957,7 @@ app.get('/api/quotes', async (req, res) => {
     const nonce = nextLiveQuotesNonce();
 
     const url = `https://www.newsmaker.id/quotes/live?s=${symbolsParam}&_=${nonce}`;
-    const { data } = await axios.get(url, { timeout: 15000 });
+    const { data } = await upstream.get(url, { timeout: 15000 });
 
     const quotes = [];
     for (let i = 1; i <= data[0].count; i++) {
@@ -1670,7 +3024,7 @@ async function ytResolveHandleToChannelId(handleRaw) {
   const cacheKey = `yt:handle2cid:${handle}`;
   const memHit = ytCache.get(cacheKey);
   if (memHit) return memHit;
-  const resp = await axios.get(url, { timeout: 15000, headers: HTML_HEADERS, maxRedirects: 2, responseType: 'text' });
+  const resp = await upstream.get(url, { timeout: 15000, headers: HTML_HEADERS, maxRedirects: 2, responseType: 'text' });
   const html = resp.data || '';
   let m = html.match(/"channelId"\s*:\s*"(?<cid>UC[0-9A-Za-z_-]{20,})"/);
   if (!m || !m.groups?.cid) {
@@ -1741,7 +3095,7 @@ app.get('/api/shorts', async (req, res) => {
       console.warn('⚠️ Redis get error (shorts):', e.message);
     }
 
-    const { data: xml } = await axios.get(feedUrl, { timeout: 15000, responseType: 'text' });
+    const { data: xml } = await upstream.get(feedUrl, { timeout: 15000, responseType: 'text' });
     const parsed = ytExtractShorts(xml, { maxDuration, guessShortsIfNoDuration: guess });
 
     ytCache.set(rKey, parsed, cacheTtl);
@@ -1754,6 +3108,332 @@ app.get('/api/shorts', async (req, res) => {
   }
 });
 
+// ============================ Admin: on-demand jobs ============================
+// POST /api/admin/jobs/:type  (news {lang} | calendar {tab} | historical {symbol?} | translate {id} | maintenance {task}) → 202 + job id
+// GET  /api/admin/jobs/:id    → state (pending|active|delayed|completed|dead), attempts, progress, result
+// Job masuk antrean yang sama dengan scheduler (dedupe: kalau job identik masih antre/jalan, itu yang dikembalikan).
+const ADMIN_JOBS = {
+  news: {
+    async parse(p) {
+      const lang = String(p.lang || '').toLowerCase();
+      if (!['en', 'id'].includes(lang)) return { error: 'lang must be "en" or "id"' };
+      return { params: { lang } };
+    },
+  },
+  calendar: {
+    async parse(p) {
+      const tab = String(p.tab || '').toLowerCase();
+      if (!CAL_URLS[tab]) return { error: `tab must be one of ${Object.keys(CAL_URLS).join(', ')}` };
+      return { params: { tab } };
+    },
+  },
+  historical: {
+    async parse(p) {
+      if (!p.symbol) return { params: {} };
+      const sym = await findHistoricalSymbol(p.symbol);
+      if (!sym) return { error: `Unknown symbol "${p.symbol}"` };
+      return { params: { symbol: sym.name, cid: sym.cid } };
+    },
+  },
+  translate: {
+    async parse(p) {
+      const id = parseInt(p.id, 10);
+      if (!Number.isFinite(id)) return { error: 'id is required' };
+      if (!translator) return { error: 'machine translation disabled (TRANSLATE_PROVIDER=off)' };
+      return { params: { id } };
+    },
+  },
+  maintenance: {
+    async parse(p) {
+      const task = String(p.task || '');
+      if (!MAINTENANCE_TASKS[task]) return { error: `task must be one of ${Object.keys(MAINTENANCE_TASKS).join(', ')}` };
+      return { params: { task } };
+    },
+  },
+};
+
+app.post('/api/admin/jobs/:type', requireAdmin, async (req, res) => {
+  try {
+    const type = String(req.params.type || '').toLowerCase();
+    if (!ADMIN_JOBS[type]) return res.status(404).json({ error: `Unknown job type (use ${Object.keys(ADMIN_JOBS).join(', ')})` });
+    const parsed = await ADMIN_JOBS[type].parse({ ...req.query, ...(req.body || {}) });
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+    const { job, deduped } = await jobQueue.enqueue(type, parsed.params, { dedupeKey: jobDedupeKey(type, parsed.params) });
+    res.status(deduped ? 200 : 202).json({ status: 'success', deduped, job });
+  } catch (err) {
+    console.error('❌ POST /api/admin/jobs error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/admin/jobs', requireAdmin, async (req, res) => {
+  try {
+    const l = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 200);
+    const data = await jobQueue.recent({ limit: l });
+    res.json({ status: 'success', total: data.length, data });
+  } catch (err) {
+    console.error('❌ GET /api/admin/jobs error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/admin/jobs/:id', requireAdmin, async (req, res) => {
+  try {
+    const job = await jobQueue.getJob(String(req.params.id));
+    if (!job) return res.status(404).json({ error: 'Not found' });
+    res.json({ status: 'success', job });
+  } catch (err) {
+    console.error('❌ GET /api/admin/jobs/:id error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// queue visibility: jumlah per type/state, isi antrean, dead-letter (retry / hapus)
+app.get('/api/admin/queue', requireAdmin, async (req, res) => {
+  try {
+    res.json({ status: 'success', data: await jobQueue.stats() });
+  } catch (err) {
+    console.error('❌ /api/admin/queue error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/admin/queue/:type/:state', requireAdmin, async (req, res) => {
+  try {
+    const { type, state } = req.params;
+    if (!jobQueue.STATES.includes(state)) return res.status(400).json({ error: `state must be one of ${jobQueue.STATES.join(', ')}` });
+    const l = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+    const data = await jobQueue.list(type, state, { limit: l });
+    res.json({ status: 'success', type, state, total: data.length, data });
+  } catch (err) {
+    if (/Unknown job type/.test(err.message)) return res.status(404).json({ error: err.message });
+    console.error('❌ /api/admin/queue/:type/:state error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/admin/queue/jobs/:id/retry', requireAdmin, async (req, res) => {
+  try {
+    const job = await jobQueue.retryDead(String(req.params.id));
+    if (!job) return res.status(404).json({ error: 'Dead job not found' });
+    res.json({ status: 'success', job });
+  } catch (err) {
+    console.error('❌ POST /api/admin/queue/jobs/:id/retry error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/api/admin/queue/jobs/:id', requireAdmin, async (req, res) => {
+  try {
+    const ok = await jobQueue.removeDead(String(req.params.id));
+    if (!ok) return res.status(404).json({ error: 'Dead job not found' });
+    res.json({ status: 'success' });
+  } catch (err) {
+    console.error('❌ DELETE /api/admin/queue/jobs/:id error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// jadwal aktif + kapan jalan berikutnya (setelah skip weekend/quiet)
+app.get('/api/admin/schedules', requireAdmin, async (req, res) => {
+  try {
+    const now = new Date();
+    const data = schedules.entries.map((e) => ({
+      name: e.name,
+      job: e.job,
+      payload: e.payload,
+      cron: e.cron.expr,
+      skipWeekends: e.skipWeekends,
+      quiet: e.quiet.map((q) => q.spec),
+      skippedNow: skipReason(e, zonedParts(now, schedules.tz)),
+      nextRunAt: nextRun(e, schedules.tz, now),
+    }));
+    const hot = schedules.burst ? burstEvents(await calendarTodayEvents(), zonedParts(now, schedules.tz), schedules.burst) : [];
+    res.json({ status: 'success', tz: schedules.tz, burst: schedules.burst ? { ...schedules.burst, active: hot.length > 0, events: hot } : null, data });
+  } catch (err) {
+    console.error('❌ /api/admin/schedules error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ========================== Admin: language review ==========================
+// GET  /api/admin/lang-reviews?status=pending&language=id&limit=50&before=<id>
+// POST /api/admin/lang-reviews/:id/approve  { language? }  → disimpan ke news (default: bahasa listing)
+// POST /api/admin/lang-reviews/:id/reject
+const LANG_REVIEW_STATUSES = ['pending', 'approved', 'rejected'];
+
+app.get('/api/admin/lang-reviews', requireAdmin, async (req, res) => {
+  try {
+    const { Op } = require('sequelize');
+    const status = String(req.query.status || 'pending').toLowerCase();
+    if (!LANG_REVIEW_STATUSES.includes(status)) return res.status(400).json({ error: `status must be one of ${LANG_REVIEW_STATUSES.join(', ')}` });
+    const l = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const where = { status };
+    if (req.query.language) where.language = resolveLang(req.query.language);
+    const before = parseInt(req.query.before, 10);
+    if (Number.isFinite(before)) where.id = { [Op.lt]: before };
+
+    const [rows, counts] = await Promise.all([
+      NewsLangReview.findAll({ where, order: [['id', 'DESC']], limit: l, raw: true }),
+      NewsLangReview.count({ group: ['status'] }),
+    ]);
+    const data = rows.map(({ payload, ...r }) => {
+      const p = parseJsonColumn(payload) || {};
+      return { ...r, summary: p.summary || null, snippet: String(p.detail || '').slice(0, 280) || null };
+    });
+    res.json({
+      status: 'success',
+      total: data.length,
+      counts: Object.fromEntries(counts.map((c) => [c.status, c.count])),
+      nextBefore: data.length === l ? data[data.length - 1].id : null,
+      data,
+    });
+  } catch (err) {
+    console.error('❌ /api/admin/lang-reviews error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/admin/lang-reviews/:id/approve', requireAdmin, async (req, res) => {
+  try {
+    const review = await NewsLangReview.findByPk(parseInt(req.params.id, 10) || 0);
+    if (!review) return res.status(404).json({ error: 'Not found' });
+    if (review.status !== 'pending') return res.status(409).json({ error: `Review already ${review.status}` });
+    const requested = req.body?.language || req.query.language;
+    const language = requested ? String(requested).toLowerCase() : review.language;
+    if (!['en', 'id'].includes(language)) return res.status(400).json({ error: 'language must be en or id' });
+
+    const p = parseJsonColumn(review.payload) || {};
+    const publishedAt = p.publishedAt ? new Date(p.publishedAt) : null;
+    await storeNewsItems([{ ...p, language, publishedAt: publishedAt && !Number.isNaN(+publishedAt) ? publishedAt : null }], language);
+    const row = await News.findOne({ where: { link: review.link, language }, attributes: ['id'], raw: true, logging: false });
+    if (!row) return res.status(500).json({ error: 'Failed to store article' });
+
+    await review.update({ status: 'approved', decided_at: new Date(), decided_language: language, news_id: row.id });
+    console.log(`🈂️ language review #${review.id} approved as ${language} → news #${row.id}`);
+    const { payload, ...out } = review.toJSON();
+    res.json({ status: 'success', news_id: row.id, review: out });
+  } catch (err) {
+    console.error('❌ POST /api/admin/lang-reviews/:id/approve error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/admin/lang-reviews/:id/reject', requireAdmin, async (req, res) => {
+  try {
+    const review = await NewsLangReview.findByPk(parseInt(req.params.id, 10) || 0);
+    if (!review) return res.status(404).json({ error: 'Not found' });
+    if (review.status !== 'pending') return res.status(409).json({ error: `Review already ${review.status}` });
+    await review.update({ status: 'rejected', decided_at: new Date() });
+    const { payload, ...out } = review.toJSON();
+    res.json({ status: 'success', review: out });
+  } catch (err) {
+    console.error('❌ POST /api/admin/lang-reviews/:id/reject error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ========================== Admin: scrape run ledger ==========================
+// GET /api/admin/scrape-runs?job=news&scope=en&status=failed,partial&from=&to=&limit=50&before=<id>
+// stats = per job (+ per scope) dalam rentang yang sama (default 7 hari terakhir), tanpa filter status.
+const SCRAPE_RUN_STATUSES = ['running', 'success', 'partial', 'failed'];
+
+app.get('/api/admin/scrape-runs', requireAdmin, async (req, res) => {
+  try {
+    const { Op } = require('sequelize');
+    const job = req.query.job ? String(req.query.job).trim().toLowerCase() : null;
+    const scope = req.query.scope ? String(req.query.scope).trim() : null;
+    const statuses = req.query.status
+      ? String(req.query.status).split(',').map((s) => s.trim().toLowerCase()).filter(Boolean)
+      : null;
+    if (statuses && statuses.some((s) => !SCRAPE_RUN_STATUSES.includes(s))) {
+      return res.status(400).json({ error: `Invalid status (use ${SCRAPE_RUN_STATUSES.join(', ')})` });
+    }
+    const from = req.query.from ? parseRangeDate(req.query.from) : new Date(Date.now() - 7 * 86400 * 1000);
+    const to = req.query.to ? parseRangeDate(req.query.to, { endOfDay: true }) : new Date();
+    if (!from || !to) return res.status(400).json({ error: 'Invalid from/to' });
+    const l = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+    const before = req.query.before ? parseInt(req.query.before, 10) : null;
+    if (req.query.before && !Number.isFinite(before)) return res.status(400).json({ error: 'Invalid before' });
+
+    const base = { started_at: { [Op.between]: [from, to] } };
+    if (job) base.job = job;
+    if (scope) base.scope = scope;
+    const where = { ...base };
+    if (statuses) where.status = statuses;
+    if (before) where.id = { [Op.lt]: before };
+
+    const [rows, grouped] = await Promise.all([
+      ScrapeRun.findAll({ where, order: [['id', 'DESC']], limit: l + 1, raw: true }),
+      ScrapeRun.findAll({
+        where: base,
+        attributes: [
+          'job', 'scope', 'status',
+          [sequelize.fn('COUNT', sequelize.col('id')), 'c'],
+          [sequelize.fn('SUM', sequelize.col('waf_hits')), 'waf'],
+          [sequelize.fn('AVG', sequelize.col('duration_ms')), 'avg_ms'],
+          [sequelize.fn('MAX', sequelize.col('started_at')), 'last_at'],
+        ],
+        group: ['job', 'scope', 'status'],
+        raw: true,
+      }),
+    ]);
+
+    // agregasi per job, dengan rincian per scope
+    const emptyStats = () => ({ total: 0, success: 0, partial: 0, failed: 0, running: 0, waf_hits: 0, last_success_at: null, last_failure_at: null, _ms: 0, _finished: 0 });
+    const add = (s, g) => {
+      const c = Number(g.c);
+      s.total += c;
+      s[g.status] += c;
+      s.waf_hits += Number(g.waf || 0);
+      if (g.status !== 'running' && g.avg_ms != null) { s._ms += Number(g.avg_ms) * c; s._finished += c; }
+      const at = g.last_at ? new Date(g.last_at) : null;
+      if (g.status === 'success' && at && (!s.last_success_at || at > s.last_success_at)) s.last_success_at = at;
+      if (g.status === 'failed' && at && (!s.last_failure_at || at > s.last_failure_at)) s.last_failure_at = at;
+    };
+    const finish = ({ _ms, _finished, ...s }) => {
+      const done = s.success + s.partial + s.failed;
+      return {
+        ...s,
+        success_rate: done ? Math.round((s.success / done) * 1000) / 1000 : null,
+        ok_rate: done ? Math.round(((s.success + s.partial) / done) * 1000) / 1000 : null, // partial dihitung jalan
+        avg_duration_ms: _finished ? Math.round(_ms / _finished) : null,
+      };
+    };
+    const jobs = new Map();
+    for (const g of grouped) {
+      if (!jobs.has(g.job)) jobs.set(g.job, { all: emptyStats(), scopes: new Map() });
+      const j = jobs.get(g.job);
+      add(j.all, g);
+      const sk = g.scope || '-';
+      if (!j.scopes.has(sk)) j.scopes.set(sk, emptyStats());
+      add(j.scopes.get(sk), g);
+    }
+    const stats = Array.from(jobs.entries()).map(([name, j]) => ({
+      job: name,
+      ...finish(j.all),
+      scopes: Array.from(j.scopes.entries()).map(([s, v]) => ({ scope: s === '-' ? null : s, ...finish(v) })),
+    }));
+
+    const hasMore = rows.length > l;
+    const data = rows.slice(0, l).map((r) => ({
+      ...r,
+      errors: typeof r.errors === 'string' ? JSON.parse(r.errors) : r.errors,
+    }));
+    res.json({
+      status: 'success',
+      range: { from, to },
+      stats,
+      nextBefore: hasMore && data.length ? data[data.length - 1].id : null,
+      data,
+    });
+  } catch (err) {
+    console.error('❌ /api/admin/scrape-runs error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // =============================== misc API ================================
 app.delete('/api/cache', async (req, res) => {
   try {
@@ -1778,6 +3458,19 @@ app.get('/api/status', (req, res) => {
   });
 });
 
+// status parser scraper (selector drift); ?strict=1 → 503 kalau ada yang failing (untuk uptime monitor)
+app.get('/api/status/parsers', async (req, res) => {
+  try {
+    const data = await parserHealth.status();
+    const failing = data.filter((p) => p.status === 'failing').map((p) => p.parser);
+    const code = failing.length && String(req.query.strict) === '1' ? 503 : 200;
+    res.status(code).json({ status: failing.length ? 'failing' : 'ok', failing, data });
+  } catch (err) {
+    console.error('❌ /api/status/parsers error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 app.get('/healthz', async (req, res) => {
   try {
     await sequelize.query('SELECT 1+1 AS ok');
@@ -1815,6 +3508,7 @@ const server = app.listen(PORT, () => {
 function shutdown(sig) {
   console.log(`\n${sig} received. Shutting down...`);
   server.close(async () => {
+    try { jobQueue.stop(); } catch { }
     try { await sequelize.close(); } catch { }
     try { await redis.quit(); } catch { }
     try { await closeBrowser(); } catch { }
@@ -0,0 +1,67 @@
+// migrations/20261019000100-create-news-and-historical.js
+// Skema awal (dulu dibuat sequelize.sync() saat boot). DB yang sudah punya tabelnya tidak diubah.
+const { createTableIfMissing, addIndexIfMissing } = require('../services/schemaMigrations');
+
+const UTF8MB4 = { charset: 'utf8mb4', collate: 'utf8mb4_unicode_ci' };
+
+/** @type {{ up: Function, down: Function }} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await createTableIfMissing(queryInterface, 'news', {
+      id: { type: Sequelize.INTEGER, autoIncrement: true, primaryKey: true, allowNull: false },
+      title: { type: Sequelize.TEXT, allowNull: false },
+      link: { type: Sequelize.STRING(512), allowNull: false },
+      image: { type: Sequelize.TEXT, allowNull: true },
+      category: { type: Sequelize.STRING(191), allowNull: true },
+      date: { type: Sequelize.STRING(191), allowNull: true },
+      summary: { type: Sequelize.TEXT, allowNull: true },
+      detail: { type: Sequelize.TEXT('long'), allowNull: true },
+      language: { type: Sequelize.STRING(5), allowNull: false },
+      source_name: { type: Sequelize.STRING(191), allowNull: false, defaultValue: 'Newsmaker 23' },
+      source_url: { type: Sequelize.TEXT, allowNull: false },
+      author: { type: Sequelize.STRING(32), allowNull: true },
+      author_name: { type: Sequelize.STRING(64), allowNull: true },
+      published_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.NOW },
+      push_state: { type: Sequelize.ENUM('pending', 'sent', 'failed', 'skipped'), allowNull: false, defaultValue: 'pending' },
+      push_sent_at: { type: Sequelize.DATE, allowNull: true },
+      push_error: { type: Sequelize.TEXT, allowNull: true },
+      push_topic: { type: Sequelize.STRING(64), allowNull: true },
+      push_collapse_key: { type: Sequelize.STRING(64), allowNull: true },
+      push_deeplink: { type: Sequelize.STRING(512), allowNull: true },
+      push_image_used: { type: Sequelize.TEXT, allowNull: true },
+      push_hash: { type: Sequelize.STRING(64), allowNull: true },
+      createdAt: { type: Sequelize.DATE, allowNull: false },
+      updatedAt: { type: Sequelize.DATE, allowNull: false },
+    }, UTF8MB4);
+    await addIndexIfMissing(queryInterface, 'news', ['link', 'language'], { name: 'uniq_link_lang', unique: true });
+    await addIndexIfMissing(queryInterface, 'news', ['createdAt'], { name: 'news_created_at' });
+    await addIndexIfMissing(queryInterface, 'news', ['language'], { name: 'news_language' });
+    await addIndexIfMissing(queryInterface, 'news', ['category'], { name: 'news_category' });
+    await addIndexIfMissing(queryInterface, 'news', ['published_at'], { name: 'news_published_at' });
+    await addIndexIfMissing(queryInterface, 'news', ['push_state'], { name: 'news_push_state' });
+    await addIndexIfMissing(queryInterface, 'news', ['push_sent_at'], { name: 'news_push_sent_at' });
+    await addIndexIfMissing(queryInterface, 'news', ['push_hash'], { name: 'news_push_hash' });
+
+    await createTableIfMissing(queryInterface, 'historical_data', {
+      id: { type: Sequelize.INTEGER, autoIncrement: true, primaryKey: true, allowNull: false },
+      symbol: { type: Sequelize.STRING, allowNull: false },
+      date: { type: Sequelize.STRING, allowNull: false },
+      event: { type: Sequelize.STRING, allowNull: true },
+      open: { type: Sequelize.FLOAT, allowNull: true },
+      high: { type: Sequelize.FLOAT, allowNull: true },
+      low: { type: Sequelize.FLOAT, allowNull: true },
+      close: { type: Sequelize.FLOAT, allowNull: true },
+      change: { type: Sequelize.STRING, allowNull: true },
+      volume: { type: Sequelize.FLOAT, allowNull: true },
+      openInterest: { type: Sequelize.FLOAT, allowNull: true },
+      createdAt: { type: Sequelize.DATE, allowNull: false },
+      updatedAt: { type: Sequelize.DATE, allowNull: false },
+    });
+    await addIndexIfMissing(queryInterface, 'historical_data', ['symbol', 'date'], { name: 'historical_data_symbol_date', unique: true });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('historical_data');
+    await queryInterface.dropTable('news');
+  },
+};
@@ -0,0 +1,45 @@
+// migrations/20261019000200-add-news-columns.js
+// Kolom news untuk kategori kanonik, isi terstruktur, image store, deteksi bahasa, pasangan EN ↔ ID,
+// story cluster & revisi, plus index B-tree-nya. FULLTEXT terpisah (20261019000300) karena jauh lebih berat.
+const { addColumnIfMissing, removeColumnIfExists, addIndexIfMissing, removeIndexIfExists } = require('../services/schemaMigrations');
+
+const columns = (Sequelize) => ({
+  image_hash: { type: Sequelize.STRING(64), allowNull: true },
+  category_id: { type: Sequelize.STRING(32), allowNull: true },
+  detail_html: { type: Sequelize.TEXT('long'), allowNull: true },
+  detail_blocks: { type: Sequelize.JSON, allowNull: true },
+  detected_lang: { type: Sequelize.STRING(5), allowNull: true },
+  lang_confidence: { type: Sequelize.FLOAT, allowNull: true },
+  translation_group: { type: Sequelize.STRING(36), allowNull: true },
+  machine_translated: { type: Sequelize.BOOLEAN, allowNull: false, defaultValue: false },
+  translated_from_id: { type: Sequelize.INTEGER, allowNull: true },
+  simhash: { type: Sequelize.STRING(16), allowNull: true },
+  story_cluster_id: { type: Sequelize.INTEGER, allowNull: true },
+  revision_count: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+  revised_at: { type: Sequelize.DATE, allowNull: true },
+});
+
+const INDEXES = [
+  { name: 'idx_lang_cat_pub', fields: ['language', 'category_id', 'published_at'] },
+  { name: 'idx_lang_pub_id', fields: ['language', 'published_at', 'id'] },
+  { name: 'news_translation_group', fields: ['translation_group'] },
+  { name: 'news_translated_from_id', fields: ['translated_from_id'] },
+  { name: 'idx_lang_story_pub', fields: ['language', 'story_cluster_id', 'published_at'] },
+];
+
+/** @type {{ up: Function, down: Function }} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    for (const [name, spec] of Object.entries(columns(Sequelize))) {
+      await addColumnIfMissing(queryInterface, 'news', name, spec);
+    }
+    for (const { name, fields } of INDEXES) {
+      await addIndexIfMissing(queryInterface, 'news', fields, { name });
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    for (const { name } of INDEXES) await removeIndexIfExists(queryInterface, 'news', name);
+    for (const name of Object.keys(columns(Sequelize))) await removeColumnIfExists(queryInterface, 'news', name);
+  },
+};
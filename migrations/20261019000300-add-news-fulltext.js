@@ -0,0 +1,15 @@
+// migrations/20261019000300-add-news-fulltext.js
+// FULLTEXT untuk /api/news?search= (MATCH … AGAINST). Membangun index ini me-rebuild tabel news dan menahan
+// tulis selama prosesnya (baca tetap jalan) → jalankan `npm run migrate` di luar jam ramai, sebelum deploy.
+const { addIndexIfMissing, removeIndexIfExists } = require('../services/schemaMigrations');
+
+/** @type {{ up: Function, down: Function }} */
+module.exports = {
+  async up(queryInterface) {
+    await addIndexIfMissing(queryInterface, 'news', ['title', 'summary', 'detail'], { name: 'ft_news_text', type: 'FULLTEXT' });
+  },
+
+  async down(queryInterface) {
+    await removeIndexIfExists(queryInterface, 'news', 'ft_news_text');
+  },
+};
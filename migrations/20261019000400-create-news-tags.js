@@ -0,0 +1,24 @@
+// migrations/20261019000400-create-news-tags.js
+// Tag instrumen per artikel (services/tagging.js).
+const { createTableIfMissing, addIndexIfMissing } = require('../services/schemaMigrations');
+
+/** @type {{ up: Function, down: Function }} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await createTableIfMissing(queryInterface, 'news_tags', {
+      id: { type: Sequelize.INTEGER, autoIncrement: true, primaryKey: true, allowNull: false },
+      news_id: { type: Sequelize.INTEGER, allowNull: false },
+      tag: { type: Sequelize.STRING(32), allowNull: false },
+      kind: { type: Sequelize.STRING(16), allowNull: false },
+      hits: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 1 },
+      createdAt: { type: Sequelize.DATE, allowNull: false },
+      updatedAt: { type: Sequelize.DATE, allowNull: false },
+    }, { charset: 'utf8mb4', collate: 'utf8mb4_unicode_ci' });
+    await addIndexIfMissing(queryInterface, 'news_tags', ['news_id', 'tag'], { name: 'uniq_news_tag', unique: true });
+    await addIndexIfMissing(queryInterface, 'news_tags', ['tag', 'news_id'], { name: 'news_tags_tag_news_id' });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('news_tags');
+  },
+};
@@ -0,0 +1,24 @@
+// migrations/20261019000500-create-authors.js
+// Registry author (inisial → nama tampilan); di-seed dari map bawaan saat boot kalau masih kosong.
+const { createTableIfMissing } = require('../services/schemaMigrations');
+
+/** @type {{ up: Function, down: Function }} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await createTableIfMissing(queryInterface, 'authors', {
+      id: { type: Sequelize.INTEGER, autoIncrement: true, primaryKey: true, allowNull: false },
+      initial: { type: Sequelize.STRING(8), allowNull: false, unique: true },
+      display_name: { type: Sequelize.STRING(64), allowNull: false },
+      aliases: { type: Sequelize.JSON, allowNull: false },
+      photo_url: { type: Sequelize.TEXT, allowNull: true },
+      bio: { type: Sequelize.TEXT, allowNull: true },
+      active: { type: Sequelize.BOOLEAN, allowNull: false, defaultValue: true },
+      createdAt: { type: Sequelize.DATE, allowNull: false },
+      updatedAt: { type: Sequelize.DATE, allowNull: false },
+    }, { charset: 'utf8mb4', collate: 'utf8mb4_unicode_ci' });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('authors');
+  },
+};
@@ -0,0 +1,22 @@
+// migrations/20261019000600-create-news-revisions.js
+// Riwayat koreksi artikel (services/revisions.js); hanya createdAt.
+const { createTableIfMissing, addIndexIfMissing } = require('../services/schemaMigrations');
+
+/** @type {{ up: Function, down: Function }} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await createTableIfMissing(queryInterface, 'news_revisions', {
+      id: { type: Sequelize.INTEGER, autoIncrement: true, primaryKey: true, allowNull: false },
+      news_id: { type: Sequelize.INTEGER, allowNull: false },
+      revision: { type: Sequelize.INTEGER, allowNull: false },
+      fields: { type: Sequelize.JSON, allowNull: false },
+      changes: { type: Sequelize.JSON, allowNull: false },
+      createdAt: { type: Sequelize.DATE, allowNull: false },
+    }, { charset: 'utf8mb4', collate: 'utf8mb4_unicode_ci' });
+    await addIndexIfMissing(queryInterface, 'news_revisions', ['news_id', 'revision'], { name: 'uniq_news_revision', unique: true });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('news_revisions');
+  },
+};
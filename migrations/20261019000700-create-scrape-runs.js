@@ -0,0 +1,32 @@
+// migrations/20261019000700-create-scrape-runs.js
+// Ledger run scraper (news / news-recheck / calendar / historical) untuk /api/admin/scrape-runs.
+const { createTableIfMissing, addIndexIfMissing } = require('../services/schemaMigrations');
+
+/** @type {{ up: Function, down: Function }} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await createTableIfMissing(queryInterface, 'scrape_runs', {
+      id: { type: Sequelize.INTEGER, autoIncrement: true, primaryKey: true, allowNull: false },
+      job: { type: Sequelize.STRING(32), allowNull: false },
+      scope: { type: Sequelize.STRING(64), allowNull: true },
+      status: { type: Sequelize.ENUM('running', 'success', 'partial', 'failed'), allowNull: false, defaultValue: 'running' },
+      started_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.NOW },
+      finished_at: { type: Sequelize.DATE, allowNull: true },
+      duration_ms: { type: Sequelize.INTEGER, allowNull: true },
+      pages_fetched: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+      items_found: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+      items_new: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+      items_updated: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+      waf_hits: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+      error_count: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+      errors: { type: Sequelize.JSON, allowNull: true },
+    }, { charset: 'utf8mb4', collate: 'utf8mb4_unicode_ci' });
+    await addIndexIfMissing(queryInterface, 'scrape_runs', ['job', 'started_at'], { name: 'scrape_runs_job_started_at' });
+    await addIndexIfMissing(queryInterface, 'scrape_runs', ['started_at'], { name: 'scrape_runs_started_at' });
+    await addIndexIfMissing(queryInterface, 'scrape_runs', ['status'], { name: 'scrape_runs_status' });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('scrape_runs');
+  },
+};
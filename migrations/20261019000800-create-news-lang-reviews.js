@@ -0,0 +1,31 @@
+// migrations/20261019000800-create-news-lang-reviews.js
+// Antrean review artikel yang bahasanya tidak cocok dengan listing (services/langdetect.js).
+const { createTableIfMissing, addIndexIfMissing } = require('../services/schemaMigrations');
+
+/** @type {{ up: Function, down: Function }} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await createTableIfMissing(queryInterface, 'news_lang_reviews', {
+      id: { type: Sequelize.INTEGER, autoIncrement: true, primaryKey: true, allowNull: false },
+      link: { type: Sequelize.STRING(512), allowNull: false },
+      language: { type: Sequelize.STRING(5), allowNull: false },
+      detected_lang: { type: Sequelize.STRING(5), allowNull: true },
+      lang_confidence: { type: Sequelize.FLOAT, allowNull: true },
+      title: { type: Sequelize.TEXT, allowNull: true },
+      source_name: { type: Sequelize.STRING(191), allowNull: true },
+      payload: { type: Sequelize.JSON, allowNull: false },
+      status: { type: Sequelize.ENUM('pending', 'approved', 'rejected'), allowNull: false, defaultValue: 'pending' },
+      decided_at: { type: Sequelize.DATE, allowNull: true },
+      decided_language: { type: Sequelize.STRING(5), allowNull: true },
+      news_id: { type: Sequelize.INTEGER, allowNull: true },
+      createdAt: { type: Sequelize.DATE, allowNull: false },
+      updatedAt: { type: Sequelize.DATE, allowNull: false },
+    }, { charset: 'utf8mb4', collate: 'utf8mb4_unicode_ci' });
+    await addIndexIfMissing(queryInterface, 'news_lang_reviews', ['link', 'language'], { name: 'uniq_review_link_lang', unique: true });
+    await addIndexIfMissing(queryInterface, 'news_lang_reviews', ['status', 'createdAt'], { name: 'news_lang_reviews_status_created_at' });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('news_lang_reviews');
+  },
+};
@@ -0,0 +1,26 @@
+// models/author.js
+/** @type {(sequelize: import('sequelize').Sequelize, DataTypes: typeof import('sequelize').DataTypes) => any} */
+module.exports = (sequelize, DataTypes) => {
+  const Author = sequelize.define('Author', {
+    initial:      { type: DataTypes.STRING(8), allowNull: false, unique: true, validate: { is: /^[a-z]{2,6}$/ } }, // mis. cp / ayu
+    display_name: { type: DataTypes.STRING(64), allowNull: false },
+    aliases:      { type: DataTypes.JSON, allowNull: false, defaultValue: [] },  // inisial alternatif (typo di artikel), lowercase
+    photo_url:    { type: DataTypes.TEXT, allowNull: true },
+    bio:          { type: DataTypes.TEXT, allowNull: true },
+    active:       { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: true },
+  }, {
+    tableName: 'authors',
+    timestamps: true,
+    charset: 'utf8mb4',
+    collate: 'utf8mb4_unicode_ci',
+
+    hooks: {
+      beforeValidate(instance) {
+        instance.initial = String(instance.initial || '').trim().toLowerCase();
+        const list = Array.isArray(instance.aliases) ? instance.aliases : [];
+        instance.aliases = Array.from(new Set(list.map((a) => String(a).trim().toLowerCase()).filter(Boolean)));
+      },
+    },
+  });
+  return Author;
+};
@@ -15,12 +15,31 @@ const sequelize = new Sequelize(
 
 const NewsModel = require('./news');
 const HistoricalDataModel = require('./historical');
+const NewsTagModel = require('./newsTag');
+const AuthorModel = require('./author');
+const NewsRevisionModel = require('./newsRevision');
+const ScrapeRunModel = require('./scrapeRun');
+const NewsLangReviewModel = require('./newsLangReview');
 
 const News = NewsModel(sequelize, DataTypes);
 const HistoricalData = HistoricalDataModel(sequelize, DataTypes);
+const NewsTag = NewsTagModel(sequelize, DataTypes);
+const Author = AuthorModel(sequelize, DataTypes);
+const NewsRevision = NewsRevisionModel(sequelize, DataTypes);
+const ScrapeRun = ScrapeRunModel(sequelize, DataTypes);
+const NewsLangReview = NewsLangReviewModel(sequelize, DataTypes);
+
+News.hasMany(NewsTag, { foreignKey: 'news_id', as: 'tags', constraints: false });
+NewsTag.belongsTo(News, { foreignKey: 'news_id', constraints: false });
+News.hasMany(NewsRevision, { foreignKey: 'news_id', as: 'revisions', constraints: false });
 
 module.exports = {
   sequelize,
   News,
-  HistoricalData
+  HistoricalData,
+  NewsTag,
+  Author,
+  NewsRevision,
+  ScrapeRun,
+  NewsLangReview
 };
@@ -1,5 +1,6 @@
 // models/news.js
 const crypto = require('crypto');
+const { topicForCategory } = require('../services/categories');
 
 /** @type {(sequelize: import('sequelize').Sequelize, DataTypes: typeof import('sequelize').DataTypes) => any} */
 module.exports = (sequelize, DataTypes) => {
@@ -8,11 +9,17 @@ module.exports = (sequelize, DataTypes) => {
     title:       { type: DataTypes.TEXT, allowNull: false, validate: { notEmpty: true } },
     link:        { type: DataTypes.STRING(512), allowNull: false, validate: { notEmpty: true, len: [1, 512] } },
     image:       { type: DataTypes.TEXT, allowNull: true },
-    category:    { type: DataTypes.STRING(191), allowNull: true },
+    image_hash:  { type: DataTypes.STRING(64), allowNull: true },              // sha256 gambar di image store (services/images.js)
+    category:    { type: DataTypes.STRING(191), allowNull: true },             // label mentah dari situs
+    category_id: { type: DataTypes.STRING(32), allowNull: true },              // slug kanonik (services/categories.js)
     date:        { type: DataTypes.STRING(191), allowNull: true },             // raw (legacy)
     summary:     { type: DataTypes.TEXT, allowNull: true },
-    detail:      { type: DataTypes.TEXT('long'), allowNull: true },
+    detail:      { type: DataTypes.TEXT('long'), allowNull: true },          // plain text (search, revisi, push)
+    detail_html: { type: DataTypes.TEXT('long'), allowNull: true },          // HTML tersanitasi (services/articleBody.js)
+    detail_blocks: { type: DataTypes.JSON, allowNull: true },                // [{ type: paragraph|heading|image|list|table|quote, … }]
     language:    { type: DataTypes.STRING(5), allowNull: false, validate: { isIn: [['en','id']] } },
+    detected_lang:   { type: DataTypes.STRING(5), allowNull: true },           // hasil services/langdetect.js
+    lang_confidence: { type: DataTypes.FLOAT, allowNull: true },               // 0..1
 
     // ===== metadata Play Console =====
     source_name: { type: DataTypes.STRING(191), allowNull: false, defaultValue: 'Newsmaker 23' },
@@ -21,6 +28,19 @@ module.exports = (sequelize, DataTypes) => {
     author_name: { type: DataTypes.STRING(64), allowNull: true },
     published_at:{ type: DataTypes.DATE,       allowNull: false, defaultValue: DataTypes.NOW },
 
+    // ===== pasangan EN ↔ ID =====
+    translation_group: { type: DataTypes.STRING(36), allowNull: true },       // uuid, sama untuk versi EN & ID
+    machine_translated: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false }, // dibuat services/translate.js
+    translated_from_id: { type: DataTypes.INTEGER, allowNull: true },         // id artikel asli (kalau machine_translated)
+
+    // ===== story cluster (berita hampir sama, services/simhash.js) =====
+    simhash:          { type: DataTypes.STRING(16), allowNull: true },        // 64-bit hex dari judul + isi
+    story_cluster_id: { type: DataTypes.INTEGER, allowNull: true },           // id anggota pertama cluster (per bahasa)
+
+    // ===== revisi (koreksi editor saat re-scrape) =====
+    revision_count: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 }, // jumlah baris di news_revisions
+    revised_at:     { type: DataTypes.DATE, allowNull: true },                     // revisi terakhir
+
     // ===== push notification =====
     push_state: {
       // pending → siap kirim; sent → sukses; failed → gagal; skipped → diputuskan tidak dikirim
@@ -46,7 +66,13 @@ module.exports = (sequelize, DataTypes) => {
       { fields: ['createdAt'] },
       { fields: ['language'] },
       { fields: ['category'] },
+      { fields: ['language', 'category_id', 'published_at'], name: 'idx_lang_cat_pub' },
       { fields: ['published_at'] },
+      { fields: ['language', 'published_at', 'id'], name: 'idx_lang_pub_id' }, // keyset pagination
+      { type: 'FULLTEXT', fields: ['title', 'summary', 'detail'], name: 'ft_news_text' }, // /api/news?search=
+      { fields: ['translation_group'] },
+      { fields: ['translated_from_id'] },
+      { fields: ['language', 'story_cluster_id', 'published_at'], name: 'idx_lang_story_pub' }, // ?collapse=1
       { fields: ['push_state'] },
       { fields: ['push_sent_at'] },
       { fields: ['push_hash'] },
@@ -79,17 +105,9 @@ module.exports = (sequelize, DataTypes) => {
         instance.source_url = stripSlash(instance.source_url);
 
         // === auto-derive push fields kalau kosong ===
-        // topic dari kategori
+        // topic dari kategori (registry kanonik)
         if (!instance.push_topic) {
-          const c = (instance.category || '').toLowerCase();
-          let topic = 'news_all';
-          if (c.includes('commodity')) topic = 'news_commodity';
-          else if (c.includes('currenc')) topic = 'news_currencies';
-          else if (c.includes('index'))   topic = 'news_index';
-          else if (c.includes('crypto'))  topic = 'news_crypto';
-          else if (c.includes('economy') || c.includes('fiscal')) topic = 'news_economy';
-          else if (c.includes('analysis')) topic = 'news_analysis';
-          instance.push_topic = topic;
+          instance.push_topic = topicForCategory(instance.category_id || instance.category);
         }
 
         // collapse key & deeplink — isi setelah ada id (di afterCreate), tapi buat “sementara”
@@ -149,6 +167,7 @@ module.exports = (sequelize, DataTypes) => {
         news_id: String(this.id || ''),
         url: deeplink,
         category: String(this.category || ''),
+        category_id: String(this.category_id || ''),
         click_action: 'FLUTTER_NOTIFICATION_CLICK',
       },
       android: {
@@ -0,0 +1,33 @@
+// models/newsLangReview.js
+// Artikel yang bahasanya (services/langdetect.js) tidak cocok dengan listing tempat ia ditemukan.
+// Tidak disimpan ke news sampai admin memutuskan (approve → disimpan dengan bahasa pilihan, reject → diabaikan).
+/** @type {(sequelize: import('sequelize').Sequelize, DataTypes: typeof import('sequelize').DataTypes) => any} */
+module.exports = (sequelize, DataTypes) => {
+  const NewsLangReview = sequelize.define('NewsLangReview', {
+    link:            { type: DataTypes.STRING(512), allowNull: false },
+    language:        { type: DataTypes.STRING(5), allowNull: false },          // bahasa listing (scrape en / id)
+    detected_lang:   { type: DataTypes.STRING(5), allowNull: true },
+    lang_confidence: { type: DataTypes.FLOAT, allowNull: true },
+    title:           { type: DataTypes.TEXT, allowNull: true },
+    source_name:     { type: DataTypes.STRING(191), allowNull: true },
+    payload:         { type: DataTypes.JSON, allowNull: false },               // item hasil scrape, siap storeNewsItems
+    status: {
+      type: DataTypes.ENUM('pending', 'approved', 'rejected'),
+      allowNull: false,
+      defaultValue: 'pending',
+    },
+    decided_at:       { type: DataTypes.DATE, allowNull: true },
+    decided_language: { type: DataTypes.STRING(5), allowNull: true },          // bahasa yang dipakai saat approve
+    news_id:          { type: DataTypes.INTEGER, allowNull: true },            // baris news hasil approve
+  }, {
+    tableName: 'news_lang_reviews',
+    timestamps: true,
+    charset: 'utf8mb4',
+    collate: 'utf8mb4_unicode_ci',
+    indexes: [
+      { unique: true, fields: ['link', 'language'], name: 'uniq_review_link_lang' },
+      { fields: ['status', 'createdAt'] },
+    ],
+  });
+  return NewsLangReview;
+};
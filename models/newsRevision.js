@@ -0,0 +1,20 @@
+// models/newsRevision.js
+/** @type {(sequelize: import('sequelize').Sequelize, DataTypes: typeof import('sequelize').DataTypes) => any} */
+module.exports = (sequelize, DataTypes) => {
+  const NewsRevision = sequelize.define('NewsRevision', {
+    news_id:  { type: DataTypes.INTEGER, allowNull: false },
+    revision: { type: DataTypes.INTEGER, allowNull: false },                  // 1, 2, … per artikel
+    fields:   { type: DataTypes.JSON, allowNull: false },                     // ['title', 'detail', …]
+    changes:  { type: DataTypes.JSON, allowNull: false },                     // { title: { from, to }, detail: { diff: [...] } }
+  }, {
+    tableName: 'news_revisions',
+    timestamps: true,
+    updatedAt: false,
+    charset: 'utf8mb4',
+    collate: 'utf8mb4_unicode_ci',
+    indexes: [
+      { unique: true, fields: ['news_id', 'revision'], name: 'uniq_news_revision' },
+    ],
+  });
+  return NewsRevision;
+};
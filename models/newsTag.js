@@ -0,0 +1,20 @@
+// models/newsTag.js
+/** @type {(sequelize: import('sequelize').Sequelize, DataTypes: typeof import('sequelize').DataTypes) => any} */
+module.exports = (sequelize, DataTypes) => {
+  const NewsTag = sequelize.define('NewsTag', {
+    news_id: { type: DataTypes.INTEGER, allowNull: false },
+    tag:     { type: DataTypes.STRING(32), allowNull: false },                // kanonik, mis. XAUUSD / FED
+    kind:    { type: DataTypes.STRING(16), allowNull: false },                // commodity | fx | index | crypto | central_bank
+    hits:    { type: DataTypes.INTEGER, allowNull: false, defaultValue: 1 },  // jumlah sebutan (judul ×3)
+  }, {
+    tableName: 'news_tags',
+    timestamps: true,
+    charset: 'utf8mb4',
+    collate: 'utf8mb4_unicode_ci',
+    indexes: [
+      { unique: true, fields: ['news_id', 'tag'], name: 'uniq_news_tag' },
+      { fields: ['tag', 'news_id'] },
+    ],
+  });
+  return NewsTag;
+};
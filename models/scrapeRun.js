@@ -0,0 +1,35 @@
+// models/scrapeRun.js
+/** @type {(sequelize: import('sequelize').Sequelize, DataTypes: typeof import('sequelize').DataTypes) => any} */
+module.exports = (sequelize, DataTypes) => {
+  const ScrapeRun = sequelize.define('ScrapeRun', {
+    job:   { type: DataTypes.STRING(32), allowNull: false },                  // news | news-recheck | calendar | historical
+    scope: { type: DataTypes.STRING(64), allowNull: true },                   // bahasa / tab kalender / simbol
+    status: {
+      // running → sedang jalan; success; partial → ada error/WAF tapi sebagian data masuk; failed
+      type: DataTypes.ENUM('running', 'success', 'partial', 'failed'),
+      allowNull: false,
+      defaultValue: 'running',
+    },
+    started_at:    { type: DataTypes.DATE, allowNull: false, defaultValue: DataTypes.NOW },
+    finished_at:   { type: DataTypes.DATE, allowNull: true },
+    duration_ms:   { type: DataTypes.INTEGER, allowNull: true },
+    pages_fetched: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+    items_found:   { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },  // item terbaca dari upstream
+    items_new:     { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+    items_updated: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+    waf_hits:      { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },  // isWafOrChallenge / halaman diblok
+    error_count:   { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+    errors:        { type: DataTypes.JSON, allowNull: true },                       // [{ at, message }] (maks. 20)
+  }, {
+    tableName: 'scrape_runs',
+    timestamps: false,
+    charset: 'utf8mb4',
+    collate: 'utf8mb4_unicode_ci',
+    indexes: [
+      { fields: ['job', 'started_at'] },
+      { fields: ['started_at'] },
+      { fields: ['status'] },
+    ],
+  });
+  return ScrapeRun;
+};
@@ -0,0 +1,202 @@
+// services/articleBody.js
+// Isi artikel terstruktur: HTML yang sudah disanitasi (whitelist tag/atribut, URL absolut) + daftar blok
+// (paragraph, heading, image, list, table, quote) untuk dirender app. `detail` plain text tetap dipakai
+// untuk pencarian, revisi & push.
+const cheerio = require('cheerio');
+
+// tag dibuang beserta isinya
+const DROP_TAGS = new Set(['script', 'style', 'noscript', 'iframe', 'object', 'embed', 'form', 'input', 'button', 'select', 'textarea', 'svg', 'canvas', 'video', 'audio', 'template', 'link', 'meta']);
+// tag yang dipertahankan (+ atribut yang boleh); tag lain di-unwrap (isinya tetap)
+const ALLOWED = {
+  p: [], br: [], hr: [],
+  h2: [], h3: [], h4: [], h5: [], h6: [],
+  strong: [], em: [], u: [], s: [], sup: [], sub: [], mark: [],
+  a: ['href', 'title'],
+  ul: [], ol: ['start'], li: [],
+  blockquote: [],
+  figure: [], figcaption: [],
+  img: ['src', 'alt', 'width', 'height'],
+  table: [], caption: [], thead: [], tbody: [], tfoot: [], tr: [], th: ['colspan', 'rowspan'], td: ['colspan', 'rowspan'],
+};
+const RENAME = { b: 'strong', i: 'em', h1: 'h2', strike: 's', del: 's' };
+const VOID = new Set(['br', 'hr', 'img']);
+const INLINE = new Set(['strong', 'em', 'u', 's', 'sup', 'sub', 'mark', 'a', 'br']);
+
+const escText = (s) => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+const escAttr = (s) => escText(s).replace(/"/g, '&quot;');
+const normalizeSpace = (s) => String(s || '').replace(/\s+/g, ' ').trim();
+
+function absUrl(u, baseUrl) {
+  const s = String(u || '').trim();
+  if (!s) return null;
+  try {
+    const url = new URL(s, baseUrl || undefined);
+    return /^https?:$/.test(url.protocol) ? url.toString() : null;
+  } catch {
+    return null;
+  }
+}
+
+function imgSrc(el, baseUrl) {
+  const a = el.attribs || {};
+  // lazy-load: src placeholder, aslinya di data-src / data-lazy-src
+  return absUrl(a['data-src'] || a['data-lazy-src'] || a['data-original'] || a.src, baseUrl);
+}
+
+function sanitizeNode(node, baseUrl) {
+  if (node.type === 'text') return escText(node.data);
+  if (node.type !== 'tag') return '';
+  const raw = node.name.toLowerCase();
+  if (DROP_TAGS.has(raw)) return '';
+  const name = RENAME[raw] || raw;
+  const inner = () => (node.children || []).map((c) => sanitizeNode(c, baseUrl)).join('');
+  if (!ALLOWED[name]) return inner();
+
+  const attrs = [];
+  for (const k of ALLOWED[name]) {
+    let v = node.attribs?.[k];
+    if (name === 'img' && k === 'src') v = imgSrc(node, baseUrl);
+    else if (name === 'a' && k === 'href') v = absUrl(v, baseUrl);
+    else if (['width', 'height', 'colspan', 'rowspan', 'start'].includes(k)) v = /^\d{1,4}$/.test(String(v || '')) ? v : null;
+    if (v != null && v !== '') attrs.push(`${k}="${escAttr(v)}"`);
+  }
+  if (name === 'img' && !attrs.some((a) => a.startsWith('src='))) return '';
+  if (name === 'a') {
+    if (!attrs.some((a) => a.startsWith('href='))) return inner();
+    attrs.push('rel="noopener nofollow"', 'target="_blank"');
+  }
+  const open = `<${name}${attrs.length ? ` ${attrs.join(' ')}` : ''}>`;
+  return VOID.has(name) ? open : `${open}${inner()}</${name}>`;
+}
+
+/** HTML mentah → HTML bersih (tanpa wrapper div/span, script, style, atribut event, URL relatif) */
+function sanitizeArticleHtml(html, { baseUrl } = {}) {
+  const $ = cheerio.load(`<div id="__root">${html || ''}</div>`);
+  const root = $('#__root').get(0);
+  return (root.children || []).map((c) => sanitizeNode(c, baseUrl)).join('')
+    .replace(/<p>(?:\s|&nbsp;|<br>)*<\/p>/g, '')
+    .trim();
+}
+
+function tableBlock($, $t) {
+  const cells = ($tr) => $tr.children('th, td').map((_, c) => normalizeSpace($(c).text())).get();
+  let header = null;
+  const $head = $t.find('thead tr').first();
+  let $rows = $t.find('tr').not($t.find('thead tr'));
+  if ($head.length) header = cells($head);
+  else if ($rows.first().children('th').length && !$rows.first().children('td').length) {
+    header = cells($rows.first());
+    $rows = $rows.slice(1);
+  }
+  const rows = $rows.map((_, tr) => [cells($(tr))]).get().filter((r) => r.some(Boolean));
+  if (!rows.length && !header) return null;
+  const caption = normalizeSpace($t.children('caption').text()) || null;
+  return { type: 'table', caption, header, rows };
+}
+
+function imageBlock($, $img, caption = null) {
+  return {
+    type: 'image',
+    src: $img.attr('src'),
+    alt: $img.attr('alt') || null,
+    caption: caption || null,
+    width: Number($img.attr('width')) || null,
+    height: Number($img.attr('height')) || null,
+  };
+}
+
+/**
+ * Bangun daftar blok dari HTML yang SUDAH disanitasi.
+ * @returns {Array<object>} blok: paragraph {html,text} | heading {level,text} | image {src,alt,caption,width,height}
+ *   | list {ordered,items:[{html,text}]} | table {caption,header,rows} | quote {html,text}
+ */
+function buildBlocks(cleanHtml) {
+  const $ = cheerio.load(`<div id="__root">${cleanHtml || ''}</div>`);
+  const blocks = [];
+  let inline = [];
+
+  const pushParagraph = (html) => {
+    const text = normalizeSpace(cheerio.load(`<div>${html}</div>`)('div').text());
+    if (text) blocks.push({ type: 'paragraph', html: html.trim(), text });
+  };
+  const flushInline = () => {
+    if (inline.length) pushParagraph(inline.join(''));
+    inline = [];
+  };
+
+  $('#__root').contents().each((_, node) => {
+    if (node.type === 'text' || (node.type === 'tag' && INLINE.has(node.name))) {
+      inline.push(node.type === 'text' ? escText(node.data) : $.html(node));
+      return;
+    }
+    flushInline();
+    if (node.type !== 'tag') return;
+    const $n = $(node);
+    switch (node.name) {
+      case 'p': {
+        // gambar di dalam paragraf dijadikan blok sendiri setelah teksnya
+        const $imgs = $n.find('img');
+        const imgs = $imgs.map((__, img) => imageBlock($, $(img))).get();
+        $imgs.remove();
+        pushParagraph($n.html() || '');
+        blocks.push(...imgs);
+        break;
+      }
+      case 'h2': case 'h3': case 'h4': case 'h5': case 'h6': {
+        const text = normalizeSpace($n.text());
+        if (text) blocks.push({ type: 'heading', level: Number(node.name[1]), text });
+        break;
+      }
+      case 'img':
+        blocks.push(imageBlock($, $n));
+        break;
+      case 'figure': {
+        const caption = normalizeSpace($n.find('figcaption').text());
+        if ($n.find('table').length) {
+          const t = tableBlock($, $n.find('table').first());
+          if (t) blocks.push({ ...t, caption: t.caption || caption || null });
+        } else {
+          $n.find('img').each((__, img) => blocks.push(imageBlock($, $(img), caption)));
+        }
+        break;
+      }
+      case 'ul': case 'ol': {
+        const items = $n.children('li').map((__, li) => {
+          const html = ($(li).html() || '').trim();
+          return { html, text: normalizeSpace($(li).text()) };
+        }).get().filter((it) => it.text);
+        if (items.length) blocks.push({ type: 'list', ordered: node.name === 'ol', items });
+        break;
+      }
+      case 'table': {
+        const t = tableBlock($, $n);
+        if (t) blocks.push(t);
+        break;
+      }
+      case 'blockquote': {
+        const text = normalizeSpace($n.text());
+        if (text) blocks.push({ type: 'quote', html: ($n.html() || '').trim(), text });
+        break;
+      }
+      default: {
+        // li / tr / caption nyasar di luar induknya → anggap paragraf
+        const html = ($n.html() || '').trim();
+        if (html) pushParagraph(html);
+      }
+    }
+  });
+  flushInline();
+  return blocks;
+}
+
+/**
+ * HTML isi artikel (mis. `div.article-content`) → { html, blocks }.
+ * @param {string} html
+ * @param {{ baseUrl?: string }} [opts] baseUrl untuk src/href relatif
+ */
+function parseArticleBody(html, opts = {}) {
+  const clean = sanitizeArticleHtml(html, opts);
+  return { html: clean, blocks: buildBlocks(clean) };
+}
+
+module.exports = { sanitizeArticleHtml, buildBlocks, parseArticleBody };
@@ -0,0 +1,58 @@
+// services/categories.js
+// Registry kategori kanonik (kunci = path listing newsmaker.id) → slug, nama EN/ID, topic FCM.
+
+/**
+ * id    : slug kanonik (disimpan di News.category_id)
+ * path  : path listing di newsmaker.id (/index.php/<lang>/<path>)
+ * topic : topic FCM dasar (tanpa suffix bahasa)
+ * match : potongan teks label `span.category-label` (lowercase) untuk data lama / sumber lain
+ */
+const NEWS_CATEGORIES = [
+  { id: 'economy', path: 'economic-news/economy', section: 'economic-news', name: { en: 'Economy', id: 'Ekonomi' }, topic: 'news_economy', match: ['economy', 'ekonomi'] },
+  { id: 'fiscal-moneter', path: 'economic-news/fiscal-moneter', section: 'economic-news', name: { en: 'Fiscal & Monetary', id: 'Fiskal & Moneter' }, topic: 'news_economy', match: ['fiscal', 'fiskal', 'moneter', 'monetary'] },
+  { id: 'index', path: 'market-news/index', section: 'market-news', name: { en: 'Index', id: 'Indeks' }, topic: 'news_index', match: ['index', 'indeks'] },
+  { id: 'commodity', path: 'market-news/commodity', section: 'market-news', name: { en: 'Commodity', id: 'Komoditas' }, topic: 'news_commodity', match: ['commodit', 'komodit'] },
+  { id: 'currencies', path: 'market-news/currencies', section: 'market-news', name: { en: 'Currencies', id: 'Mata Uang' }, topic: 'news_currencies', match: ['currenc', 'mata uang', 'valas', 'forex'] },
+  { id: 'crypto', path: 'market-news/crypto', section: 'market-news', name: { en: 'Crypto', id: 'Kripto' }, topic: 'news_crypto', match: ['crypto', 'kripto'] },
+  { id: 'analysis-market', path: 'analysis/analysis-market', section: 'analysis', name: { en: 'Market Analysis', id: 'Analisis Pasar' }, topic: 'news_analysis', match: ['analysis market', 'market analysis', 'analisis pasar', 'analisa pasar'] },
+  { id: 'analysis-opinion', path: 'analysis/analysis-opinion', section: 'analysis', name: { en: 'Opinion', id: 'Opini' }, topic: 'news_analysis', match: ['opinion', 'opini'] },
+];
+
+const BY_ID = new Map(NEWS_CATEGORIES.map((c) => [c.id, c]));
+const BY_PATH = new Map(NEWS_CATEGORIES.map((c) => [c.path, c]));
+
+// urutan pencocokan label: yang spesifik dulu (analysis-* sebelum index, dst.)
+const MATCH_ORDER = ['analysis-market', 'analysis-opinion', 'commodity', 'currencies', 'crypto', 'fiscal-moneter', 'economy', 'index']
+  .map((id) => BY_ID.get(id));
+
+function categoryById(id) {
+  return BY_ID.get(String(id || '').trim().toLowerCase()) || null;
+}
+
+function categoryByPath(path) {
+  return BY_PATH.get(String(path || '').replace(/^\/+|\/+$/g, '')) || null;
+}
+
+/** label bebas ("Commodity", "Komoditas", "Analysis Market") → entry registry atau null */
+function resolveCategoryFromLabel(label) {
+  const l = String(label || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  if (!l) return null;
+  if (BY_ID.has(l)) return BY_ID.get(l);
+  // label "analysis" polos (tanpa opini) → analysis-market
+  if (l === 'analysis' || l === 'analisis' || l === 'analisa') return BY_ID.get('analysis-market');
+  return MATCH_ORDER.find((c) => c.match.some((m) => l.includes(m))) || null;
+}
+
+/** topic FCM dasar untuk category_id atau label bebas */
+function topicForCategory(categoryIdOrLabel) {
+  const c = categoryById(categoryIdOrLabel) || resolveCategoryFromLabel(categoryIdOrLabel);
+  return c ? c.topic : 'news_all';
+}
+
+module.exports = {
+  NEWS_CATEGORIES,
+  categoryById,
+  categoryByPath,
+  resolveCategoryFromLabel,
+  topicForCategory,
+};
@@ -0,0 +1,154 @@
+// services/feeds.js
+// Builder RSS 2.0 / Atom 1.0 / JSON Feed 1.1 dari row News (title, summary, image, author_name, published_at, source_url).
+const { XMLBuilder } = require('fast-xml-parser');
+
+const builder = new XMLBuilder({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  format: true,
+  suppressEmptyNode: true,
+});
+
+const XML_DECL = { '@_version': '1.0', '@_encoding': 'UTF-8' };
+
+const FEED_FORMATS = {
+  xml: { kind: 'rss', contentType: 'application/rss+xml; charset=utf-8' },
+  rss: { kind: 'rss', contentType: 'application/rss+xml; charset=utf-8' },
+  atom: { kind: 'atom', contentType: 'application/atom+xml; charset=utf-8' },
+  json: { kind: 'json', contentType: 'application/feed+json; charset=utf-8' },
+};
+
+function itemUrl(n) { return n.source_url || n.link; }
+function itemGuid(n) { return `urn:newsmaker23:news:${n.id}`; }
+function toDate(d) { const x = new Date(d); return Number.isNaN(+x) ? new Date() : x; }
+
+/**
+ * @param {{ title: string, description: string, language: string, homeUrl: string, feedUrl: string }} meta
+ * @param {any[]} items row News (plain object)
+ */
+function buildRss(meta, items) {
+  const updated = items.length ? toDate(items[0].published_at) : new Date();
+  return builder.build({
+    '?xml': XML_DECL,
+    rss: {
+      '@_version': '2.0',
+      '@_xmlns:atom': 'http://www.w3.org/2005/Atom',
+      '@_xmlns:dc': 'http://purl.org/dc/elements/1.1/',
+      '@_xmlns:media': 'http://search.yahoo.com/mrss/',
+      channel: {
+        title: meta.title,
+        link: meta.homeUrl,
+        description: meta.description,
+        language: meta.language,
+        lastBuildDate: updated.toUTCString(),
+        'atom:link': { '@_href': meta.feedUrl, '@_rel': 'self', '@_type': 'application/rss+xml' },
+        item: items.map((n) => ({
+          title: n.title,
+          link: itemUrl(n),
+          guid: { '#text': itemGuid(n), '@_isPermaLink': 'false' },
+          description: n.summary || '',
+          pubDate: toDate(n.published_at).toUTCString(),
+          category: n.category || undefined,
+          'dc:creator': n.author_name || undefined,
+          'media:content': n.image ? { '@_url': n.image, '@_medium': 'image' } : undefined,
+        })),
+      },
+    },
+  });
+}
+
+function buildAtom(meta, items) {
+  const updated = items.length ? toDate(items[0].published_at) : new Date();
+  return builder.build({
+    '?xml': XML_DECL,
+    feed: {
+      '@_xmlns': 'http://www.w3.org/2005/Atom',
+      '@_xml:lang': meta.language,
+      id: meta.feedUrl,
+      title: meta.title,
+      subtitle: meta.description,
+      updated: updated.toISOString(),
+      link: [
+        { '@_href': meta.feedUrl, '@_rel': 'self', '@_type': 'application/atom+xml' },
+        { '@_href': meta.homeUrl, '@_rel': 'alternate', '@_type': 'text/html' },
+      ],
+      entry: items.map((n) => ({
+        id: itemGuid(n),
+        title: n.title,
+        updated: toDate(n.updatedAt || n.published_at).toISOString(),
+        published: toDate(n.published_at).toISOString(),
+        link: [
+          { '@_href': itemUrl(n), '@_rel': 'alternate', '@_type': 'text/html' },
+          ...(n.image ? [{ '@_href': n.image, '@_rel': 'enclosure', '@_type': 'image/jpeg' }] : []),
+        ],
+        summary: n.summary ? { '#text': n.summary, '@_type': 'text' } : undefined,
+        author: { name: n.author_name || n.source_name || 'Newsmaker 23' },
+        category: n.category ? { '@_term': n.category } : undefined,
+      })),
+    },
+  });
+}
+
+function buildJsonFeed(meta, items) {
+  return JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: meta.title,
+    description: meta.description,
+    home_page_url: meta.homeUrl,
+    feed_url: meta.feedUrl,
+    language: meta.language,
+    items: items.map((n) => ({
+      id: itemGuid(n),
+      url: itemUrl(n),
+      title: n.title,
+      summary: n.summary || undefined,
+      image: n.image || undefined,
+      date_published: toDate(n.published_at).toISOString(),
+      date_modified: n.updatedAt ? toDate(n.updatedAt).toISOString() : undefined,
+      authors: n.author_name ? [{ name: n.author_name }] : undefined,
+      tags: n.category ? [n.category] : undefined,
+    })),
+  });
+}
+
+/**
+ * Google News sitemap (https://developers.google.com/search/docs/crawling-indexing/sitemaps/news-sitemap).
+ * Google hanya membaca artikel ≤ 2 hari & maks 1000 URL — filter dilakukan caller.
+ * @param {{ loc: string, language: string, title: string, published_at: any }[]} entries
+ */
+function buildNewsSitemap(entries, { publicationName = 'Newsmaker 23' } = {}) {
+  return builder.build({
+    '?xml': XML_DECL,
+    urlset: {
+      '@_xmlns': 'http://www.sitemaps.org/schemas/sitemap/0.9',
+      '@_xmlns:news': 'http://www.google.com/schemas/sitemap-news/0.9',
+      url: entries.map((e) => ({
+        loc: e.loc,
+        'news:news': {
+          'news:publication': { 'news:name': publicationName, 'news:language': e.language },
+          'news:publication_date': toDate(e.published_at).toISOString(),
+          'news:title': e.title,
+        },
+      })),
+    },
+  });
+}
+
+/** Render feed sesuai format ('xml' | 'rss' | 'atom' | 'json') → { body, contentType } atau null */
+function renderFeed(format, meta, items) {
+  const f = FEED_FORMATS[String(format || '').toLowerCase()];
+  if (!f) return null;
+  const body = f.kind === 'atom' ? buildAtom(meta, items)
+    : f.kind === 'json' ? buildJsonFeed(meta, items)
+      : buildRss(meta, items);
+  return { body, contentType: f.contentType };
+}
+
+module.exports = {
+  FEED_FORMATS,
+  buildRss,
+  buildAtom,
+  buildJsonFeed,
+  buildNewsSitemap,
+  renderFeed,
+};
@@ -0,0 +1,192 @@
+// services/images.js
+// Pipeline gambar artikel: diunduh saat scrape, disimpan lokal per content hash (sha256), varian
+// (thumb/card/push, atau ?w=) dibuat on-demand dengan sharp lalu di-cache di disk.
+// Gambar gagal/tidak ada → placeholder per kategori (warna + nama kategori).
+// sharp (native) dimuat saat pertama dipakai: kalau binary-nya hilang/rusak, API tetap jalan —
+// ingest dilewati (artikel memakai URL `image` asli), placeholder dikirim sebagai SVG.
+//
+// Layout: <dir>/<hh>/<hash>            original (byte apa adanya)
+//         <dir>/<hh>/<hash>.json       meta { hash, format, width, height, bytes, source_url }
+//         <dir>/<hh>/<hash>-<v>.<fmt>  varian
+//         <dir>/placeholder/<cat>-<v>.<fmt>
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// lebar yang boleh diminta lewat ?w= (dibulatkan ke atas) supaya disk tidak diisi varian acak
+const WIDTHS = [160, 320, 480, 720, 1024, 1440];
+const PRESETS = {
+  thumb: { width: 160 },
+  card: { width: 480 },
+  // FCM rich notification: rasio 2:1, < 1 MB, JPEG paling aman di semua launcher
+  push: { width: 1024, height: 512, format: 'jpeg' },
+};
+const FORMATS = ['jpeg', 'png', 'webp', 'gif', 'avif', 'tiff'];
+const MAX_BYTES = 10 * 1024 * 1024;
+const HASH_RE = /^[a-f0-9]{64}$/;
+
+const PLACEHOLDER_COLORS = {
+  economy: '#1f4e79',
+  'fiscal-moneter': '#2e6b5e',
+  index: '#5b3f8c',
+  commodity: '#8a5a14',
+  currencies: '#1d6f8c',
+  crypto: '#b5651d',
+  'analysis-market': '#7a1f3d',
+  'analysis-opinion': '#4a4a4a',
+};
+const DEFAULT_COLOR = '#263238';
+
+let sharpModule;
+function loadSharp() {
+  if (sharpModule === undefined) {
+    try {
+      sharpModule = require('sharp');
+    } catch (e) {
+      sharpModule = null;
+      console.warn(`⚠️ sharp unavailable, images stay hot-linked + SVG placeholders: ${e.message}`);
+    }
+  }
+  return sharpModule;
+}
+
+const escXml = (s) => String(s).replace(/[<>&"']/g, (c) => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' }[c]));
+
+/** ?w= ("thumb" | "card" | "push" | angka) → { key, width, height?, format? } */
+function resolveVariant(w) {
+  const s = String(w || 'card').toLowerCase();
+  if (PRESETS[s]) return { key: s, ...PRESETS[s] };
+  const n = parseInt(s, 10);
+  if (!Number.isFinite(n) || n <= 0) return { key: 'card', ...PRESETS.card };
+  const width = WIDTHS.find((x) => x >= n) || WIDTHS[WIDTHS.length - 1];
+  return { key: `w${width}`, width };
+}
+
+function placeholderSvg(cat, label, width, height) {
+  const fontSize = Math.max(Math.round(height / 8), 12);
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+  <rect width="100%" height="100%" fill="${PLACEHOLDER_COLORS[cat] || DEFAULT_COLOR}"/>
+  <text x="50%" y="50%" dominant-baseline="middle" text-anchor="middle" font-family="sans-serif" font-weight="bold"
+    font-size="${fontSize}" fill="#ffffff" fill-opacity="0.85">${escXml(label || 'Newsmaker 23')}</text>
+</svg>`;
+}
+
+/**
+ * @param {{ dir: string, axios: import('axios').AxiosStatic, redis: import('ioredis').Redis, enabled?: boolean, sharp?: Function|null }} opts
+ *   enabled=false → ingest tidak mengunduh (mis. mode replay); yang sudah tersimpan tetap disajikan
+ *   sharp: override modul sharp (null = anggap tidak tersedia); default dimuat lazy
+ */
+function createImageStore({ dir, axios, redis, enabled = true, sharp: sharpOverride }) {
+  const getSharp = () => (sharpOverride !== undefined ? sharpOverride : loadSharp());
+  const root = path.resolve(dir);
+  const fileOf = (hash, suffix = '') => path.join(root, hash.slice(0, 2), `${hash}${suffix}`);
+  const srcKey = (url) => `img:src:${crypto.createHash('sha1').update(url).digest('hex')}`;
+  const inflight = new Map(); // dedupe render varian yang sama secara bersamaan
+
+  async function readMeta(hash) {
+    try { return JSON.parse(await fs.promises.readFile(fileOf(hash, '.json'), 'utf8')); } catch { return null; }
+  }
+
+  /**
+   * Unduh + simpan gambar dari URL sumber. Return hash, atau null kalau gagal / bukan gambar.
+   * URL yang sudah pernah diunduh tidak diunduh ulang (redis img:src:*, 30 hari).
+   */
+  async function ingest(url) {
+    if (!url || !/^https?:\/\//i.test(url)) return null;
+    const cached = await redis.get(srcKey(url));
+    if (cached === '-') return null;
+    if (cached && (await readMeta(cached))) return cached;
+    const sharp = getSharp();
+    if (!enabled || !sharp) return null;
+
+    try {
+      const res = await axios.get(url, {
+        responseType: 'arraybuffer',
+        timeout: 20000,
+        maxContentLength: MAX_BYTES,
+        maxRedirects: 3,
+        headers: { Accept: 'image/avif,image/webp,image/*;q=0.8', 'User-Agent': 'Mozilla/5.0 (compatible; Newsmaker23Bot/1.0)' },
+      });
+      const buf = Buffer.from(res.data);
+      const meta = await sharp(buf).metadata();
+      if (!FORMATS.includes(meta.format)) throw new Error(`unsupported format ${meta.format}`);
+
+      const hash = crypto.createHash('sha256').update(buf).digest('hex');
+      if (!(await readMeta(hash))) {
+        await fs.promises.mkdir(path.dirname(fileOf(hash)), { recursive: true });
+        await fs.promises.writeFile(fileOf(hash), buf);
+        await fs.promises.writeFile(fileOf(hash, '.json'), JSON.stringify({
+          hash, format: meta.format, width: meta.width || null, height: meta.height || null, bytes: buf.length, source_url: url,
+        }));
+      }
+      await redis.set(srcKey(url), hash, 'EX', 30 * 86400);
+      return hash;
+    } catch (e) {
+      console.warn(`⚠️ image ingest failed: ${url} | ${e.message}`);
+      // jangan coba ulang tiap run; 6 jam lagi boleh
+      await redis.set(srcKey(url), '-', 'EX', 6 * 3600).catch(() => { });
+      return null;
+    }
+  }
+
+  async function renderOnce(file, render) {
+    try { return await fs.promises.readFile(file); } catch { }
+    if (inflight.has(file)) return inflight.get(file);
+    const p = (async () => {
+      const out = await render();
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      // tulis ke tmp lalu rename → request paralel tidak membaca file setengah jadi
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, out);
+      await fs.promises.rename(tmp, file);
+      return out;
+    })().finally(() => inflight.delete(file));
+    inflight.set(file, p);
+    return p;
+  }
+
+  function pipeline(input, v, format) {
+    let img = getSharp()(input, { animated: false }).rotate();
+    img = v.height
+      ? img.resize(v.width, v.height, { fit: 'cover', position: 'attention' })
+      : img.resize({ width: v.width, withoutEnlargement: true });
+    if (format === 'webp') return img.webp({ quality: 78 }).toBuffer();
+    return img.flatten({ background: '#ffffff' }).jpeg({ quality: 80, mozjpeg: true }).toBuffer();
+  }
+
+  /**
+   * Varian gambar tersimpan. format: 'webp' | 'jpeg' (preset push selalu jpeg).
+   * @returns {Promise<{ body: Buffer, format: string, key: string }|null>} null kalau hash tidak dikenal
+   */
+  async function variant(hash, w, format = 'jpeg') {
+    if (!HASH_RE.test(String(hash || ''))) return null;
+    const meta = await readMeta(hash);
+    if (!meta) return null;
+    const v = resolveVariant(w);
+    // tanpa sharp: original apa adanya (tidak di-resize)
+    if (!getSharp()) return { body: await fs.promises.readFile(fileOf(hash)), format: meta.format, key: 'original' };
+    const fmt = v.format || (format === 'webp' ? 'webp' : 'jpeg');
+    const body = await renderOnce(fileOf(hash, `-${v.key}.${fmt}`), async () => pipeline(await fs.promises.readFile(fileOf(hash)), v, fmt));
+    return { body, format: fmt, key: v.key };
+  }
+
+  /** placeholder kategori (warna registry + label), ukuran mengikuti varian */
+  async function placeholder(categoryId, label, w, format = 'jpeg') {
+    const cat = PLACEHOLDER_COLORS[categoryId] ? categoryId : 'default';
+    const v = resolveVariant(w);
+    const fmt = v.format || (format === 'webp' ? 'webp' : 'jpeg');
+    const width = v.width;
+    const height = v.height || Math.round(width * 9 / 16);
+    const svg = placeholderSvg(cat, label, width, height);
+    if (!getSharp()) return { body: Buffer.from(svg), format: 'svg+xml', key: v.key };
+    const body = await renderOnce(path.join(root, 'placeholder', `${cat}-${v.key}.${fmt}`), () => pipeline(Buffer.from(svg), { width, height }, fmt));
+    return { body, format: fmt, key: v.key };
+  }
+
+  /** false kalau sharp tidak bisa dimuat (tidak ada resize / gambar tersimpan baru) */
+  const available = () => !!getSharp();
+
+  return { ingest, variant, placeholder, readMeta, available };
+}
+
+module.exports = { createImageStore, resolveVariant, PRESETS, WIDTHS, HASH_RE };
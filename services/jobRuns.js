@@ -0,0 +1,46 @@
+// services/jobRuns.js
+// Progress job antrean untuk kerja scrape: trackScrapeRun mendaftarkan counter run-nya ke job yang sedang
+// jalan (AsyncLocalStorage), handler job melaporkan counter itu lewat ctx.progress tiap tickMs.
+const { AsyncLocalStorage } = require('async_hooks');
+
+const jobRunsStore = new AsyncLocalStorage();
+
+/** dipanggil trackScrapeRun; tanpa job aktif (mis. dipanggil langsung) tidak melakukan apa-apa */
+function registerJobRun({ job, scope = null, run_id = null, stats }) {
+  jobRunsStore.getStore()?.push({ job, scope, run_id, stats });
+}
+
+function jobProgress(runs) {
+  return runs.map(({ job, scope, run_id, stats }) => ({
+    job, scope, run_id,
+    pages_fetched: stats.pages_fetched,
+    items_found: stats.items_found,
+    items_new: stats.items_new,
+    items_updated: stats.items_updated,
+    waf_hits: stats.waf_hits,
+    error_count: stats.error_count,
+  }));
+}
+
+/**
+ * Bungkus handler scrape: progress job = counter scrape run di dalamnya; result = ringkasan run.
+ * @param {(payload: any, ctx: object) => Promise<any>} fn
+ * @param {{ tickMs?: number }} [opts]
+ */
+function scrapeJob(fn, { tickMs = 2000 } = {}) {
+  return async (payload, ctx) => {
+    const runs = [];
+    const ticker = setInterval(() => ctx.progress(jobProgress(runs)), tickMs);
+    try {
+      await jobRunsStore.run(runs, () => fn(payload, ctx));
+    } finally {
+      clearInterval(ticker);
+      ctx.progress(jobProgress(runs));
+    }
+    const progress = jobProgress(runs);
+    const sum = (f) => progress.reduce((s, r) => s + r[f], 0);
+    return { runs: progress.length, items_found: sum('items_found'), items_new: sum('items_new'), items_updated: sum('items_updated') };
+  };
+}
+
+module.exports = { registerJobRun, jobProgress, scrapeJob };
@@ -0,0 +1,152 @@
+// services/newsCollector.js
+// Jalan per listing/halaman (terbaru dulu) dan berhenti begitu sampai item yang sudah dikenal:
+// high-water mark tercapai, listing 304 Not Modified, atau (tanpa mark) satu halaman penuh item lama.
+// State untuk run berikutnya (mark + ETag/Last-Modified) hanya diserahkan ke caller kalau semua halaman
+// listing itu beres; halaman/detail yang gagal harus ketemu lagi run berikutnya, bukan tertutup 304 / mark.
+const { delay, runParallelWithLimit } = require('./scrapeHelpers');
+
+// high-water mark per listing: item terbaru yang sudah diproses run sebelumnya
+const scrapeHwmKey = (sourceId, lang, listingKey) => `scrape:hwm:${sourceId}:${lang}:${listingKey}`;
+
+function reachedHighWaterMark(hwm, item) {
+  if (!hwm) return false;
+  if (item.link === hwm.link) return true;
+  const t = item.publishedAt ? +new Date(item.publishedAt) : NaN;
+  return Number.isFinite(t) && hwm.publishedAt != null && t < +new Date(hwm.publishedAt);
+}
+
+/**
+ * @param {object} deps
+ * @param {import('ioredis').Redis} deps.redis
+ * @param {(lang: string, links: string[]) => Promise<Set<string>>} deps.findKnownLinks  link yang sudah ada di DB
+ * @param {(dbRow: object|undefined, item: object) => boolean} deps.listingChanged  item lama berubah di listing
+ * @param {(item: object, detail: object|null, source: object, lang: string) => object} deps.toNewsItem
+ *   gabung item listing + detail (author, source_name, bahasa terdeteksi)
+ * @param {(item: object, lang: string) => boolean} deps.needsLangReview  item baru ditahan di antrean review bahasa
+ * @param {(items: object[], lang: string) => Promise<void>} deps.queueLangReviews
+ * @param {(field: string, n?: number) => void} [deps.count]      counter scrape run
+ * @param {(err: Error, where: string) => void} [deps.reportError]
+ * @param {(ms: number) => Promise<void>} [deps.sleep]
+ */
+function createNewsCollector({
+  redis, findKnownLinks, listingChanged, toNewsItem, needsLangReview, queueLangReviews,
+  count = () => { }, reportError = () => { }, sleep = delay,
+}) {
+  /**
+   * @param {{ recentByLink: Map<string, object>, seenLinks: Set<string>, commits: Array<() => Promise<unknown>> }} ctx
+   *   commits: dijalankan caller setelah item tersimpan
+   * @returns {Promise<object[]>} item siap storeNewsItems
+   */
+  async function collectSourceItems(source, lang, { recentByLink, seenLinks, commits }) {
+    const { concurrency, pageDelayMs, maxEmptyPages, maxPages } = source.rateLimit;
+    const out = [];
+
+    for (const listing of source.listings(lang)) {
+      const hwmKey = scrapeHwmKey(source.id, lang, listing.key);
+      let hwm = null;
+      try { hwm = JSON.parse((await redis.get(hwmKey)) || 'null'); } catch { }
+
+      // Ditahan sampai listing selesai: mark / validator halaman 0 yang tersimpan akan menghentikan run
+      // berikutnya sebelum sampai ke halaman yang gagal di run ini.
+      const pending = [];
+      let failed = false;
+      let emptyStreak = 0;
+      for (let page = 0; page < maxPages; page++) {
+        const url = listing.pageUrl(page);
+        if (!url) break;
+        try {
+          const { items: rawItems, blocked, notModified, commit } = await source.fetchListing(url, lang, listing);
+          count('pages_fetched');
+          if (notModified) {
+            console.log(`⏭️ Not modified: ${url}`);
+            break;
+          }
+          if (blocked) {
+            console.warn(`🛡️ Blocked page: ${url}`);
+            count('waf_hits');
+            failed = true;
+            if (++emptyStreak >= maxEmptyPages) break;
+            continue;
+          }
+          const pageCommits = commit ? [commit] : [];
+          let pageFailed = false;
+
+          const items = rawItems.map((it) => ({ ...it, categoryId: it.categoryId || listing.categoryId || null }));
+          count('items_found', items.length);
+          if (page === 0 && items.length) {
+            const top = { link: items[0].link, publishedAt: items[0].publishedAt || null };
+            pageCommits.push(() => redis.set(hwmKey, JSON.stringify(top)));
+          }
+
+          const known = await findKnownLinks(lang, items.map((it) => it.link));
+          const fresh = items.filter((it) => !known.has(it.link) && !seenLinks.has(it.link));
+          fresh.forEach((it) => seenLinks.add(it.link));
+          const changed = items.filter((it) => !seenLinks.has(it.link) && listingChanged(recentByLink.get(it.link), it));
+          changed.forEach((it) => seenLinks.add(it.link));
+          if (changed.length) console.log(`✏️ ${changed.length} updated item(s) on ${url}`);
+
+          if (fresh.length || changed.length) {
+            // detail yang gagal tidak menjatuhkan item lain di halaman ini, tapi halaman dianggap gagal
+            const detailTasks = [...fresh, ...changed].map((it) => async () => {
+              try {
+                const detail = source.fetchDetail ? await source.fetchDetail(it, lang) : null;
+                if (detail?.blocked) count('waf_hits');
+                return toNewsItem(it, detail, source, lang);
+              } catch (e) {
+                console.warn(`⚠️ Detail failed: ${it.link} | ${e.message}`);
+                reportError(e, it.link);
+                return null;
+              }
+            });
+
+            const detailed = await runParallelWithLimit(detailTasks, concurrency);
+            if (detailed.some((n) => !n)) pageFailed = true;
+            const mismatched = [];
+            for (const n of detailed.filter(Boolean)) {
+              // artikel lama yang berubah tetap di-update; yang ditahan hanya item baru
+              if (!known.has(n.link) && needsLangReview(n, lang)) mismatched.push(n);
+              else out.push(n);
+            }
+            if (mismatched.length) {
+              try {
+                await queueLangReviews(mismatched, lang);
+              } catch (e) {
+                console.warn('⚠️ language review queue failed:', e.message);
+                reportError(e, 'lang-review');
+                pageFailed = true;
+              }
+            }
+          }
+
+          if (pageFailed) failed = true;
+          else pending.push(...pageCommits);
+
+          // early stop
+          if (items.some((it) => reachedHighWaterMark(hwm, it))) break;
+          if (fresh.length === 0) {
+            if (!hwm && items.length) break; // run pertama: halaman penuh item lama → sisanya juga lama
+            if (++emptyStreak >= maxEmptyPages) break;
+          } else {
+            emptyStreak = 0;
+          }
+
+          await sleep(pageDelayMs);
+        } catch (e) {
+          console.warn(`⚠️ Failed: ${url} | ${e.message}`);
+          reportError(e, url);
+          failed = true;
+          if (++emptyStreak >= maxEmptyPages) break;
+          await sleep(300);
+        }
+      }
+
+      if (failed) console.warn(`⚠️ ${source.id}/${listing.key} (${lang}): page(s) failed, scrape state not saved`);
+      else commits.push(...pending);
+    }
+    return out;
+  }
+
+  return { collectSourceItems };
+}
+
+module.exports = { createNewsCollector, scrapeHwmKey, reachedHighWaterMark };
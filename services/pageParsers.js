@@ -0,0 +1,219 @@
+// services/pageParsers.js
+// Parser halaman non-berita: tabel historical (cheerio, dari HTML axios) dan tabel kalender ekonomi
+// (dijalankan DI BROWSER lewat page.evaluate — harus self-contained, tidak boleh memakai apa pun dari modul ini).
+// Dipisah dari index.js supaya bisa diuji dengan snapshot (services/snapshots.js) tanpa menyalakan server.
+function parseNumber(str) {
+  if (str === undefined || str === null || str === '') return null;
+  str = String(str);
+  const cleaned = str.replace(/,/g, '').trim();
+  if (cleaned === '' || cleaned === '-') return null;
+  const parsed = parseFloat(cleaned);
+  return isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * Halaman historical-data-2 → baris OHLC. null kalau tabel tidak ada (WAF / layout berubah).
+ * Baris ber-colspan = catatan (mis. libur) → { date, event } dengan angka null.
+ * @param {import('cheerio').CheerioAPI} $
+ * @returns {{ nodes: number, items: object[] }|null}
+ */
+function parseHistoricalTable($) {
+  const table = $('table.table.table-striped.table-bordered');
+  if (table.length === 0) return null;
+  const rows = table.find('tbody tr');
+  const result = [];
+
+  rows.each((i, row) => {
+    const $row = $(row);
+    const cols = $row.find('td');
+    let hasColspan = false;
+    cols.each((_, col) => { if ($(col).attr('colspan')) { hasColspan = true; return false; } });
+    if (hasColspan) {
+      const date = cols.first().text().trim();
+      const event = cols.last().text().trim();
+      result.push({ date, event, open: null, high: null, low: null, close: null, change: null, volume: null, openInterest: null });
+      return;
+    }
+    const textCols = cols.map((_, el) => $(el).text().trim()).get();
+    if (!textCols.length) return;
+    const rowData = {
+      date: textCols[0] || null,
+      open: parseNumber(textCols[1]),
+      high: parseNumber(textCols[2]),
+      low: parseNumber(textCols[3]),
+      close: parseNumber(textCols[4]),
+      change: textCols[5] || null,
+      volume: parseNumber(textCols[6]),
+      openInterest: parseNumber(textCols[7]),
+    };
+    if (rowData.date && (rowData.open !== null || rowData.close !== null || rowData.high !== null || rowData.low !== null)) {
+      result.push(rowData);
+    }
+  });
+
+  return { nodes: rows.length, items: result };
+}
+
+/**
+ * Tabel kalender di `document` halaman → { items, kept, table }. Dipanggil `page.evaluate(parseCalendarDocument)`;
+ * baris detail (accordion) ditempel ke event sebelumnya sebagai `details`.
+ */
+function parseCalendarDocument() {
+  const norm = (s) => (s ?? '').replace(/\s+/g, ' ').trim();
+
+  // Ubah "DD-MM-YYYY" → "YYYY-MM-DD" (kalau sudah YYYY-MM-DD biarkan)
+  const fmtDate = (d) => {
+    const s = norm(d);
+    let m = s.match(/^(\d{2})[-\/](\d{2})[-\/](\d{4})$/);     // DD-MM-YYYY
+    if (m) return `${m[3]}-${m[2]}-${m[1]}`;
+    m = s.match(/^(\d{4})[-\/](\d{2})[-\/](\d{2})$/);          // YYYY-MM-DD
+    if (m) return `${m[1]}-${m[2]}-${m[3]}`;
+    return s; // fallback
+  };
+
+  // Deteksi teks tanggal
+  const isDateText = (txt) =>
+    /^\d{2}[-/]\d{2}[-/]\d{4}$/.test(txt) || /^\d{4}-\d{2}-\d{2}$/.test(txt);
+
+  // Cari tabel utama kalender
+  function findMainTable() {
+    const tables = Array.from(document.querySelectorAll('table'));
+    for (const tb of tables) {
+      const ths = Array.from(tb.querySelectorAll('thead th'))
+        .map((th) => norm(th.textContent).toLowerCase());
+      const ok =
+        ths.includes('time') &&
+        ths.includes('country') &&
+        ths.includes('impact') &&
+        ths.some((t) => t.includes('figure'));
+      if (ok && tb.tBodies && tb.tBodies.length > 0) return tb;
+    }
+    return null;
+  }
+
+  const main = findMainTable();
+  if (!main) return { items: [], kept: 0, table: false };
+
+  const tbody = main.tBodies[0];
+  const rows = Array.from(tbody.rows);
+  const out = [];
+  let lastEvent = null;
+
+  for (const tr of rows) {
+    const tds = tr.cells;
+
+    // ====== ROW DETAIL (accordion) ======
+    const isDetailRow =
+      tds.length === 1 || Array.from(tds).some((td) => (td.colSpan || 1) > 1);
+
+    if (isDetailRow) {
+      if (!lastEvent) continue;
+
+      const wrap = tr.querySelector('.accordion-collapse') || tr;
+      const box = wrap.querySelector('.box-cal-detail') || wrap;
+
+      const sections = Array.from(box.querySelectorAll('.mb-3'));
+      const details = {};
+      for (const sec of sections) {
+        const h = sec.querySelector('h5');
+        const title = norm(h?.textContent || '').toLowerCase();
+        const text = norm(sec.textContent.replace(h?.textContent || '', ''));
+        if (!title) continue;
+        if (title.includes('sources')) details.sources = text;
+        else if (title.includes('measures')) details.measures = text;
+        else if (title.includes('usual effect')) details.usualEffect = text;
+        else if (title.includes('frequency')) details.frequency = text;
+        else if (title.includes('next released')) details.nextReleased = text;
+        else if (title.includes('notes')) details.notes = text;
+        else if (title.includes('why trader care')) details.whyTraderCare = text;
+      }
+
+      const histTable = wrap.querySelector('table');
+      if (histTable) {
+        const histRows = Array.from(histTable.querySelectorAll('tbody tr'));
+        details.history = histRows
+          .map((r) => {
+            const cs = r.cells;
+            const d0 = norm(cs[0]?.textContent || '');
+            if (/^(history|date)$/i.test(d0)) return null;
+            return {
+              date: d0,
+              previous: norm(cs[1]?.textContent || ''),
+              forecast: norm(cs[2]?.textContent || ''),
+              actual: norm(cs[3]?.textContent || ''),
+            };
+          })
+          .filter((x) => x && x.date && /[0-9]/.test(x.date));
+      }
+
+      lastEvent.details = details;
+      continue;
+    }
+
+    // ====== ROW EVENT ======
+    if (tds.length >= 4) {
+      const c0 = norm(tds[0]?.innerText || '');
+      const c1 = norm(tds[1]?.innerText || '');
+      const hasDate = isDateText(c0);
+
+      const dateStr = hasDate ? c0 : null;              // "29-09-2025"
+      const timeOnly = hasDate ? (c1 || '-') : (c0 || '-'); // "14.00" atau "06.50"
+
+      const idxCurrency = hasDate ? 2 : 1;
+      const idxImpact = hasDate ? 3 : 2;
+      const idxFigures = hasDate ? 4 : 3;
+
+      const currency = norm(tds[idxCurrency]?.innerText || '-') || '-';
+
+      const impactCell = tds[idxImpact];
+      let impact =
+        norm(impactCell?.innerText || '') ||
+        impactCell?.getAttribute?.('title') ||
+        impactCell?.querySelector?.('[title]')?.getAttribute('title') ||
+        impactCell?.querySelector?.('img')?.getAttribute('alt') ||
+        '-';
+      impact = norm(impact);
+
+      const figuresTd = tds[idxFigures];
+      const raw = norm(figuresTd?.innerText || '');
+      if (!raw || raw === '-') continue;
+
+      const [eventLine, figuresLine] = (figuresTd?.innerText || '').split('\n');
+      const event = norm(eventLine);
+      if (!event) continue;
+
+      let previous = '-',
+        forecast = '-',
+        actual = '-';
+      if (figuresLine) {
+        const prevMatch = figuresLine.match(/Previous:\s*([^|]*)/i);
+        const foreMatch = figuresLine.match(/Forecast:\s*([^|]*)/i);
+        const actMatch = figuresLine.match(/Actual:\s*([^|]*)/i);
+        previous = prevMatch ? norm(prevMatch[1]) : '-';
+        forecast = foreMatch ? norm(foreMatch[1]) : '-';
+        actual = actMatch ? norm(actMatch[1]) : '-';
+      }
+
+      // KUNCI: untuk week tabs, kolom time = "YYYY-MM-DD HH.mm"; untuk today tetap "HH.mm"
+      const timeOut = hasDate ? `${fmtDate(dateStr)} ${timeOnly}` : timeOnly;
+
+      const obj = {
+        time: timeOut,
+        currency,
+        impact,
+        event,
+        previous,
+        forecast,
+        actual,
+      };
+      if (hasDate) obj.date = fmtDate(dateStr); // sertakan juga field date terpisah
+
+      out.push(obj);
+      lastEvent = obj;
+    }
+  }
+
+  return { items: out, kept: out.length, table: true };
+}
+
+module.exports = { parseNumber, parseHistoricalTable, parseCalendarDocument };
@@ -0,0 +1,163 @@
+// services/parserHealth.js
+// Health check struktural per parser (deteksi selector drift): tiap halaman yang di-parse melaporkan
+// struktur ketemu / jumlah node kandidat / item ter-parse / field wajib. Halaman WAF tidak dihitung.
+// State per parser di redis hash parser:health:<name>; N kegagalan berturut-turut = "failing" → webhook.
+
+/**
+ * minItems      : item minimal di halaman yang "harus berisi" (obs.expectItems, mis. halaman pertama)
+ * minParseRate  : item ter-parse / node kandidat (node ketemu tapi extractor gagal = selector dalam berubah)
+ * required      : field yang harus terisi, minFieldRate = porsi item minimal yang mengisinya
+ * failAfter     : kegagalan berturut-turut sebelum status failing + alert
+ */
+const PARSER_CHECKS = {
+  'newsmaker.listing': {
+    label: 'newsmaker.id news listing (div.single-news-item)',
+    minItems: 1, minParseRate: 0.8, required: ['title', 'link', 'publishedAt'], minFieldRate: 0.8, failAfter: 3,
+  },
+  'newsmaker.detail': {
+    label: 'newsmaker.id article body (div.article-content)',
+    minItems: 1, minParseRate: null, required: ['text'], minFieldRate: 1, failAfter: 5,
+  },
+  'rss.feed': {
+    label: 'RSS/Atom feed entries',
+    minItems: 1, minParseRate: 0.8, required: ['title', 'link', 'publishedAt'], minFieldRate: 0.5, failAfter: 3,
+  },
+  calendar: {
+    // hari libur boleh kosong; yang wajib tabelnya ada
+    label: 'economic calendar table (findMainTable)',
+    minItems: 0, minParseRate: null, required: ['time', 'currency', 'impact', 'event'], minFieldRate: 0.9, failAfter: 2,
+  },
+  historical: {
+    label: 'historical prices table (table.table-striped)',
+    minItems: 1, minParseRate: 0.8, required: ['date', 'close'], minFieldRate: 0.8, failAfter: 3,
+  },
+};
+
+const FAILURE_SAMPLES = 10;
+
+const present = (v) => v != null && v !== '' && v !== '-' && !(typeof v === 'number' && Number.isNaN(v));
+
+/**
+ * Evaluasi satu observasi. Return daftar alasan gagal (kosong = sehat).
+ * @param {object} check PARSER_CHECKS[...]
+ * @param {{ structure?: boolean, nodes?: number|null, items?: object[], expectItems?: boolean }} obs
+ */
+function evaluateParse(check, { structure = true, nodes = null, items = [], expectItems = false }) {
+  const reasons = [];
+  if (!structure) {
+    if (expectItems) reasons.push('structure not found');
+    return reasons;
+  }
+  if (expectItems && items.length < check.minItems) reasons.push(`${items.length} items (expected ≥ ${check.minItems})`);
+  if (check.minParseRate != null && nodes > 0) {
+    const rate = items.length / nodes;
+    if (rate < check.minParseRate) reasons.push(`parse rate ${Math.round(rate * 100)}% (${items.length}/${nodes} nodes)`);
+  }
+  if (items.length) {
+    for (const f of check.required) {
+      const rate = items.filter((it) => present(it?.[f])).length / items.length;
+      if (rate < check.minFieldRate) reasons.push(`field "${f}" present in ${Math.round(rate * 100)}%`);
+    }
+  }
+  return reasons;
+}
+
+/**
+ * @param {import('ioredis').Redis} redis
+ * @param {{ notify?: (alert: object) => Promise<void>, repeatHours?: number }} [opts]
+ *   notify dipanggil saat parser jadi failing, masih failing setelah repeatHours, dan saat pulih
+ */
+function createParserHealth(redis, { notify = null, repeatHours = 6 } = {}) {
+  const key = (name) => `parser:health:${name}`;
+
+  async function alert(name, status, extra) {
+    if (!notify) return;
+    const check = PARSER_CHECKS[name];
+    try {
+      await notify({ parser: name, label: check.label, status, ...extra });
+      await redis.hset(key(name), 'alerted_at', Date.now(), 'alerted_status', status);
+    } catch (e) {
+      console.warn(`⚠️ parser alert ${name} failed:`, e.message);
+    }
+  }
+
+  /**
+   * Catat hasil parse satu halaman. obs.blocked = WAF/challenge → tidak dihitung.
+   * @returns {Promise<string[]>} alasan gagal (kosong = sehat)
+   */
+  async function record(name, obs) {
+    const check = PARSER_CHECKS[name];
+    if (!check) throw new Error(`Unknown parser "${name}"`);
+    const now = Date.now();
+    if (obs.blocked) {
+      await redis.hincrby(key(name), 'blocked', 1);
+      return [];
+    }
+
+    const reasons = evaluateParse(check, obs);
+    if (!reasons.length) {
+      const [[, prev]] = await redis.multi()
+        .hget(key(name), 'consecutive_failures')
+        .hset(key(name), 'consecutive_failures', 0, 'last_check_at', now, 'last_ok_at', now)
+        .hincrby(key(name), 'checks', 1)
+        .exec();
+      if (Number(prev || 0) >= check.failAfter) {
+        console.log(`✅ parser ${name} recovered`);
+        await alert(name, 'recovered', { url: obs.url || null });
+      }
+      return reasons;
+    }
+
+    const failure = { at: now, url: obs.url || null, reasons };
+    const [[, streak]] = await redis.multi()
+      .hincrby(key(name), 'consecutive_failures', 1)
+      .hincrby(key(name), 'checks', 1)
+      .hincrby(key(name), 'failures', 1)
+      .hset(key(name), 'last_check_at', now, 'last_failure_at', now, 'last_failure', JSON.stringify(failure))
+      .lpush(`${key(name)}:failures`, JSON.stringify(failure))
+      .ltrim(`${key(name)}:failures`, 0, FAILURE_SAMPLES - 1)
+      .exec();
+    console.warn(`🧩 parser ${name} check failed (${streak}/${check.failAfter}): ${reasons.join('; ')} @ ${obs.url || '-'}`);
+
+    if (streak === check.failAfter) {
+      await alert(name, 'failing', { streak, url: obs.url || null, reasons });
+    } else if (streak > check.failAfter) {
+      const alertedAt = Number(await redis.hget(key(name), 'alerted_at')) || 0;
+      if (now - alertedAt >= repeatHours * 3600_000) await alert(name, 'failing', { streak, url: obs.url || null, reasons });
+    }
+    return reasons;
+  }
+
+  /** status semua parser: ok | degraded (gagal < failAfter) | failing | unknown (belum pernah dicek) */
+  async function status() {
+    const out = [];
+    for (const [name, check] of Object.entries(PARSER_CHECKS)) {
+      const [h, samples] = await Promise.all([
+        redis.hgetall(key(name)),
+        redis.lrange(`${key(name)}:failures`, 0, FAILURE_SAMPLES - 1),
+      ]);
+      const streak = Number(h.consecutive_failures || 0);
+      const ts = (v) => (v ? new Date(Number(v)) : null);
+      out.push({
+        parser: name,
+        label: check.label,
+        status: !h.last_check_at ? 'unknown' : streak >= check.failAfter ? 'failing' : streak > 0 ? 'degraded' : 'ok',
+        consecutive_failures: streak,
+        fail_after: check.failAfter,
+        checks: Number(h.checks || 0),
+        failures: Number(h.failures || 0),
+        blocked: Number(h.blocked || 0),
+        last_check_at: ts(h.last_check_at),
+        last_ok_at: ts(h.last_ok_at),
+        last_failure_at: ts(h.last_failure_at),
+        recent_failures: samples.map((s) => { const f = JSON.parse(s); return { ...f, at: new Date(f.at) }; }),
+        thresholds: { minItems: check.minItems, minParseRate: check.minParseRate, required: check.required, minFieldRate: check.minFieldRate },
+      });
+    }
+    return out;
+  }
+
+  return { record, status };
+}
+
+module.exports = { PARSER_CHECKS, evaluateParse, createParserHealth };
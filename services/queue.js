@@ -0,0 +1,350 @@
+// services/queue.js
+// Antrean job persisten di Redis untuk semua kerja background (news, calendar, historical, push, maintenance).
+//
+// Key per type : q:<type>:pending (LIST; LPUSH masuk, RPOPLPUSH diambil) → q:<type>:active (LIST)
+//                q:<type>:delayed (ZSET, skor = waktu jalan ms) · q:<type>:dead (LIST) · q:<type>:stats (HASH)
+// Job          : q:job:<id> (JSON) — state pending | active | delayed | completed | dead
+// Job active punya lockedUntil yang diperpanjang heartbeat. Kalau proses mati di tengah run,
+// reaper (di proses ini setelah restart, atau instance lain) mengembalikan job ke pending.
+// Handler yang melempar JobDeferredError (mis. lock dipegang run lain) dijadwalkan ulang tanpa
+// menghabiskan attempt dan tanpa masuk dead-letter.
+const crypto = require('crypto');
+
+const DEFAULTS = { concurrency: 1, maxAttempts: 3, backoffMs: 30_000, visibilityMs: 120_000 };
+const COMPLETED_TTL_S = 24 * 60 * 60;
+const DEAD_TTL_S = 7 * 24 * 60 * 60;
+const DEAD_MAX = 1000;
+const RECENT_MAX = 200;
+const DEDUPE_TTL_S = 6 * 60 * 60;
+const STATES = ['pending', 'active', 'delayed', 'dead'];
+
+// Pindah job antar list/zset + tulis JSON job dalam satu langkah: proses mati / error redis di tengah tidak
+// boleh meninggalkan job yang tidak ada di list mana pun (dedupeKey-nya akan terus mengembalikan job itu).
+// KEYS: asal, q:job:<id>, tujuan · ARGV: id, JSON job, 'zset'|'list' (asal), 'lpush'|'rpush'
+// return 0 = sudah diambil instance lain
+const MOVE_JOB_LUA = `
+local removed
+if ARGV[3] == 'zset' then removed = redis.call('zrem', KEYS[1], ARGV[1])
+else removed = redis.call('lrem', KEYS[1], 1, ARGV[1]) end
+if removed == 0 then return 0 end
+redis.call('set', KEYS[2], ARGV[2])
+redis.call(ARGV[4], KEYS[3], ARGV[1])
+return 1`;
+
+/** bukan kegagalan: "belum bisa jalan sekarang, coba lagi dalam delayMs" */
+class JobDeferredError extends Error {
+  constructor(message, delayMs = 30_000) {
+    super(message);
+    this.name = 'JobDeferredError';
+    this.code = 'JOB_DEFERRED';
+    this.delayMs = delayMs;
+  }
+}
+
+/**
+ * @param {import('ioredis').Redis} redis
+ * @param {{ prefix?: string, pollMs?: number, reapMs?: number, progressMs?: number }} [opts]
+ *   progressMs: jeda minimal antar-simpan ctx.progress ke redis (throttle)
+ */
+function createJobQueue(redis, { prefix = 'q', pollMs = 1000, reapMs = 15_000, progressMs = 1000 } = {}) {
+  const types = new Map(); // type → { handler, opts, running, busy }
+  const k = {
+    job: (id) => `${prefix}:job:${id}`,
+    pending: (t) => `${prefix}:${t}:pending`,
+    active: (t) => `${prefix}:${t}:active`,
+    delayed: (t) => `${prefix}:${t}:delayed`,
+    dead: (t) => `${prefix}:${t}:dead`,
+    stats: (t) => `${prefix}:${t}:stats`,
+    dedupe: (key) => `${prefix}:dedupe:${key}`,
+    recent: `${prefix}:recent`,
+  };
+  const timers = [];
+  let stopping = false;
+
+  async function getJob(id) {
+    if (!id) return null;
+    const raw = await redis.get(k.job(id));
+    return raw ? JSON.parse(raw) : null;
+  }
+  async function saveJob(job, ttlSeconds) {
+    job.updatedAt = Date.now();
+    if (ttlSeconds) await redis.set(k.job(job.id), JSON.stringify(job), 'EX', ttlSeconds);
+    else await redis.set(k.job(job.id), JSON.stringify(job));
+  }
+  async function moveJob(job, from, to, { fromZset = false, push = 'lpush' } = {}) {
+    job.updatedAt = Date.now();
+    const moved = await redis.eval(MOVE_JOB_LUA, 3, from, k.job(job.id), to, job.id, JSON.stringify(job), fromZset ? 'zset' : 'list', push);
+    return Number(moved) === 1;
+  }
+  async function clearDedupe(job) {
+    if (!job.dedupeKey) return;
+    if ((await redis.get(k.dedupe(job.dedupeKey))) === job.id) await redis.del(k.dedupe(job.dedupeKey));
+  }
+
+  /**
+   * @param {string} type
+   * @param {(payload: any, ctx: { id: string, attempt: number, progress: (p: any) => void }) => Promise<any>} handler
+   * @param {{ concurrency?: number, maxAttempts?: number, backoffMs?: number, visibilityMs?: number }} [opts]
+   */
+  function define(type, handler, opts = {}) {
+    types.set(type, { handler, opts: { ...DEFAULTS, ...opts }, running: 0, busy: false });
+  }
+
+  /**
+   * dedupeKey: kalau job dengan key sama masih pending/active/delayed, job itu yang dikembalikan.
+   * @returns {Promise<{ job: object, deduped: boolean }>}
+   */
+  async function enqueue(type, payload = {}, { dedupeKey = null, delayMs = 0, maxAttempts } = {}) {
+    const def = types.get(type);
+    if (!def) throw new Error(`Unknown job type "${type}"`);
+    const id = crypto.randomUUID();
+
+    if (dedupeKey) {
+      const ok = await redis.set(k.dedupe(dedupeKey), id, 'NX', 'EX', DEDUPE_TTL_S);
+      if (!ok) {
+        const existing = await getJob(await redis.get(k.dedupe(dedupeKey)));
+        if (existing && ['pending', 'active', 'delayed'].includes(existing.state)) return { job: existing, deduped: true };
+        await redis.set(k.dedupe(dedupeKey), id, 'EX', DEDUPE_TTL_S);
+      }
+    }
+
+    const now = Date.now();
+    const job = {
+      id, type, payload,
+      state: delayMs > 0 ? 'delayed' : 'pending',
+      attempts: 0,
+      maxAttempts: maxAttempts || def.opts.maxAttempts,
+      dedupeKey,
+      progress: null,
+      result: null,
+      lastError: null,
+      errors: [],
+      createdAt: now,
+      runAt: now + Math.max(delayMs, 0),
+      startedAt: null,
+      finishedAt: null,
+      lockedUntil: null,
+    };
+    await saveJob(job);
+    const m = redis.multi();
+    if (delayMs > 0) m.zadd(k.delayed(type), job.runAt, id);
+    else m.lpush(k.pending(type), id);
+    m.lpush(k.recent, id).ltrim(k.recent, 0, RECENT_MAX - 1);
+    await m.exec();
+
+    if (!stopping && delayMs <= 0) setImmediate(() => drain(type));
+    return { job, deduped: false };
+  }
+
+  async function runJob(type, def, id) {
+    const job = await getJob(id);
+    if (!job) { await redis.lrem(k.active(type), 1, id); return; }
+
+    job.state = 'active';
+    job.attempts++;
+    job.startedAt = Date.now();
+    job.lockedUntil = Date.now() + def.opts.visibilityMs;
+    await saveJob(job);
+
+    // simpan berurutan: tulisan heartbeat/progress yang telat tidak boleh menimpa state akhir
+    let saving = Promise.resolve();
+    const persist = () => { saving = saving.then(() => saveJob(job)).catch(() => { }); };
+
+    // heartbeat: perpanjang visibility
+    const hb = setInterval(() => {
+      job.lockedUntil = Date.now() + def.opts.visibilityMs;
+      persist();
+    }, Math.max(Math.floor(def.opts.visibilityMs / 3), 1000));
+
+    // progress langsung terlihat di getJob (maks. satu tulisan per progressMs)
+    let lastProgressAt = 0;
+    let progressTimer = null;
+    const flushProgress = () => { progressTimer = null; lastProgressAt = Date.now(); persist(); };
+    const ctx = {
+      id,
+      attempt: job.attempts,
+      progress: (p) => {
+        job.progress = p;
+        if (progressTimer) return;
+        const wait = lastProgressAt + progressMs - Date.now();
+        if (wait <= 0) flushProgress();
+        else progressTimer = setTimeout(flushProgress, wait);
+      },
+    };
+    const settle = async () => {
+      clearInterval(hb);
+      clearTimeout(progressTimer);
+      await saving;
+    };
+
+    try {
+      const result = await def.handler(job.payload, ctx);
+      await settle();
+      Object.assign(job, { state: 'completed', result: result === undefined ? null : result, finishedAt: Date.now(), lockedUntil: null });
+      await saveJob(job, COMPLETED_TTL_S);
+      await redis.multi().lrem(k.active(type), 1, id).hincrby(k.stats(type), 'completed', 1).exec();
+      await clearDedupe(job);
+    } catch (e) {
+      await settle();
+      if (e instanceof JobDeferredError) {
+        job.attempts--;
+        job.deferrals = (job.deferrals || 0) + 1;
+        job.state = 'delayed';
+        job.runAt = Date.now() + Math.max(e.delayMs, 0);
+        job.lockedUntil = null;
+        await saveJob(job);
+        await redis.multi().lrem(k.active(type), 1, id).hincrby(k.stats(type), 'deferred', 1).zadd(k.delayed(type), job.runAt, id).exec();
+        console.log(`⏳ job ${type} (${id}) deferred ${Math.round(e.delayMs / 1000)}s: ${e.message}`);
+        return;
+      }
+      job.lastError = String(e?.message || e).slice(0, 500);
+      job.errors = [...job.errors, { attempt: job.attempts, at: Date.now(), message: job.lastError }].slice(-10);
+      job.lockedUntil = null;
+      const m = redis.multi().lrem(k.active(type), 1, id).hincrby(k.stats(type), 'failed', 1);
+
+      if (job.attempts < job.maxAttempts) {
+        // backoff eksponensial + jitter 0–20%
+        const wait = Math.round(def.opts.backoffMs * 2 ** (job.attempts - 1) * (1 + Math.random() * 0.2));
+        job.state = 'delayed';
+        job.runAt = Date.now() + wait;
+        await saveJob(job);
+        await m.zadd(k.delayed(type), job.runAt, id).exec();
+        console.warn(`⚠️ job ${type} (${id}) attempt ${job.attempts}/${job.maxAttempts} failed, retry in ${Math.round(wait / 1000)}s: ${job.lastError}`);
+      } else {
+        job.state = 'dead';
+        job.finishedAt = Date.now();
+        await saveJob(job, DEAD_TTL_S);
+        await m.lpush(k.dead(type), id).ltrim(k.dead(type), 0, DEAD_MAX - 1).hincrby(k.stats(type), 'dead', 1).exec();
+        await clearDedupe(job);
+        console.error(`☠️ job ${type} (${id}) dead after ${job.attempts} attempt(s): ${job.lastError}`);
+      }
+    }
+  }
+
+  // ambil job sampai batas concurrency type ini (per proses)
+  async function drain(type) {
+    const def = types.get(type);
+    if (!def || def.busy || stopping) return;
+    def.busy = true;
+    try {
+      while (!stopping && def.running < def.opts.concurrency) {
+        const id = await redis.rpoplpush(k.pending(type), k.active(type));
+        if (!id) break;
+        def.running++;
+        runJob(type, def, id)
+          .catch((e) => console.error(`❌ job ${type} (${id}) runner error:`, e.message))
+          .finally(() => { def.running--; setImmediate(() => drain(type)); });
+      }
+    } catch (e) {
+      console.error(`❌ queue drain ${type} error:`, e.message);
+    } finally {
+      def.busy = false;
+    }
+  }
+
+  // delayed yang sudah jatuh tempo → pending
+  async function promote(type) {
+    const due = await redis.zrangebyscore(k.delayed(type), 0, Date.now(), 'LIMIT', 0, 100);
+    for (const id of due) {
+      const job = await getJob(id);
+      if (!job) { await redis.zrem(k.delayed(type), id); continue; }
+      job.state = 'pending';
+      await moveJob(job, k.delayed(type), k.pending(type), { fromZset: true });
+    }
+  }
+
+  // job active yang heartbeat-nya berhenti (proses mati) → kembali ke depan antrean
+  async function reap(type) {
+    const ids = await redis.lrange(k.active(type), 0, -1);
+    for (const id of ids) {
+      const job = await getJob(id);
+      if (!job) { await redis.lrem(k.active(type), 1, id); continue; }
+      const deadline = job.lockedUntil || (job.updatedAt || 0) + 60_000;
+      if (deadline > Date.now()) continue;
+      job.state = 'pending';
+      job.lockedUntil = null;
+      job.errors = [...job.errors, { attempt: job.attempts, at: Date.now(), message: 'worker stopped mid-run; requeued' }].slice(-10);
+      if (!(await moveJob(job, k.active(type), k.pending(type), { push: 'rpush' }))) continue;
+      console.warn(`♻️ job ${type} (${id}) recovered after worker stopped`);
+    }
+  }
+
+  function start() {
+    stopping = false;
+    const each = (fn) => () => {
+      for (const type of types.keys()) fn(type).catch((e) => console.error(`❌ queue ${fn.name} ${type} error:`, e.message));
+    };
+    each(reap)();
+    timers.push(setInterval(() => { each(promote)(); for (const t of types.keys()) drain(t); }, pollMs));
+    timers.push(setInterval(each(reap), reapMs));
+  }
+
+  function stop() {
+    stopping = true;
+    while (timers.length) clearInterval(timers.pop());
+  }
+
+  // ===== visibility =====
+  async function stats() {
+    const out = [];
+    for (const [type, def] of types) {
+      const [pending, active, delayed, dead, counters] = await Promise.all([
+        redis.llen(k.pending(type)),
+        redis.llen(k.active(type)),
+        redis.zcard(k.delayed(type)),
+        redis.llen(k.dead(type)),
+        redis.hgetall(k.stats(type)),
+      ]);
+      out.push({
+        type,
+        concurrency: def.opts.concurrency,
+        maxAttempts: def.opts.maxAttempts,
+        runningHere: def.running,
+        pending, active, delayed, dead,
+        totals: {
+          completed: Number(counters.completed || 0),
+          failed: Number(counters.failed || 0), // per attempt
+          dead: Number(counters.dead || 0),
+          deferred: Number(counters.deferred || 0), // bukan attempt (JobDeferredError)
+        },
+      });
+    }
+    return out;
+  }
+
+  async function list(type, state, { limit = 50 } = {}) {
+    if (!types.has(type)) throw new Error(`Unknown job type "${type}"`);
+    if (!STATES.includes(state)) throw new Error(`Unknown state "${state}"`);
+    let ids;
+    if (state === 'delayed') ids = await redis.zrange(k.delayed(type), 0, limit - 1);
+    else if (state === 'pending') ids = (await redis.lrange(k.pending(type), -limit, -1)).reverse(); // urutan eksekusi
+    else ids = await redis.lrange(k[state](type), 0, limit - 1);
+    return (await Promise.all(ids.map(getJob))).filter(Boolean);
+  }
+
+  async function recent({ limit = 20 } = {}) {
+    const ids = await redis.lrange(k.recent, 0, limit - 1);
+    return (await Promise.all(ids.map(getJob))).filter(Boolean);
+  }
+
+  // dead-letter → antre ulang dengan attempts direset
+  async function retryDead(id) {
+    const job = await getJob(id);
+    if (!job || job.state !== 'dead') return null;
+    Object.assign(job, { state: 'pending', attempts: 0, finishedAt: null, runAt: Date.now() });
+    if (!(await moveJob(job, k.dead(job.type), k.pending(job.type)))) return null;
+    setImmediate(() => drain(job.type));
+    return job;
+  }
+
+  async function removeDead(id) {
+    const job = await getJob(id);
+    if (!job || job.state !== 'dead') return false;
+    await redis.multi().lrem(k.dead(job.type), 1, id).del(k.job(id)).exec();
+    return true;
+  }
+
+  return { define, enqueue, start, stop, getJob, stats, list, recent, retryDead, removeDead, STATES };
+}
+
+module.exports = { createJobQueue, JobDeferredError };
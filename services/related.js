@@ -0,0 +1,63 @@
+// services/related.js
+// Ranking "related articles": kategori sama + instrumen sama + overlap keyword (title/detail) + kedekatan waktu.
+const { stems } = require('./search');
+
+const WEIGHTS = { category: 0.25, tags: 0.25, keywords: 0.35, time: 0.15 };
+const TIME_HALF_LIFE_H = 72; // skor waktu turun setengah tiap 3 hari
+
+/**
+ * Keyword (stem) dari judul + teks; judul selalu ikut, teks diambil yang paling sering muncul.
+ * @returns {Set<string>}
+ */
+function extractKeywords({ title = '', text = '' } = {}, lang = 'en', { maxFromText = 15 } = {}) {
+  const out = new Set(stems(title, lang));
+  const freq = new Map();
+  for (const st of stems(String(text || '').slice(0, 5000), lang)) {
+    if (/^\d+$/.test(st)) continue;
+    freq.set(st, (freq.get(st) || 0) + 1);
+  }
+  Array.from(freq.entries())
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, maxFromText)
+    .forEach(([k]) => out.add(k));
+  return out;
+}
+
+function overlap(a, b) {
+  if (!a.size || !b.size) return 0;
+  let hit = 0;
+  for (const k of a) if (b.has(k)) hit++;
+  return hit / Math.min(a.size, b.size);
+}
+
+/**
+ * @param {object} article  row News (title, detail/summary, category, published_at, language)
+ * @param {object[]} candidates row News (title, summary, category, published_at)
+ * @param {{ limit?: number, keywords?: Set<string>, tagsById?: Map<number, Set<string>> }} [opts]
+ * @returns {object[]} kandidat + { score } terurut desc
+ */
+function rankRelated(article, candidates, { limit = 10, keywords, tagsById = new Map() } = {}) {
+  const lang = article.language || 'en';
+  const base = keywords || extractKeywords({ title: article.title, text: article.detail || article.summary }, lang);
+  const cat = String(article.category_id || article.category || '').toLowerCase();
+  const t0 = +new Date(article.published_at);
+  const baseTags = tagsById.get(article.id) || new Set();
+
+  return candidates
+    .filter((c) => c.id !== article.id)
+    .map((c) => {
+      const kw = extractKeywords({ title: c.title, text: c.summary }, lang, { maxFromText: 10 });
+      const sameCat = cat && String(c.category_id || c.category || '').toLowerCase() === cat ? 1 : 0;
+      const dh = Math.abs(+new Date(c.published_at) - t0) / 3_600_000;
+      const time = Number.isFinite(dh) ? Math.pow(0.5, dh / TIME_HALF_LIFE_H) : 0;
+      const kwScore = overlap(base, kw);
+      const tagScore = overlap(baseTags, tagsById.get(c.id) || new Set());
+      const score = WEIGHTS.category * sameCat + WEIGHTS.tags * tagScore + WEIGHTS.keywords * kwScore + WEIGHTS.time * time;
+      return { ...c, score: Math.round(score * 1000) / 1000 };
+    })
+    .filter((c) => c.score > WEIGHTS.time) // minimal ada kesamaan kategori/instrumen/keyword, bukan cuma waktu
+    .sort((a, b) => b.score - a.score || +new Date(b.published_at) - +new Date(a.published_at))
+    .slice(0, limit);
+}
+
+module.exports = { extractKeywords, rankRelated };
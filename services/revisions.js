@@ -0,0 +1,75 @@
+// services/revisions.js
+// Diff antar versi artikel saat re-scrape (dipakai untuk news_revisions).
+
+// field yang dilacak; teks panjang di-diff per paragraf, sisanya from/to utuh
+const TRACKED_FIELDS = ['title', 'summary', 'detail', 'image', 'category_id', 'author'];
+const PARAGRAPH_FIELDS = new Set(['detail']);
+const MAX_LCS_CELLS = 250_000;
+
+function norm(v) {
+  if (v == null) return '';
+  return String(v).replace(/\r\n/g, '\n').trim();
+}
+
+/**
+ * Diff per paragraf (LCS). Return list op: { op: '=', count } | { op: '-', text } | { op: '+', text }.
+ * Paragraf sama yang berurutan diringkas jadi { op: '=', count } supaya revisi tetap kecil.
+ * Return null kalau terlalu besar untuk LCS (caller simpan from/to utuh).
+ */
+function diffParagraphs(a, b) {
+  const A = norm(a).split(/\n{2,}/).filter(Boolean);
+  const B = norm(b).split(/\n{2,}/).filter(Boolean);
+  if (A.length * B.length > MAX_LCS_CELLS) return null;
+
+  const n = A.length;
+  const m = B.length;
+  const L = Array.from({ length: n + 1 }, () => new Uint16Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      L[i][j] = A[i] === B[j] ? L[i + 1][j + 1] + 1 : Math.max(L[i + 1][j], L[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  const same = () => {
+    const last = ops[ops.length - 1];
+    if (last && last.op === '=') last.count++;
+    else ops.push({ op: '=', count: 1 });
+  };
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (A[i] === B[j]) { same(); i++; j++; }
+    else if (L[i + 1][j] >= L[i][j + 1]) ops.push({ op: '-', text: A[i++] });
+    else ops.push({ op: '+', text: B[j++] });
+  }
+  while (i < n) ops.push({ op: '-', text: A[i++] });
+  while (j < m) ops.push({ op: '+', text: B[j++] });
+  return ops;
+}
+
+/**
+ * Bandingkan row lama vs baru pada TRACKED_FIELDS.
+ * @returns {{ fields: string[], changes: Record<string, any> }} fields kosong = tidak ada perubahan
+ */
+function diffNewsRows(oldRow, newRow, fields = TRACKED_FIELDS) {
+  const changes = {};
+  for (const f of fields) {
+    if (!(f in newRow)) continue;
+    const before = norm(oldRow[f]);
+    const after = norm(newRow[f]);
+    if (before === after) continue;
+    // scrape gagal (detail kosong) jangan dianggap editor menghapus isi
+    if (!after && before) continue;
+
+    if (PARAGRAPH_FIELDS.has(f)) {
+      const ops = diffParagraphs(before, after);
+      changes[f] = ops ? { diff: ops } : { from: before, to: after };
+    } else {
+      changes[f] = { from: before || null, to: after || null };
+    }
+  }
+  return { fields: Object.keys(changes), changes };
+}
+
+module.exports = { TRACKED_FIELDS, diffParagraphs, diffNewsRows };
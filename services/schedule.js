@@ -0,0 +1,243 @@
+// services/schedule.js
+// Jadwal job ala cron (5 field: menit jam tgl bulan hari) + weekend/quiet window + burst calendar "today".
+// Semua evaluasi memakai zona waktu jadwal (default Asia/Jakarta, sama dengan jam di kalender sumber).
+//
+// Config (prioritas naik): DEFAULT_SCHEDULES → file JSON SCHEDULE_CONFIG → env SCHEDULE_<NAME>.
+//   { "tz": "Asia/Jakarta", "skipWeekends": true, "quiet": ["sat,sun 00:00-24:00"],
+//     "jobs": { "news-en": { "cron": "*/10 * * * *", "skipWeekends": false }, "historical": { "enabled": false } },
+//     "burst": { "everyMinutes": 2, "beforeMinutes": 10, "afterMinutes": 20 } }
+//   SCHEDULE_NEWS_EN="*/10 * * * *"   SCHEDULE_HISTORICAL=off
+// skipWeekends global default-nya true: file tanpa "skipWeekends" (dan tanpa SCHEDULE_SKIP_WEEKENDS) membuat
+// SEMUA job libur Sabtu/Minggu, kecuali yang default-nya eksplisit false (news-en/news-id + maintenance).
+// Job baru di "jobs" ikut skip weekend kecuali diberi "skipWeekends": false sendiri.
+const fs = require('fs');
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dom', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dow', min: 0, max: 7 }, // 0 dan 7 = Minggu
+];
+const MACROS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+};
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+function parseValue(s, field) {
+  const v = s.toLowerCase();
+  if (field.name === 'dow' && DAY_NAMES.includes(v)) return DAY_NAMES.indexOf(v);
+  if (field.name === 'month' && MONTH_NAMES.includes(v)) return MONTH_NAMES.indexOf(v) + 1;
+  if (!/^\d+$/.test(v)) throw new Error(`invalid ${field.name} value "${s}"`);
+  const n = Number(v);
+  if (n < field.min || n > field.max) throw new Error(`${field.name} ${n} out of range ${field.min}-${field.max}`);
+  return n;
+}
+
+function parseField(src, field) {
+  const set = new Set();
+  for (const part of src.split(',')) {
+    const [range, stepRaw] = part.split('/');
+    const step = stepRaw == null ? 1 : Number(stepRaw);
+    if (!Number.isInteger(step) || step < 1) throw new Error(`invalid step in "${part}"`);
+    let lo;
+    let hi;
+    if (range === '*') { lo = field.min; hi = field.max; }
+    else if (range.includes('-')) {
+      const [a, b] = range.split('-');
+      lo = parseValue(a, field);
+      hi = parseValue(b, field);
+      if (lo > hi) throw new Error(`invalid range "${range}"`);
+    } else {
+      lo = parseValue(range, field);
+      hi = stepRaw == null ? lo : field.max; // "5/15" = mulai menit 5 tiap 15
+    }
+    for (let i = lo; i <= hi; i += step) set.add(field.name === 'dow' && i === 7 ? 0 : i);
+  }
+  return set;
+}
+
+/**
+ * "*\/15 8-17 * * mon-fri" → matcher. Lempar Error kalau ekspresi tidak valid.
+ * @returns {{ expr: string, minute: Set<number>, hour: Set<number>, dom: Set<number>, month: Set<number>, dow: Set<number>, domAny: boolean, dowAny: boolean }}
+ */
+function parseCron(expr) {
+  const src = MACROS[String(expr || '').trim().toLowerCase()] || String(expr || '').trim();
+  const parts = src.split(/\s+/);
+  if (parts.length !== 5) throw new Error(`cron "${expr}" must have 5 fields`);
+  const out = { expr: String(expr).trim() };
+  FIELDS.forEach((f, i) => { out[f.name] = parseField(parts[i], f); });
+  out.domAny = parts[2] === '*';
+  out.dowAny = parts[4] === '*';
+  return out;
+}
+
+// tgl & hari dua-duanya dibatasi → cukup salah satu cocok (semantik cron standar)
+function cronMatches(cron, t) {
+  if (!cron.minute.has(t.minute) || !cron.hour.has(t.hour) || !cron.month.has(t.month)) return false;
+  if (cron.domAny || cron.dowAny) return cron.dom.has(t.dom) && cron.dow.has(t.dow);
+  return cron.dom.has(t.dom) || cron.dow.has(t.dow);
+}
+
+const partsFmt = new Map();
+/** komponen waktu di zona tz: { minute, hour, dom, month, dow, ymd } */
+function zonedParts(date, tz) {
+  if (!partsFmt.has(tz)) {
+    partsFmt.set(tz, new Intl.DateTimeFormat('en-US', {
+      timeZone: tz, hourCycle: 'h23', weekday: 'short',
+      year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit',
+    }));
+  }
+  const p = {};
+  for (const { type, value } of partsFmt.get(tz).formatToParts(date)) p[type] = value;
+  return {
+    minute: Number(p.minute),
+    hour: Number(p.hour),
+    dom: Number(p.day),
+    month: Number(p.month),
+    dow: DAY_NAMES.indexOf(p.weekday.toLowerCase()),
+    ymd: `${p.year}-${p.month}-${p.day}`,
+  };
+}
+
+/**
+ * Quiet window: "[hari ]HH:MM-HH:MM". Hari = hari mulai window ("sat,sun", "mon-fri", "fri");
+ * jam akhir ≤ jam mulai = lewat tengah malam ("fri 23:00-06:00" = Jumat 23:00 s/d Sabtu 06:00).
+ */
+function parseWindow(spec) {
+  const m = String(spec).trim().toLowerCase().match(/^(?:([a-z,-]+)\s+)?(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+  if (!m) throw new Error(`invalid quiet window "${spec}"`);
+  const days = m[1] ? parseField(m[1], FIELDS[4]) : null;
+  const start = Number(m[2]) * 60 + Number(m[3]);
+  const end = Number(m[4]) * 60 + Number(m[5]);
+  if (start > 24 * 60 || end > 24 * 60) throw new Error(`invalid quiet window "${spec}"`);
+  return { spec: String(spec).trim(), days, start, end };
+}
+
+function inWindow(w, t) {
+  const mins = t.hour * 60 + t.minute;
+  if (w.start < w.end) return (!w.days || w.days.has(t.dow)) && mins >= w.start && mins < w.end;
+  // lewat tengah malam: bagian awal milik hari mulai, bagian setelah 00:00 milik hari sebelumnya
+  if (mins >= w.start) return !w.days || w.days.has(t.dow);
+  return mins < w.end && (!w.days || w.days.has((t.dow + 6) % 7));
+}
+
+/** alasan skip ('weekend' | 'quiet <window>') atau null */
+function skipReason(entry, t) {
+  if (entry.skipWeekends && (t.dow === 0 || t.dow === 6)) return 'weekend';
+  const w = entry.quiet.find((q) => inWindow(q, t));
+  return w ? `quiet ${w.spec}` : null;
+}
+
+// === default = perilaku lama (interval tetap), plus skip weekend untuk data pasar ===
+const DEFAULT_SCHEDULES = {
+  'news-en': { job: 'news', payload: { lang: 'en' }, cron: '*/5 * * * *', skipWeekends: false },
+  'news-id': { job: 'news', payload: { lang: 'id' }, cron: '*/5 * * * *', skipWeekends: false },
+  'calendar-today': { job: 'calendar', payload: { tab: 'today' }, cron: '*/15 * * * *' },
+  'calendar-this': { job: 'calendar', payload: { tab: 'this' }, cron: '3-59/15 * * * *' },
+  'calendar-prev': { job: 'calendar', payload: { tab: 'prev' }, cron: '6-59/15 * * * *' },
+  'calendar-next': { job: 'calendar', payload: { tab: 'next' }, cron: '9-59/15 * * * *' },
+  historical: { job: 'historical', payload: {}, cron: '0 */4 * * *' },
+  'scrape-runs-cleanup': { job: 'maintenance', payload: { task: 'scrape-runs-cleanup' }, cron: '30 3 * * *', skipWeekends: false, quiet: [] },
+  'news-recheck': { job: 'maintenance', payload: { task: 'news-recheck' }, cron: '20 */2 * * *', skipWeekends: false },
+  'translations-backfill': { job: 'maintenance', payload: { task: 'translations-backfill' }, cron: '45 3 * * *', skipWeekends: false, quiet: [] },
+};
+const DEFAULT_BURST = { everyMinutes: 2, beforeMinutes: 10, afterMinutes: 20, impact: 'high' };
+
+const envName = (name) => `SCHEDULE_${name.toUpperCase().replace(/[^A-Z0-9]+/g, '_')}`;
+const isOff = (v) => /^(off|false|0|disabled?)$/i.test(String(v).trim());
+
+/**
+ * Gabungkan default + file + env jadi daftar jadwal siap pakai. Entri invalid di-skip dengan warning.
+ * @returns {{ tz: string, entries: object[], burst: object|null }}
+ */
+function loadScheduleConfig(env = process.env) {
+  let file = {};
+  if (env.SCHEDULE_CONFIG) {
+    try { file = JSON.parse(fs.readFileSync(env.SCHEDULE_CONFIG, 'utf8')); } catch (e) {
+      console.warn(`⚠️ SCHEDULE_CONFIG ${env.SCHEDULE_CONFIG} unreadable:`, e.message);
+    }
+  }
+  const tz = env.SCHEDULE_TZ || file.tz || 'Asia/Jakarta';
+  const globalSkipWeekends = env.SCHEDULE_SKIP_WEEKENDS != null
+    ? !isOff(env.SCHEDULE_SKIP_WEEKENDS)
+    : file.skipWeekends !== false;
+  const globalQuiet = env.SCHEDULE_QUIET_HOURS != null
+    ? env.SCHEDULE_QUIET_HOURS.split(';').map((s) => s.trim()).filter(Boolean)
+    : (file.quiet || []);
+
+  const names = new Set([...Object.keys(DEFAULT_SCHEDULES), ...Object.keys(file.jobs || {})]);
+  const entries = [];
+  for (const name of names) {
+    const conf = { ...DEFAULT_SCHEDULES[name], ...(file.jobs || {})[name] };
+    const envCron = env[envName(name)];
+    if (envCron != null) {
+      if (isOff(envCron)) conf.enabled = false;
+      else conf.cron = envCron;
+    }
+    if (conf.enabled === false) continue;
+    try {
+      if (!conf.job) throw new Error('missing "job"');
+      entries.push({
+        name,
+        job: conf.job,
+        payload: conf.payload || {},
+        cron: parseCron(conf.cron),
+        skipWeekends: conf.skipWeekends ?? globalSkipWeekends,
+        quiet: (conf.quiet ?? globalQuiet).map(parseWindow),
+      });
+    } catch (e) {
+      console.warn(`⚠️ schedule ${name} skipped:`, e.message);
+    }
+  }
+
+  const burst = file.burst === false || isOff(env.CAL_BURST ?? '') ? null : {
+    ...DEFAULT_BURST,
+    ...(file.burst || {}),
+    ...(env.CAL_BURST_EVERY_MIN ? { everyMinutes: Number(env.CAL_BURST_EVERY_MIN) } : {}),
+  };
+  return { tz, entries, burst };
+}
+
+/** waktu jalan berikutnya (setelah from, maks ~8 hari ke depan) yang tidak kena skip; null kalau tidak ada */
+function nextRun(entry, tz, from = new Date()) {
+  const start = Math.floor(from.getTime() / 60_000) + 1;
+  for (let m = start; m < start + 8 * 24 * 60; m++) {
+    const d = new Date(m * 60_000);
+    const t = zonedParts(d, tz);
+    if (cronMatches(entry.cron, t) && !skipReason(entry, t)) return d;
+  }
+  return null;
+}
+
+/**
+ * Event high-impact di kalender "today" yang jamnya dekat (-before s/d +after menit) dengan sekarang.
+ * Jam event "HH.mm" / "HH:mm" di zona yang sama dengan t. Event tanpa jam ("-", "All Day") diabaikan.
+ */
+function burstEvents(events, t, { beforeMinutes, afterMinutes, impact }) {
+  const re = new RegExp(impact, 'i');
+  const now = t.hour * 60 + t.minute;
+  return (events || []).filter((e) => {
+    if (!re.test(String(e?.impact || ''))) return false;
+    const m = String(e.time || '').match(/(\d{1,2})[.:](\d{2})\s*$/);
+    if (!m) return false;
+    const at = Number(m[1]) * 60 + Number(m[2]);
+    return now >= at - beforeMinutes && now <= at + afterMinutes;
+  });
+}
+
+module.exports = {
+  parseCron,
+  cronMatches,
+  zonedParts,
+  parseWindow,
+  skipReason,
+  loadScheduleConfig,
+  nextRun,
+  burstEvents,
+  DEFAULT_SCHEDULES,
+};
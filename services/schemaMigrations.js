@@ -0,0 +1,79 @@
+// services/schemaMigrations.js
+// Skema DB dikelola lewat migrasi sequelize-cli (migrations/, `npm run migrate`), bukan sync() saat boot:
+// index baru di tabel news (mis. FULLTEXT) bisa makan menit dan menahan startup.
+// Helper di sini idempotent → DB lama yang skemanya sudah dibuat sync() cukup "dicatat" oleh migrasi.
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE_RE = /^(?!.*\.d\.ts$).*\.(cjs|js|cts|ts)$/; // pola file migrasi sequelize-cli
+const META_TABLE = 'SequelizeMeta';
+
+async function tableExists(qi, table) {
+  try {
+    await qi.describeTable(table);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function createTableIfMissing(qi, table, attributes, options = {}) {
+  if (await tableExists(qi, table)) return false;
+  await qi.createTable(table, attributes, options);
+  return true;
+}
+
+async function addColumnIfMissing(qi, table, column, spec) {
+  const columns = await qi.describeTable(table);
+  if (columns[column]) return false;
+  await qi.addColumn(table, column, spec);
+  return true;
+}
+
+async function removeColumnIfExists(qi, table, column) {
+  const columns = await qi.describeTable(table);
+  if (!columns[column]) return false;
+  await qi.removeColumn(table, column);
+  return true;
+}
+
+/** options.name wajib: nama yang sama dengan yang dibuat sync() dulu, supaya DB lama tidak dapat index ganda */
+async function addIndexIfMissing(qi, table, fields, options) {
+  const indexes = await qi.showIndex(table);
+  if (indexes.some((i) => i.name === options.name)) return false;
+  await qi.addIndex(table, fields, options);
+  return true;
+}
+
+async function removeIndexIfExists(qi, table, name) {
+  const indexes = await qi.showIndex(table);
+  if (!indexes.some((i) => i.name === name)) return false;
+  await qi.removeIndex(table, name);
+  return true;
+}
+
+function migrationFiles(dir = MIGRATIONS_DIR) {
+  return fs.readdirSync(dir).filter((f) => MIGRATION_FILE_RE.test(f)).sort();
+}
+
+/** file migrasi yang belum tercatat di SequelizeMeta (tabelnya belum ada → semua) */
+async function pendingMigrations(sequelize, dir = MIGRATIONS_DIR) {
+  const files = migrationFiles(dir);
+  if (!(await tableExists(sequelize.getQueryInterface(), META_TABLE))) return files;
+  const [rows] = await sequelize.query(`SELECT name FROM \`${META_TABLE}\``);
+  const done = new Set(rows.map((r) => r.name));
+  return files.filter((f) => !done.has(f));
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  tableExists,
+  createTableIfMissing,
+  addColumnIfMissing,
+  removeColumnIfExists,
+  addIndexIfMissing,
+  removeIndexIfExists,
+  migrationFiles,
+  pendingMigrations,
+};
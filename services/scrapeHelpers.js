@@ -0,0 +1,90 @@
+// services/scrapeHelpers.js
+// Util scrape yang tidak butuh state server (tanggal listing, header HTML, deteksi WAF, retry).
+// Dipakai index.js dan diteruskan ke adapter sources/ lewat SourceHelpers; test memakai yang sama.
+const MONTHS_EN = { jan: 0, january: 0, feb: 1, february: 1, mar: 2, march: 2, apr: 3, april: 3, may: 4, jun: 5, june: 5, jul: 6, july: 6, aug: 7, august: 7, sep: 8, sept: 8, september: 8, oct: 9, october: 9, nov: 10, november: 10, dec: 11, december: 11 };
+const MONTHS_ID = { jan: 0, januari: 0, feb: 1, februari: 1, mar: 2, maret: 2, apr: 3, april: 3, mei: 4, jun: 5, juni: 5, jul: 6, juli: 6, agu: 7, agustus: 7, agst: 7, sep: 8, september: 8, okt: 9, oktober: 9, nov: 10, november: 10, des: 11, desember: 11 };
+
+function parsePublishedAt(dateStr = '', lang = 'en') {
+  const s = String(dateStr).trim().replace(/\s+/g, ' ');
+  if (!s) return null;
+  const m = s.match(/^(\d{1,2})\s+([A-Za-z\.]+)\s+(\d{4})(?:\s+(\d{1,2}):(\d{2}))?$/);
+  if (!m) return null;
+  const day = parseInt(m[1], 10);
+  const monRaw = m[2].toLowerCase().replace(/\./g, '');
+  const year = parseInt(m[3], 10);
+  const hourLocal = m[4] ? parseInt(m[4], 10) : 12;
+  const minuteLocal = m[5] ? parseInt(m[5], 10) : 0;
+
+  const map = (lang || '').toLowerCase() === 'id' ? MONTHS_ID : MONTHS_EN;
+  const altMap = map === MONTHS_ID ? MONTHS_EN : MONTHS_ID;
+  let month = map[monRaw];
+  if (month == null) month = altMap[monRaw];
+  if (month == null || !Number.isFinite(day) || !Number.isFinite(year)) return null;
+
+  const WIB_OFFSET = 7;
+  const dtUtc = new Date(Date.UTC(year, month, day, hourLocal - WIB_OFFSET, minuteLocal, 0));
+  return Number.isNaN(+dtUtc) ? null : dtUtc;
+}
+
+function normalizeSpace(s) { return (s || '').replace(/\s+/g, ' ').trim(); }
+
+const HTML_HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/125.0.0.0 Safari/537.36',
+  'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+  'Accept-Language': 'en-US,en;q=0.9,id;q=0.8',
+  'Cache-Control': 'no-cache',
+  'Pragma': 'no-cache',
+  'Connection': 'keep-alive',
+  'Upgrade-Insecure-Requests': '1',
+  'DNT': '1',
+};
+function makeHtmlHeaders(lang = 'en') {
+  const isID = (lang || '').toLowerCase() === 'id';
+  return { ...HTML_HEADERS, 'Accept-Language': isID ? 'id-ID,id;q=1,en;q=0.5' : 'en-US,en;q=1,id;q=0.5' };
+}
+function isWafOrChallenge($) {
+  const t = $.text().toLowerCase();
+  const ttl = $('title').text().toLowerCase();
+  return (
+    t.includes('access denied') ||
+    t.includes('forbidden') ||
+    t.includes('request blocked') ||
+    t.includes('captcha') ||
+    ttl.includes('forbidden') ||
+    ttl.includes('blocked')
+  );
+}
+const delay = (ms) => new Promise((r) => setTimeout(r, ms));
+async function retryRequest(fn, retries = 3, delayMs = 500) {
+  try { return await fn(); }
+  catch (err) {
+    if (retries === 0) throw err;
+    await delay(delayMs);
+    return retryRequest(fn, retries - 1, delayMs * 2);
+  }
+}
+// task yang reject ikut me-reject hasil → task yang boleh gagal sendiri harus menangkap error-nya
+async function runParallelWithLimit(tasks, limit = 3) {
+  const results = [];
+  const executing = new Set();
+  for (const task of tasks) {
+    const p = Promise.resolve().then(() => task());
+    results.push(p);
+    executing.add(p);
+    const clean = () => executing.delete(p);
+    p.then(clean).catch(clean);
+    if (executing.size >= limit) await Promise.race(executing);
+  }
+  return Promise.all(results);
+}
+
+module.exports = {
+  parsePublishedAt,
+  normalizeSpace,
+  HTML_HEADERS,
+  makeHtmlHeaders,
+  isWafOrChallenge,
+  delay,
+  retryRequest,
+  runParallelWithLimit,
+};
@@ -0,0 +1,154 @@
+// services/search.js
+// Helper full-text search: query builder (MySQL BOOLEAN MODE) + stemmer ringan EN/ID + snippet highlight.
+
+// InnoDB default innodb_ft_min_token_size = 3 → token lebih pendek tidak ter-index
+const MIN_TOKEN = 3;
+
+const STOPWORDS = {
+  en: new Set(['the', 'and', 'for', 'with', 'from', 'that', 'this', 'are', 'was', 'were', 'has', 'have', 'had', 'not', 'but', 'its', 'into', 'over', 'after', 'about']),
+  id: new Set(['dan', 'yang', 'akan', 'dari', 'pada', 'dengan', 'sebagai', 'untuk', 'dalam', 'ini', 'itu', 'juga', 'atau', 'oleh', 'karena', 'telah', 'masih', 'lebih', 'tidak', 'bisa']),
+};
+
+function tokenize(q = '') {
+  return String(q || '')
+    .toLowerCase()
+    .normalize('NFKC')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+// prefix + huruf awal kata dasar yang cocok dengan alomorf meN-/peN- (mem+beli, men+dapat, me+naik);
+// huruf luluh tidak dikembalikan (menguat tetap menguat, bukan uat)
+const ID_PREFIXES = [
+  /^meng(?=[aiueogh])/, /^meny(?=[aiueo])/, /^men(?=[cdjtz])/, /^mem(?=[bfpv])/, /^me(?=[lrwy]|[mn][aiueo])/,
+  /^peng(?=[aiueogh])/, /^peny(?=[aiueo])/, /^pen(?=[cdjtz])/, /^pem(?=[bfpv])/, /^per/, /^pe(?=[lrwy]|[mn][aiueo])/,
+  /^ber/, /^be(?=k)/, /^ter/, /^di/, /^ke/, /^se/,
+];
+
+// stemmer Indonesia ringan (partikel → possessive → suffix → prefix), bukan Nazief-Adriani penuh.
+// Partikel "tah" tidak dibuang: jarang dipakai dan merusak kata umum (pemerintah).
+function stemID(w) {
+  let s = w;
+  s = s.replace(/(lah|kah|pun)$/, '');
+  s = s.replace(/(ku|mu|nya)$/, '');
+  // konfiks ke-an / pe-an / per-an: buang "an" (bukan "kan") → kenaikan → kenaik → naik
+  if (/^(ke|pe)/.test(s) && /an$/.test(s) && s.length > 6) s = s.slice(0, -2);
+  else if (s.length > 5) s = s.replace(/(kan|an|i)$/, '');
+  for (const re of ID_PREFIXES) {
+    const rest = s.replace(re, '');
+    if (rest !== s && rest.length >= 4) { s = rest; break; }
+  }
+  return s.length >= MIN_TOKEN ? s : w;
+}
+
+// stemmer Inggris ringan (subset Porter step 1); sisa stem minimal 4 huruf agar prefix* tidak terlalu lebar
+function stemEN(w) {
+  let s = w;
+  if (/ies$/.test(s) && s.length > 4) s = s.replace(/ies$/, 'y');
+  else if (/sses$/.test(s)) s = s.replace(/sses$/, 'ss');
+  else if (/[^s]s$/.test(s) && s.length > 3) s = s.slice(0, -1);
+  const rest = s.replace(/(ing|ed|ly)$/, '');
+  if (rest !== s && rest.length >= 4) s = rest;
+  return s.length >= MIN_TOKEN ? s : w;
+}
+
+function stem(word, lang = 'en') {
+  return (lang === 'id' ? stemID : stemEN)(word);
+}
+
+/** Normalisasi teks search (dipakai juga untuk cache key) */
+function normalizeSearch(q = '') {
+  return tokenize(q).join(' ');
+}
+
+/** Semua stem (tanpa dedupe, stopword & token pendek dibuang) — dipakai hitung frekuensi keyword */
+function stems(text = '', lang = 'en') {
+  const stop = STOPWORDS[lang] || STOPWORDS.en;
+  return tokenize(text)
+    .filter((w) => w.length >= MIN_TOKEN && !stop.has(w))
+    .map((w) => stem(w, lang));
+}
+
+/**
+ * Token yang dipakai untuk query & highlight.
+ * @returns {{ word: string, stem: string }[]}
+ */
+function searchTerms(q = '', lang = 'en') {
+  const stop = STOPWORDS[lang] || STOPWORDS.en;
+  const seen = new Set();
+  const out = [];
+  for (const word of tokenize(q)) {
+    if (word.length < MIN_TOKEN || stop.has(word) || seen.has(word)) continue;
+    seen.add(word);
+    out.push({ word, stem: stem(word, lang) });
+  }
+  return out;
+}
+
+/**
+ * Query MATCH ... AGAINST (... IN BOOLEAN MODE).
+ * Kata asli diberi bobot lebih (>) + prefix stem (stem*) supaya bentuk berimbuhan ikut match.
+ * Return '' kalau tidak ada token yang layak (caller fallback ke LIKE).
+ */
+function buildBooleanQuery(q = '', lang = 'en') {
+  return searchTerms(q, lang)
+    .map(({ word, stem: st }) => (st !== word ? `(>${word} ${st}*)` : `${word}*`))
+    .join(' ');
+}
+
+function escapeHtml(s = '') {
+  return String(s)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Potongan teks di sekitar hit pertama, HTML-escaped, hit dibungkus <mark>.
+ * @param {string[]} texts kandidat sumber (mis. [detail, summary, title]) — pakai yang pertama ada hit
+ */
+function makeSnippet(texts, terms, { radius = 90 } = {}) {
+  // kata asli ikut dicari: stem ringan bisa meleset dari bentuk yang benar-benar ada di teks
+  const stems = [...new Set(terms.flatMap((t) => [t.word, t.stem]))].map((s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  const list = (Array.isArray(texts) ? texts : [texts]).map((t) => String(t || '').replace(/\s+/g, ' ').trim());
+  const fallback = list.find(Boolean) || '';
+  if (!stems.length) return escapeHtml(fallback.slice(0, radius * 2));
+
+  const re = new RegExp(`(?<![\\p{L}\\p{N}])(?:${stems.join('|')})[\\p{L}\\p{N}]*`, 'giu');
+  for (const text of list) {
+    re.lastIndex = 0;
+    const first = re.exec(text);
+    if (!first) continue;
+
+    let from = Math.max(0, first.index - radius);
+    let to = Math.min(text.length, first.index + first[0].length + radius);
+    // rapikan ke batas kata
+    if (from > 0) { const sp = text.indexOf(' ', from); if (sp !== -1 && sp < first.index) from = sp + 1; }
+    if (to < text.length) { const sp = text.lastIndexOf(' ', to); if (sp > first.index + first[0].length) to = sp; }
+
+    const piece = text.slice(from, to);
+    let html = '';
+    let last = 0;
+    re.lastIndex = 0;
+    for (let m = re.exec(piece); m; m = re.exec(piece)) {
+      html += escapeHtml(piece.slice(last, m.index)) + `<mark>${escapeHtml(m[0])}</mark>`;
+      last = m.index + m[0].length;
+    }
+    html += escapeHtml(piece.slice(last));
+    return `${from > 0 ? '… ' : ''}${html}${to < text.length ? ' …' : ''}`;
+  }
+  return escapeHtml(fallback.slice(0, radius * 2));
+}
+
+module.exports = {
+  MIN_TOKEN,
+  tokenize,
+  stem,
+  stems,
+  normalizeSearch,
+  searchTerms,
+  buildBooleanQuery,
+  makeSnippet,
+  escapeHtml,
+};
@@ -0,0 +1,100 @@
+// services/share.js
+// Halaman share artikel: Open Graph + Twitter card, lalu redirect (app deeplink di mobile / source_url di desktop).
+
+// JSON aman di dalam <script> (hindari "</script>")
+function jsStr(v) { return JSON.stringify(String(v || '')).replace(/</g, '\\u003c'); }
+
+function esc(s = '') {
+  return String(s ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+const MOBILE_UA = /android|iphone|ipad|ipod|mobile/i;
+// crawler preview link (FB, X, WA, Telegram, Slack, LinkedIn, Discord, Google) → jangan diredirect
+const PREVIEW_BOT_UA = /facebookexternalhit|facebot|twitterbot|whatsapp|telegrambot|slackbot|linkedinbot|discordbot|googlebot|bingbot|applebot|embedly|pinterest|skypeuripreview/i;
+
+/** 'bot' | 'mobile' | 'desktop' */
+function classifyUserAgent(ua = '') {
+  if (PREVIEW_BOT_UA.test(ua)) return 'bot';
+  if (MOBILE_UA.test(ua)) return 'mobile';
+  return 'desktop';
+}
+
+/**
+ * @param {object} o
+ * @param {string} o.title
+ * @param {string} [o.description]
+ * @param {string} [o.image]
+ * @param {string} o.shareUrl      URL halaman ini (og:url)
+ * @param {string} o.deeplink      newsmaker23://news?id=…
+ * @param {string} o.fallbackUrl   source_url artikel
+ * @param {string} [o.lang]
+ * @param {Date|string} [o.publishedAt]
+ * @param {string} [o.author]
+ * @param {boolean} [o.openApp]    true → coba buka app lalu fallback ke fallbackUrl
+ * @param {string} [o.nonce]       CSP nonce untuk inline script
+ */
+function renderSharePage(o) {
+  const title = String(o.title || '').slice(0, 200);
+  const description = String(o.description || '').slice(0, 300);
+  const locale = o.lang === 'id' ? 'id_ID' : 'en_US';
+  const published = o.publishedAt ? new Date(o.publishedAt) : null;
+
+  const meta = [
+    ['property', 'og:type', 'article'],
+    ['property', 'og:site_name', 'Newsmaker 23'],
+    ['property', 'og:locale', locale],
+    ['property', 'og:title', title],
+    ['property', 'og:description', description],
+    ['property', 'og:url', o.shareUrl],
+    ['property', 'og:image', o.image],
+    ['property', 'article:published_time', published && !Number.isNaN(+published) ? published.toISOString() : null],
+    ['property', 'article:author', o.author],
+    ['name', 'twitter:card', o.image ? 'summary_large_image' : 'summary'],
+    ['name', 'twitter:title', title],
+    ['name', 'twitter:description', description],
+    ['name', 'twitter:image', o.image],
+    ['name', 'description', description],
+    ['property', 'al:android:url', o.deeplink],
+    ['property', 'al:ios:url', o.deeplink],
+  ]
+    .filter(([, , v]) => v)
+    .map(([attr, key, v]) => `  <meta ${attr}="${key}" content="${esc(v)}">`)
+    .join('\n');
+
+  // mobile: coba deeplink, kalau app tidak terpasang (halaman masih terlihat) → source_url
+  const script = o.openApp
+    ? `<script nonce="${esc(o.nonce || '')}">
+    (function () {
+      var app = ${jsStr(o.deeplink)}, web = ${jsStr(o.fallbackUrl)};
+      var t = setTimeout(function () { window.location.replace(web); }, 1500);
+      document.addEventListener('visibilitychange', function () { if (document.hidden) clearTimeout(t); });
+      window.location.href = app;
+    })();
+  </script>`
+    : '';
+
+  return `<!doctype html>
+<html lang="${esc(o.lang || 'en')}">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${esc(title)}</title>
+  <link rel="canonical" href="${esc(o.shareUrl)}">
+${meta}
+</head>
+<body>
+  <h1>${esc(title)}</h1>
+  ${description ? `<p>${esc(description)}</p>` : ''}
+  <p><a href="${esc(o.deeplink)}">Open in Newsmaker 23 app</a> · <a href="${esc(o.fallbackUrl)}">Read on the web</a></p>
+  ${script}
+</body>
+</html>
+`;
+}
+
+module.exports = { classifyUserAgent, renderSharePage };
@@ -0,0 +1,62 @@
+// services/simhash.js
+// Sidik jari konten (SimHash 64-bit) untuk deteksi berita hampir sama: judul sedikit diedit, link beda,
+// atau artikel yang sama diposting di dua kategori. Fitur = shingle 3 kata dari judul + isi (bobot sama:
+// judul yang diedit hanya menggeser beberapa bit). Jarak Hamming kecil (≤ 4 dari 64 bit) = konten hampir identik;
+// artikel berbeda biasanya > 10.
+const crypto = require('crypto');
+
+const BITS = 64;
+const SHINGLE = 3;
+const MAX_BODY_CHARS = 5000; // awal artikel sudah cukup; disclaimer di ujung tidak ikut
+const MIN_FEATURES = 8;      // teks lebih pendek → tidak di-fingerprint (judul saja terlalu gampang bentrok)
+
+function tokens(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/https?:\/\/\S+/g, ' ')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .split(' ')
+    .filter((t) => t.length > 1);
+}
+
+function shingles(toks) {
+  if (toks.length < SHINGLE) return toks.length ? [toks.join(' ')] : [];
+  const out = [];
+  for (let i = 0; i + SHINGLE <= toks.length; i++) out.push(toks.slice(i, i + SHINGLE).join(' '));
+  return out;
+}
+
+const hash64 = (s) => crypto.createHash('md5').update(s).digest().readBigUInt64BE(0);
+
+/**
+ * @param {string} title
+ * @param {string} body ringkasan + isi (plain text)
+ * @returns {string|null} 16 digit hex, null kalau teks terlalu pendek
+ */
+function simhash(title, body) {
+  const features = new Map();
+  const add = (list) => list.forEach((f) => features.set(f, (features.get(f) || 0) + 1));
+  add(shingles(tokens(title)));
+  add(shingles(tokens(String(body || '').slice(0, MAX_BODY_CHARS))));
+  if (features.size < MIN_FEATURES) return null;
+
+  const v = new Array(BITS).fill(0);
+  for (const [f, w] of features) {
+    const h = hash64(f);
+    for (let i = 0; i < BITS; i++) v[i] += (h >> BigInt(i)) & 1n ? w : -w;
+  }
+  let out = 0n;
+  for (let i = 0; i < BITS; i++) if (v[i] > 0) out |= 1n << BigInt(i);
+  return out.toString(16).padStart(16, '0');
+}
+
+/** jarak Hamming dua simhash hex (null kalau salah satu kosong) */
+function hammingDistance(a, b) {
+  if (!a || !b) return null;
+  let x = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let n = 0;
+  while (x) { x &= x - 1n; n++; }
+  return n;
+}
+
+module.exports = { simhash, hammingDistance };
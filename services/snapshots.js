@@ -0,0 +1,113 @@
+// services/snapshots.js
+// Record/replay respons upstream (HTML axios, page.content() puppeteer, JSON quotes, XML YouTube)
+// supaya parser bisa di-debug & diuji offline.
+//   SCRAPE_MODE=record  → request tetap live, respons sukses disimpan ke SNAPSHOT_DIR
+//   SCRAPE_MODE=replay  → tidak ada request keluar; respons dibaca dari SNAPSHOT_DIR (tidak ada → error)
+// File: <dir>/<host>/<path-query>-<sha1>.<http|page>.json, satu URL satu file (record menimpa yang lama).
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MODES = ['off', 'record', 'replay'];
+const KEEP_HEADERS = ['content-type', 'etag', 'last-modified'];
+
+class SnapshotMissError extends Error {
+  constructor(channel, url) {
+    super(`no ${channel} snapshot for ${url}`);
+    this.name = 'SnapshotMissError';
+    this.code = 'SNAPSHOT_MISS';
+    this.url = url;
+  }
+}
+
+// query ikut jadi key (halaman ke-N = file berbeda), kecuali cache-buster "_" (nonce live quotes)
+function snapshotFile(dir, channel, url) {
+  let host = 'unknown';
+  let rest = String(url);
+  try {
+    const u = new URL(url);
+    u.searchParams.delete('_');
+    host = u.host;
+    rest = `${u.pathname}${u.search}`;
+  } catch { }
+  const slug = rest.replace(/[^a-z0-9]+/gi, '-').replace(/^-+|-+$/g, '').slice(0, 80) || 'root';
+  const hash = crypto.createHash('sha1').update(`${host}${rest}`).digest('hex').slice(0, 12);
+  return path.join(dir, host.replace(/[^a-z0-9.-]+/gi, '_'), `${slug}-${hash}.${channel}.json`);
+}
+
+/**
+ * @param {{ mode?: string, dir?: string }} [opts]
+ */
+function createSnapshots({ mode = 'off', dir = 'snapshots' } = {}) {
+  if (!MODES.includes(mode)) throw new Error(`SCRAPE_MODE must be one of ${MODES.join(', ')}`);
+  const root = path.resolve(dir);
+  const offlinePages = new WeakSet();
+
+  async function save(channel, url, snap) {
+    const file = snapshotFile(root, channel, url);
+    try {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, JSON.stringify({ url, channel, recordedAt: new Date().toISOString(), ...snap }, null, 1));
+    } catch (e) {
+      console.warn(`⚠️ snapshot save failed (${url}):`, e.message);
+    }
+  }
+
+  async function load(channel, url) {
+    const file = snapshotFile(root, channel, url);
+    try {
+      return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch (e) {
+      if (e.code === 'ENOENT') throw new SnapshotMissError(channel, url);
+      throw e;
+    }
+  }
+
+  /**
+   * Bungkus axios: hanya get() yang di-record/replay (semua scraper cuma GET).
+   * Respons replay berbentuk { status, headers, data, snapshot: true } seperti respons axios.
+   */
+  function http(axios) {
+    if (mode === 'off') return axios;
+    return {
+      async get(url, config = {}) {
+        if (mode === 'replay') {
+          const snap = await load('http', url);
+          return { status: snap.status, statusText: 'OK', headers: snap.headers || {}, data: snap.data, config, snapshot: true };
+        }
+        const res = await axios.get(url, config);
+        if (res.status >= 200 && res.status < 300) {
+          const headers = {};
+          for (const h of KEEP_HEADERS) if (res.headers?.[h]) headers[h] = String(res.headers[h]);
+          await save('http', url, { status: res.status, headers, data: res.data });
+        }
+        return res;
+      },
+    };
+  }
+
+  /**
+   * Pengganti page.goto(): replay → setContent dari snapshot (JS & network halaman dimatikan,
+   * DOM yang tersimpan sudah hasil render), record → goto live lalu simpan page.content().
+   */
+  async function gotoPage(page, url, options) {
+    if (mode === 'replay') {
+      const snap = await load('page', url);
+      if (!offlinePages.has(page)) {
+        offlinePages.add(page);
+        await page.setJavaScriptEnabled(false);
+        await page.setRequestInterception(true);
+        page.on('request', (req) => req.abort().catch(() => { }));
+      }
+      await page.setContent(snap.html, { waitUntil: 'domcontentloaded' });
+      return null;
+    }
+    const res = await page.goto(url, options);
+    if (mode === 'record' && (!res || res.ok())) await save('page', url, { status: res ? res.status() : null, html: await page.content() });
+    return res;
+  }
+
+  return { mode, dir: root, http, gotoPage };
+}
+
+module.exports = { createSnapshots, snapshotFile, SnapshotMissError, SNAPSHOT_MODES: MODES };
@@ -0,0 +1,39 @@
+// services/storyClusters.js
+// Bagian murni dari story cluster (services/simhash.js + redis): pilih cluster terdekat untuk simhash baru,
+// dan klaim "satu push per story" supaya anggota cluster berikutnya tidak dikirim lagi.
+const { hammingDistance } = require('./simhash');
+
+const PUSH_CLAIM_TTL_SECONDS = 3 * 24 * 3600; // sama dengan dedupe push
+
+/**
+ * Kandidat terdekat dalam jarak Hamming ≤ maxDistance (seri → yang pertama), atau null.
+ * @param {string} hash
+ * @param {Array<{ id: number, simhash: string|null, story_cluster_id?: number|null }>} candidates
+ * @param {number} maxDistance
+ * @returns {{ id: number, clusterId: number, distance: number }|null}
+ */
+function nearestStory(hash, candidates, maxDistance) {
+  let best = null;
+  for (const c of candidates || []) {
+    const d = hammingDistance(hash, c.simhash);
+    if (d != null && d <= maxDistance && (!best || d < best.distance)) {
+      best = { id: c.id, clusterId: c.story_cluster_id || c.id, distance: d };
+    }
+  }
+  return best;
+}
+
+/**
+ * Klaim push untuk story (SET NX). Return id artikel yang sudah memegang story, atau null kalau boleh dikirim
+ * (klaim baru, atau pemegangnya artikel ini sendiri = retry job yang sama).
+ * @param {import('ioredis').Redis} redis
+ * @param {{ lang: string, clusterId: number, id: number }} story
+ */
+async function claimStoryPush(redis, { lang, clusterId, id }) {
+  const key = `push:story:${lang}:${clusterId}`;
+  if (await redis.set(key, String(id), 'EX', PUSH_CLAIM_TTL_SECONDS, 'NX')) return null;
+  const owner = await redis.get(key);
+  return owner && owner !== String(id) ? Number(owner) : null;
+}
+
+module.exports = { nearestStory, claimStoryPush, PUSH_CLAIM_TTL_SECONDS };
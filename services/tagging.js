@@ -0,0 +1,104 @@
+// services/tagging.js
+// Tagging instrumen & bank sentral dari teks artikel (dipakai saat scrape + filter ?symbol=).
+// Akronim pendek dicocokkan case-sensitive (mis. "Fed" ≠ "fed"), nama panjang case-insensitive.
+
+/**
+ * tag     : id kanonik yang disimpan di news_tags
+ * aliases : input alternatif untuk ?symbol= (termasuk kode di /api/quotes)
+ * cs      : pola case-sensitive, ci: pola case-insensitive
+ */
+const INSTRUMENTS = [
+  // ===== commodities =====
+  { tag: 'XAUUSD', kind: 'commodity', name: 'Gold', aliases: ['gold', 'emas', 'lgd', 'xau'], cs: ['XAU', 'XAUUSD'], ci: ['gold', 'emas'] },
+  { tag: 'XAGUSD', kind: 'commodity', name: 'Silver', aliases: ['silver', 'perak', 'lsi', 'xag'], cs: ['XAG', 'XAGUSD'], ci: ['silver', 'perak'] },
+  { tag: 'WTI', kind: 'commodity', name: 'WTI Crude Oil', aliases: ['crude', 'oil', 'cl'], cs: ['WTI'], ci: ['west texas', 'crude oil', 'minyak mentah'] },
+  { tag: 'BRENT', kind: 'commodity', name: 'Brent Crude Oil', aliases: ['brent'], cs: [], ci: ['brent'] },
+  { tag: 'NATGAS', kind: 'commodity', name: 'Natural Gas', aliases: ['ng', 'gas'], cs: [], ci: ['natural gas', 'gas alam'] },
+  { tag: 'COPPER', kind: 'commodity', name: 'Copper', aliases: ['lcop', 'tembaga'], cs: [], ci: ['copper', 'tembaga'] },
+  { tag: 'CPO', kind: 'commodity', name: 'Crude Palm Oil', aliases: ['palm oil', 'sawit'], cs: ['CPO'], ci: ['palm oil', 'minyak sawit'] },
+
+  // ===== currencies =====
+  { tag: 'DXY', kind: 'fx', name: 'US Dollar Index', aliases: ['dx', 'usdx'], cs: ['DXY', 'USDX'], ci: ['dollar index', 'indeks dolar'] },
+  { tag: 'EURUSD', kind: 'fx', name: 'EUR/USD', aliases: ['eur/usd'], cs: ['EURUSD', 'EUR/USD'], ci: [] },
+  { tag: 'GBPUSD', kind: 'fx', name: 'GBP/USD', aliases: ['gbp/usd', 'cable'], cs: ['GBPUSD', 'GBP/USD'], ci: [] },
+  { tag: 'USDJPY', kind: 'fx', name: 'USD/JPY', aliases: ['usd/jpy', 'jpy', 'yen'], cs: ['USDJPY', 'USD/JPY'], ci: [] },
+  { tag: 'AUDUSD', kind: 'fx', name: 'AUD/USD', aliases: ['aud/usd', 'aussie'], cs: ['AUDUSD', 'AUD/USD'], ci: [] },
+  { tag: 'USDCHF', kind: 'fx', name: 'USD/CHF', aliases: ['usd/chf', 'chf'], cs: ['USDCHF', 'USD/CHF'], ci: [] },
+  { tag: 'USDCAD', kind: 'fx', name: 'USD/CAD', aliases: ['usd/cad', 'loonie'], cs: ['USDCAD', 'USD/CAD'], ci: [] },
+  { tag: 'NZDUSD', kind: 'fx', name: 'NZD/USD', aliases: ['nzd/usd', 'kiwi'], cs: ['NZDUSD', 'NZD/USD'], ci: [] },
+  { tag: 'USDIDR', kind: 'fx', name: 'USD/IDR', aliases: ['usd/idr', 'rupiah', 'rp', 'idr'], cs: ['USDIDR', 'USD/IDR'], ci: ['rupiah'] },
+
+  // ===== indices =====
+  { tag: 'DJIA', kind: 'index', name: 'Dow Jones', aliases: ['dow', 'dow jones', 'us30'], cs: ['DJIA'], ci: ['dow jones'] },
+  { tag: 'SPX', kind: 'index', name: 'S&P 500', aliases: ['sp500', 's&p', 'us500'], cs: ['SPX'], ci: ['s&p 500', 's&p500'] },
+  { tag: 'NDX', kind: 'index', name: 'Nasdaq', aliases: ['nasdaq', 'us100'], cs: ['NDX'], ci: ['nasdaq'] },
+  { tag: 'HSI', kind: 'index', name: 'Hang Seng', aliases: ['hang seng', 'ghsi', 'hsi'], cs: ['HSI'], ci: ['hang seng'] },
+  { tag: 'N225', kind: 'index', name: 'Nikkei 225', aliases: ['nikkei', 'sn1', 'jp225'], cs: [], ci: ['nikkei'] },
+  { tag: 'DAX', kind: 'index', name: 'DAX', aliases: ['dax', 'de40'], cs: ['DAX'], ci: [] },
+  { tag: 'FTSE', kind: 'index', name: 'FTSE 100', aliases: ['ftse', 'uk100'], cs: ['FTSE'], ci: [] },
+  { tag: 'KOSPI', kind: 'index', name: 'KOSPI', aliases: ['kospi'], cs: ['KOSPI'], ci: [] },
+  { tag: 'IHSG', kind: 'index', name: 'IDX Composite', aliases: ['jci', 'ihsg', 'idx'], cs: ['IHSG', 'JCI'], ci: ['idx composite', 'jakarta composite'] },
+
+  // ===== crypto =====
+  { tag: 'BTC', kind: 'crypto', name: 'Bitcoin', aliases: ['bitcoin', 'btcusd'], cs: ['BTC'], ci: ['bitcoin'] },
+  { tag: 'ETH', kind: 'crypto', name: 'Ethereum', aliases: ['ethereum', 'ethusd'], cs: ['ETH'], ci: ['ethereum'] },
+
+  // ===== central banks =====
+  { tag: 'FED', kind: 'central_bank', name: 'Federal Reserve', aliases: ['fomc', 'federal reserve', 'the fed'], cs: ['Fed', 'FOMC'], ci: ['federal reserve', 'the fed', 'bank sentral as'] },
+  { tag: 'ECB', kind: 'central_bank', name: 'European Central Bank', aliases: ['ecb'], cs: ['ECB'], ci: ['european central bank', 'bank sentral eropa'] },
+  { tag: 'BOJ', kind: 'central_bank', name: 'Bank of Japan', aliases: ['boj'], cs: ['BOJ', 'BoJ'], ci: ['bank of japan', 'bank sentral jepang'] },
+  { tag: 'BOE', kind: 'central_bank', name: 'Bank of England', aliases: ['boe'], cs: ['BOE', 'BoE'], ci: ['bank of england', 'bank sentral inggris'] },
+  { tag: 'PBOC', kind: 'central_bank', name: "People's Bank of China", aliases: ['pboc'], cs: ['PBOC', 'PBoC'], ci: ["people's bank of china", 'bank sentral china', 'bank sentral tiongkok'] },
+  { tag: 'RBA', kind: 'central_bank', name: 'Reserve Bank of Australia', aliases: ['rba'], cs: ['RBA'], ci: ['reserve bank of australia', 'bank sentral australia'] },
+  { tag: 'BOC', kind: 'central_bank', name: 'Bank of Canada', aliases: ['boc'], cs: ['BOC', 'BoC'], ci: ['bank of canada', 'bank sentral kanada'] },
+  { tag: 'SNB', kind: 'central_bank', name: 'Swiss National Bank', aliases: ['snb'], cs: ['SNB'], ci: ['swiss national bank'] },
+  { tag: 'BI', kind: 'central_bank', name: 'Bank Indonesia', aliases: ['bi', 'bank indonesia'], cs: ['BI', 'BI Rate'], ci: ['bank indonesia'] },
+];
+
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const bound = (p) => `(?<![\\p{L}\\p{N}])${escapeRe(p)}(?![\\p{L}\\p{N}])`;
+
+const COMPILED = INSTRUMENTS.map((it) => ({
+  ...it,
+  res: [
+    ...(it.cs.length ? [new RegExp(it.cs.map(bound).join('|'), 'gu')] : []),
+    ...(it.ci.length ? [new RegExp(it.ci.map(bound).join('|'), 'giu')] : []),
+  ],
+}));
+
+const ALIAS_INDEX = new Map();
+for (const it of INSTRUMENTS) {
+  ALIAS_INDEX.set(it.tag.toLowerCase(), it.tag);
+  for (const a of it.aliases) ALIAS_INDEX.set(a.toLowerCase(), it.tag);
+}
+
+/**
+ * Tag artikel dari title/summary/detail. Judul dihitung 3× supaya lebih menentukan.
+ * @returns {{ tag: string, kind: string, hits: number }[]}
+ */
+function tagArticle({ title = '', summary = '', detail = '' } = {}) {
+  const body = `${summary || ''}\n${detail || ''}`;
+  const out = [];
+  for (const it of COMPILED) {
+    let hits = 0;
+    for (const re of it.res) {
+      hits += 3 * (String(title || '').match(re) || []).length;
+      hits += (body.match(re) || []).length;
+    }
+    if (hits > 0) out.push({ tag: it.tag, kind: it.kind, hits });
+  }
+  return out.sort((a, b) => b.hits - a.hits);
+}
+
+/** "gold" / "LGD" / "xauusd" → "XAUUSD" (null kalau tidak dikenal) */
+function resolveTag(input) {
+  const s = String(input || '').trim().toLowerCase();
+  if (!s) return null;
+  if (ALIAS_INDEX.has(s)) return ALIAS_INDEX.get(s);
+  // kode quotes berakhiran bulan/tahun kontrak (mis. GHSIV5, LCOPZ5)
+  const m = s.match(/^([a-z0-9]+?)[fghjkmnquvxz]\d$/);
+  if (m && ALIAS_INDEX.has(m[1])) return ALIAS_INDEX.get(m[1]);
+  return null;
+}
+
+module.exports = { INSTRUMENTS, tagArticle, resolveTag };
@@ -0,0 +1,105 @@
+// services/translate.js
+// Terjemahan mesin untuk versi bahasa yang hilang (EN ↔ ID). Provider pluggable:
+//   google : @google-cloud/translate v2 (GOOGLE_TRANSLATE_API_KEY, atau kredensial default GOOGLE_APPLICATION_CREDENTIALS)
+//   stub   : offline, tanpa network — teks diberi prefix "[id] …", HTML dibiarkan (untuk uji alur)
+// Hasil di-cache per potongan teks (sha1 isi + arah + format) di redis, jadi paragraf yang sama tidak dibayar dua kali.
+const crypto = require('crypto');
+
+const CACHE_TTL_S = 30 * 86400;
+const MAX_CHUNK = 4500; // batas aman per segmen (API v2 menyarankan < 5k karakter)
+
+/**
+ * Provider = { name, translate(texts: string[], { from, to, format: 'text'|'html' }) → Promise<string[]> }
+ * @type {Record<string, (env: NodeJS.ProcessEnv) => { name: string, translate: Function }>}
+ */
+const TRANSLATION_PROVIDERS = {
+  google(env) {
+    const { Translate } = require('@google-cloud/translate').v2;
+    const client = new Translate(env.GOOGLE_TRANSLATE_API_KEY ? { key: env.GOOGLE_TRANSLATE_API_KEY } : {});
+    return {
+      name: 'google',
+      async translate(texts, { from, to, format }) {
+        const [out] = await client.translate(texts, { from, to, format });
+        return Array.isArray(out) ? out : [out];
+      },
+    };
+  },
+  stub() {
+    return {
+      name: 'stub',
+      async translate(texts, { to, format }) {
+        return texts.map((t) => (format === 'html' ? t : `[${to}] ${t}`));
+      },
+    };
+  },
+};
+
+// potong di batas paragraf (teks) / penutup blok (html); paragraf raksasa dipotong per kalimat
+function chunkText(s, format) {
+  const parts = format === 'html'
+    ? String(s).split(/(?<=<\/(?:p|h[2-6]|ul|ol|table|blockquote|figure)>)/i)
+    : String(s).split(/(?<=\n\n)/);
+  const chunks = [];
+  let cur = '';
+  for (let part of parts) {
+    while (part.length > MAX_CHUNK) {
+      const cut = Math.max(part.lastIndexOf('. ', MAX_CHUNK), MAX_CHUNK / 2);
+      if (cur) { chunks.push(cur); cur = ''; }
+      chunks.push(part.slice(0, cut + 1));
+      part = part.slice(cut + 1);
+    }
+    if (cur && cur.length + part.length > MAX_CHUNK) { chunks.push(cur); cur = ''; }
+    cur += part;
+  }
+  if (cur) chunks.push(cur);
+  return chunks;
+}
+
+/**
+ * @param {{ provider: string|{ name: string, translate: Function }, redis: import('ioredis').Redis, env?: NodeJS.ProcessEnv }} opts
+ */
+function createTranslator({ provider, redis, env = process.env }) {
+  const impl = typeof provider === 'string' ? TRANSLATION_PROVIDERS[provider]?.(env) : provider;
+  if (!impl?.translate) throw new Error(`Unknown translation provider "${provider}"`);
+  const cacheKey = (text, from, to, format) =>
+    `tr:${impl.name}:${from}:${to}:${format}:${crypto.createHash('sha1').update(text).digest('hex')}`;
+
+  /** terjemahkan satu string panjang (dipecah, cache per potongan) */
+  async function translateText(text, { from, to, format = 'text' }) {
+    if (!text || !String(text).trim()) return text || '';
+    const chunks = chunkText(text, format);
+    const keys = chunks.map((c) => cacheKey(c, from, to, format));
+    const cached = await redis.mget(keys);
+    const missing = chunks.map((c, i) => (cached[i] == null && c.trim() ? i : -1)).filter((i) => i >= 0);
+
+    if (missing.length) {
+      const out = await impl.translate(missing.map((i) => chunks[i]), { from, to, format });
+      const m = redis.multi();
+      missing.forEach((i, j) => {
+        // provider sering membuang spasi/baris kosong di ujung → kembalikan pemisah paragraf aslinya
+        cached[i] = String(out[j] ?? chunks[i]).trimEnd() + chunks[i].match(/\s*$/)[0];
+        m.set(keys[i], cached[i], 'EX', CACHE_TTL_S);
+      });
+      await m.exec();
+    }
+    return chunks.map((c, i) => cached[i] ?? c).join('');
+  }
+
+  /**
+   * Terjemahkan field artikel. Field kosong dilewati.
+   * @returns {Promise<{ title: string, summary: string, detail: string, detail_html: string|null }>}
+   */
+  async function translateArticle({ title, summary, detail, detail_html }, from, to) {
+    const [t, s, d, h] = await Promise.all([
+      translateText(title, { from, to }),
+      translateText(summary, { from, to }),
+      translateText(detail, { from, to }),
+      detail_html ? translateText(detail_html, { from, to, format: 'html' }) : null,
+    ]);
+    return { title: t, summary: s, detail: d, detail_html: h };
+  }
+
+  return { name: impl.name, translateText, translateArticle };
+}
+
+module.exports = { TRANSLATION_PROVIDERS, createTranslator, chunkText };
@@ -0,0 +1,77 @@
+// sources/index.js
+// Registry adapter sumber berita. Adapter = factory `(helpers) => source`; pipeline bersama di index.js
+// (dedupe, normalisasi author, simpan, push, post-process) tidak tahu apa-apa soal selector situs.
+
+/**
+ * @typedef {object} SourceHelpers  util dari server (http, parser, author registry) supaya adapter tidak require index.js;
+ *   checkParse(parser, obs) melapor hasil parse per halaman ke parser health (services/parserHealth.js)
+ *
+ * @typedef {object} NewsListing
+ * @property {string} key                          id listing (unik per source), mis. path kategori
+ * @property {string|null} [categoryId]            category_id default untuk item dari listing ini
+ * @property {(page: number) => string|null} pageUrl  null → listing habis
+ *
+ * @typedef {object} NewsItem
+ * @property {string} title
+ * @property {string} link
+ * @property {string|null} [image]
+ * @property {string} [category]                   label mentah
+ * @property {string|null} [categoryId]
+ * @property {string} [date]
+ * @property {string} [summary]
+ * @property {string|null} [author]                inisial mentah (dinormalisasi pipeline)
+ * @property {Date|null} [publishedAt]
+ *
+ * @typedef {object} NewsListingPage
+ * @property {NewsItem[]} items                    urut terbaru dulu
+ * @property {boolean} [blocked]                   WAF / challenge
+ * @property {boolean} [notModified]               304 dari conditional GET → listing tidak berubah
+ * @property {() => Promise<void>} [commit]        simpan ETag/Last-Modified setelah item tersimpan
+ *
+ * @typedef {object} NewsDetail
+ * @property {string} text                         plain text, paragraf dipisah baris kosong
+ * @property {string|null} [html]                  isi tersanitasi (helpers.parseArticleBody)
+ * @property {object[]|null} [blocks]              blok terstruktur (helpers.parseArticleBody)
+ * @property {string|null} [author]
+ * @property {string|null} [sourceName]
+ * @property {boolean} [blocked]
+ *
+ * @typedef {object} NewsSource
+ * @property {string} id
+ * @property {string} name                         default source_name
+ * @property {string[]} languages
+ * @property {{ concurrency?: number, pageDelayMs?: number, maxEmptyPages?: number, maxPages?: number }} [rateLimit]
+ * @property {(lang: string) => NewsListing[]} listings
+ * @property {(url: string, lang: string, listing: NewsListing) => Promise<NewsListingPage>} fetchListing
+ * @property {(item: NewsItem, lang: string) => Promise<NewsDetail|null>} [fetchDetail]
+ * @property {(link: string) => boolean} [ownsLink]  link milik source ini & fetchDetail bisa jalan hanya dengan
+ *                                                 { link } → artikel lama dicek ulang isinya (news-recheck)
+ */
+
+// maxPages membatasi run pertama (belum ada high-water mark)
+const DEFAULT_RATE_LIMIT = { concurrency: 4, pageDelayMs: 120, maxEmptyPages: 3, maxPages: 30 };
+
+/** validasi bentuk adapter + isi default rate limit */
+function defineSource(src) {
+  if (!src || typeof src !== 'object') throw new Error('news source must be an object');
+  for (const k of ['id', 'name']) {
+    if (!src[k] || typeof src[k] !== 'string') throw new Error(`news source: missing "${k}"`);
+  }
+  if (!Array.isArray(src.languages) || !src.languages.length) throw new Error(`news source ${src.id}: missing languages`);
+  for (const k of ['listings', 'fetchListing']) {
+    if (typeof src[k] !== 'function') throw new Error(`news source ${src.id}: missing ${k}()`);
+  }
+  for (const k of ['fetchDetail', 'ownsLink']) {
+    if (src[k] != null && typeof src[k] !== 'function') throw new Error(`news source ${src.id}: ${k} must be a function`);
+  }
+  return { ...src, rateLimit: { ...DEFAULT_RATE_LIMIT, ...(src.rateLimit || {}) } };
+}
+
+// adapter bawaan (urutan = urutan scrape)
+// factory boleh return null (mis. rss tanpa feed terkonfigurasi) → tidak didaftarkan
+const BUILTIN_SOURCES = [
+  require('./newsmaker'),
+  require('./rss'),
+];
+
+module.exports = { DEFAULT_RATE_LIMIT, defineSource, BUILTIN_SOURCES };
@@ -0,0 +1,139 @@
+// sources/newsmaker.js
+// Adapter sumber berita newsmaker.id (listing per kategori + halaman detail `div.article-content`).
+
+const BASE = 'https://www.newsmaker.id';
+const PAGE_SIZE = 10;
+
+/** @type {(h: import('./index').SourceHelpers) => import('./index').NewsSource} */
+module.exports = (h) => {
+  const { axios, cheerio, retryRequest, conditionalGet, makeHtmlHeaders, isWafOrChallenge, normalizeSpace, parsePublishedAt } = h;
+
+  function extractNewsItem($, el, lang) {
+    const $el = $(el);
+    const title = normalizeSpace($el.find('h5.card-title a').text());
+    const href = $el.find('h5.card-title a').attr('href') || '';
+    const link = href ? BASE + href : null;
+    if (!link || !link.includes(`/index.php/${lang}/`)) return null;
+
+    const imgSrc = $el.find('img.card-img').attr('src');
+    const image = imgSrc ? BASE + imgSrc : null;
+    const category = normalizeSpace($el.find('span.category-label').text());
+
+    let date = '';
+    let summary = '';
+    $el.find('p.card-text').each((_, p) => {
+      const text = normalizeSpace($(p).text());
+      if (/\b\d{1,2}\s+\w+\s+\d{4}\b/i.test(text)) date = text;
+      else if (!summary) summary = text;
+    });
+
+    let author = h.extractAuthorFromText(summary);
+    if (author) summary = summary.replace(/\(([a-z]{2,8})\)/i, '').trim();
+
+    const publishedAt = parsePublishedAt(date, lang) || null;
+    if (!title || !link) return null;
+    return { title, link, image, category, date, summary, author: author || null, publishedAt };
+  }
+
+  return {
+    id: 'newsmaker',
+    name: 'Newsmaker23',
+    languages: ['en', 'id'],
+    rateLimit: { concurrency: 4, pageDelayMs: 120, maxEmptyPages: 3 },
+
+    // fetchDetail cukup dengan link → ikut news-recheck
+    ownsLink: (link) => String(link || '').startsWith(`${BASE}/index.php/`),
+
+    // satu listing per kategori registry; paginasi ?start=0,10,20…
+    listings(lang) {
+      return h.NEWS_CATEGORIES.map((c) => ({
+        key: c.path,
+        categoryId: c.id,
+        pageUrl: (page) => `${BASE}/index.php/${lang}/${c.path}?start=${page * PAGE_SIZE}`,
+      }));
+    },
+
+    async fetchListing(url, lang) {
+      const { notModified, data, commit } = await retryRequest(
+        () => conditionalGet(url, { timeout: 180000, headers: makeHtmlHeaders(lang), maxRedirects: 3 }),
+        3, 1000
+      );
+      if (notModified) return { notModified: true, items: [] };
+
+      const $ = cheerio.load(data);
+      if (isWafOrChallenge($)) {
+        await h.checkParse('newsmaker.listing', { url, blocked: true });
+        return { blocked: true, items: [] };
+      }
+
+      const items = [];
+      const $nodes = $('div.single-news-item');
+      $nodes.each((_, el) => {
+        const item = extractNewsItem($, el, lang);
+        if (item) items.push(item);
+      });
+      // halaman pertama kategori wajib berisi; halaman lewat ujung paginasi memang kosong
+      await h.checkParse('newsmaker.listing', { url, nodes: $nodes.length, items, expectItems: /[?&]start=0(?:&|$)/.test(url) });
+      return { blocked: false, items, commit };
+    },
+
+    async fetchDetail(item, lang) {
+      const url = item.link;
+      return retryRequest(async () => {
+        const { data } = await axios.get(url, { timeout: 180000, headers: makeHtmlHeaders(lang), maxRedirects: 3 });
+        const $ = cheerio.load(data);
+        if (isWafOrChallenge($)) {
+          console.warn(`🛡️ WAF/Challenge at: ${url}`);
+          await h.checkParse('newsmaker.detail', { url, blocked: true });
+          return { text: '', author: null, sourceName: null, blocked: true };
+        }
+
+        const $root = $('div.article-content').first();
+        const $article = $root.clone();
+
+        let author = null;
+        let sourceName = null;
+
+        const $sourceP = $article.find('p').filter((_, el) => /\b(?:source|sumber)\b\s*:/i.test($(el).text())).first();
+        if ($sourceP.length) {
+          const pHtml = $sourceP.html() || '';
+          author = h.extractAuthorFromHtml(pHtml) || author;
+          sourceName = (pHtml.match(/\b(?:Source|Sumber)\s*:?\s*([^<\n\r]+)/i)?.[1] || '').trim() || sourceName;
+          $sourceP.remove();
+        }
+
+        if (!author) {
+          $article.find('p').each((_, p) => {
+            if (author) return;
+            const a = h.extractAuthorFromHtml($(p).html() || '');
+            if (a) author = a;
+          });
+        }
+
+        if (!author) {
+          const metaAuthor = $('meta[name="author"]').attr('content');
+          const a = h.sanitizeAuthor(metaAuthor);
+          if (a) author = a;
+        }
+
+        $article.find('p').each((_, p) => {
+          const html = $(p).html() || '';
+          const cleaned = html
+            .replace(/\s*\([a-z]{2,8}\)\s*$/i, '')
+            .replace(/\s*\([a-z]{2,8}\)\s*(?=[\.\,\;\:])/gi, '');
+          if (cleaned !== html) $(p).html(cleaned);
+        });
+
+        const paragraphs = [];
+        $article.find('p').each((_, p) => {
+          const txt = normalizeSpace($(p).text());
+          if (txt) paragraphs.push(txt);
+        });
+        const plainText = paragraphs.join('\n\n');
+        const body = h.parseArticleBody($article.html() || '', { baseUrl: url });
+        await h.checkParse('newsmaker.detail', { url, structure: $root.length > 0, items: plainText ? [{ text: plainText }] : [], expectItems: true });
+        return { text: plainText, html: body.html, blocks: body.blocks, author, sourceName };
+      }, 3, 1000);
+    },
+  };
+};
@@ -0,0 +1,183 @@
+// sources/rss.js
+// Adapter generik RSS 2.0 / RDF / Atom. Feed dikonfigurasi lewat env NEWS_RSS_FEEDS (JSON array):
+//   [{ "id": "antara-ekonomi", "url": "https://…/rss", "language": "id", "name": "Antara",
+//      "category": "economy", "fullText": true, "selector": "div.post-content" }]
+// fullText=false → isi detail dari <content:encoded>/<content>/<description> feed saja.
+const { XMLParser } = require('fast-xml-parser');
+
+const FEED_ACCEPT = 'application/rss+xml, application/atom+xml, application/xml;q=0.9, text/xml;q=0.8, */*;q=0.5';
+// urutan selector konten untuk fetch full-text kalau feed tidak menyebut selector
+const GENERIC_BODY_SELECTORS = ['[itemprop="articleBody"]', 'article .entry-content', 'article', 'main', 'div.content'];
+
+const asArray = (v) => (Array.isArray(v) ? v : v == null ? [] : [v]);
+const text = (v) => (v == null ? '' : typeof v === 'object' ? String(v['#text'] ?? '') : String(v));
+
+/** baca NEWS_RSS_FEEDS; entri tidak valid di-skip dengan warning */
+function parseFeedConfig(raw) {
+  if (!raw) return [];
+  let list;
+  try { list = JSON.parse(raw); } catch (e) {
+    console.warn('⚠️ NEWS_RSS_FEEDS is not valid JSON:', e.message);
+    return [];
+  }
+  return asArray(list).filter((f) => {
+    const ok = f && /^https?:\/\//i.test(f.url || '') && ['en', 'id'].includes(String(f.language || '').toLowerCase());
+    if (!ok) console.warn('⚠️ NEWS_RSS_FEEDS: skip invalid feed', JSON.stringify(f));
+    return ok;
+  }).map((f, i) => ({
+    id: String(f.id || `feed${i + 1}`),
+    url: f.url,
+    language: String(f.language).toLowerCase(),
+    name: f.name ? String(f.name) : null,
+    category: f.category ? String(f.category) : null,
+    fullText: f.fullText !== false,
+    selector: f.selector ? String(f.selector) : null,
+  }));
+}
+
+// buang parameter tracking supaya dedupe by link tidak kebobolan
+function cleanLink(u) {
+  try {
+    const url = new URL(String(u).trim());
+    for (const k of Array.from(url.searchParams.keys())) {
+      if (/^(utm_|fbclid$|gclid$|ref$|rss$)/i.test(k)) url.searchParams.delete(k);
+    }
+    url.hash = '';
+    return url.toString();
+  } catch {
+    return null;
+  }
+}
+
+/** @type {(h: import('./index').SourceHelpers) => import('./index').NewsSource|null} */
+module.exports = (h) => {
+  const feeds = parseFeedConfig(process.env.NEWS_RSS_FEEDS);
+  if (!feeds.length) return null;
+
+  const { axios, cheerio, retryRequest, conditionalGet, makeHtmlHeaders, normalizeSpace, resolveCategoryFromLabel, categoryById } = h;
+  const parser = new XMLParser({ ignoreAttributes: false, attributeNamePrefix: '@_', removeNSPrefix: false });
+  const stripHtml = (html) => normalizeSpace(cheerio.load(`<div>${html || ''}</div>`)('div').first().text());
+  const htmlToParagraphs = (html) => {
+    const $ = cheerio.load(`<div id="x">${html || ''}</div>`);
+    const ps = [];
+    $('#x p').each((_, p) => { const t = normalizeSpace($(p).text()); if (t) ps.push(t); });
+    return ps.length ? ps.join('\n\n') : normalizeSpace($('#x').text());
+  };
+
+  function pickImage(e) {
+    const enclosure = asArray(e.enclosure).find((x) => /^image\//i.test(x?.['@_type'] || ''));
+    const media = asArray(e['media:content']).find((x) => !x?.['@_medium'] || x['@_medium'] === 'image')
+      || asArray(e['media:group']?.['media:content'])[0];
+    const thumb = asArray(e['media:thumbnail'])[0];
+    return enclosure?.['@_url'] || media?.['@_url'] || thumb?.['@_url'] || null;
+  }
+
+  function pickLink(e) {
+    if (typeof e.link === 'string') return e.link;
+    const links = asArray(e.link);
+    const alt = links.find((l) => !l['@_rel'] || l['@_rel'] === 'alternate') || links[0];
+    return alt?.['@_href'] || text(alt) || (typeof e.guid === 'string' && /^https?:/.test(e.guid) ? e.guid : null);
+  }
+
+  function toItem(e, feed, feedTitle) {
+    const link = cleanLink(pickLink(e) || '');
+    const title = normalizeSpace(stripHtml(text(e.title)));
+    if (!link || !title) return null;
+
+    const contentHtml = text(e['content:encoded']) || text(e.content);
+    const summaryHtml = text(e.description) || text(e.summary) || contentHtml;
+    const dateRaw = text(e.pubDate) || text(e.published) || text(e['dc:date']) || text(e.updated);
+    const pub = dateRaw ? new Date(dateRaw) : null;
+    const label = text(asArray(e.category)[0]) || asArray(e.category)[0]?.['@_term'] || '';
+    const category = feed.category || label || null;
+
+    return {
+      title,
+      link,
+      image: pickImage(e),
+      category,
+      categoryId: categoryById(feed.category)?.id || resolveCategoryFromLabel(category)?.id || null,
+      date: dateRaw || '',
+      summary: stripHtml(summaryHtml).slice(0, 600),
+      author: null, // nama penulis wire service bukan inisial desk kita
+      publishedAt: pub && !Number.isNaN(+pub) ? pub : null,
+      sourceName: text(e.source) || feed.name || feedTitle || null,
+      feedContent: contentHtml ? htmlToParagraphs(contentHtml) : '',
+      feedHtml: contentHtml || '',
+      feedId: feed.id,
+    };
+  }
+
+  const byId = new Map(feeds.map((f) => [f.id, f]));
+
+  return {
+    id: 'rss',
+    name: 'RSS',
+    languages: Array.from(new Set(feeds.map((f) => f.language))),
+    rateLimit: { concurrency: 2, pageDelayMs: 500, maxEmptyPages: 1 },
+
+    // satu listing per feed, tanpa paginasi
+    listings(lang) {
+      return feeds.filter((f) => f.language === lang).map((f) => ({
+        key: `rss:${f.id}`,
+        categoryId: categoryById(f.category)?.id || null,
+        pageUrl: (page) => (page === 0 ? f.url : null),
+      }));
+    },
+
+    async fetchListing(url, lang, listing) {
+      const feed = byId.get(listing.key.slice('rss:'.length));
+      const { notModified, data, commit } = await retryRequest(
+        () => conditionalGet(url, { timeout: 60000, headers: { ...makeHtmlHeaders(lang), Accept: FEED_ACCEPT }, responseType: 'text', maxRedirects: 3 }),
+        3, 1000
+      );
+      if (notModified) return { notModified: true, items: [] };
+
+      const json = parser.parse(String(data || ''));
+      const channel = json?.rss?.channel || json?.['rdf:RDF']?.channel || {};
+      const entries = json?.feed
+        ? asArray(json.feed.entry)
+        : asArray(json?.rss?.channel?.item || json?.['rdf:RDF']?.item);
+      const feedTitle = normalizeSpace(text(json?.feed?.title || channel.title));
+
+      const items = entries.map((e) => toItem(e, feed, feedTitle)).filter(Boolean);
+      await h.checkParse('rss.feed', { url, structure: Boolean(json?.rss || json?.feed || json?.['rdf:RDF']), nodes: entries.length, items, expectItems: true });
+      return { blocked: false, items, commit };
+    },
+
+    async fetchDetail(item, lang) {
+      const feed = byId.get(item.feedId);
+      const fromFeed = () => {
+        const body = item.feedHtml ? h.parseArticleBody(item.feedHtml, { baseUrl: item.link }) : null;
+        return { text: item.feedContent || '', html: body?.html || null, blocks: body?.blocks || null, author: null, sourceName: null };
+      };
+      if (!feed?.fullText) return fromFeed();
+
+      try {
+        const { data } = await retryRequest(
+          () => axios.get(item.link, { timeout: 60000, headers: makeHtmlHeaders(lang), maxRedirects: 5 }),
+          2, 1000
+        );
+        const $ = cheerio.load(data);
+        const selectors = feed.selector ? [feed.selector] : GENERIC_BODY_SELECTORS;
+        for (const sel of selectors) {
+          const $root = $(sel).first();
+          if (!$root.length) continue;
+          const paragraphs = [];
+          $root.find('p').each((_, p) => {
+            const t = normalizeSpace($(p).text());
+            if (t) paragraphs.push(t);
+          });
+          if (paragraphs.length) {
+            const body = h.parseArticleBody($root.html() || '', { baseUrl: item.link });
+            return { text: paragraphs.join('\n\n'), html: body.html, blocks: body.blocks, author: null, sourceName: null };
+          }
+        }
+      } catch (e) {
+        console.warn(`⚠️ RSS full-text failed: ${item.link} | ${e.message}`);
+      }
+      // halaman gagal / selector tidak cocok → pakai konten dari feed
+      return fromFeed();
+    },
+  };
+};
@@ -0,0 +1,129 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { sanitizeArticleHtml, buildBlocks, parseArticleBody } = require('../services/articleBody');
+
+const BASE = 'https://www.newsmaker.id/index.php/en/analysis/some-article';
+const clean = (html) => sanitizeArticleHtml(html, { baseUrl: BASE });
+
+test('javascript: and data: hrefs are dropped, link text stays', () => {
+  assert.equal(clean('<p><a href="javascript:alert(1)">x</a></p>'), '<p>x</p>');
+  assert.equal(clean('<p><a href=" JaVaScRiPt:alert(1)">x</a></p>'), '<p>x</p>');
+  assert.equal(clean('<p><a href="java&#x09;script:alert(1)">x</a></p>'), '<p>x</p>');
+  assert.equal(clean('<p><a href="data:text/html;base64,PHNjcmlwdD4=">x</a></p>'), '<p>x</p>');
+  assert.equal(clean('<p><a href="vbscript:msgbox(1)">x</a></p>'), '<p>x</p>');
+});
+
+test('safe links become absolute and open outside the app', () => {
+  assert.equal(
+    clean('<p><a href="/index.php/en/other" title="Other">x</a></p>'),
+    '<p><a href="https://www.newsmaker.id/index.php/en/other" title="Other" rel="noopener nofollow" target="_blank">x</a></p>',
+  );
+});
+
+test('javascript: and data: image sources drop the image', () => {
+  assert.equal(clean('<p>a<img src="javascript:alert(1)">b</p>'), '<p>ab</p>');
+  assert.equal(clean('<img src="data:image/svg+xml;base64,PHN2Zz4=">'), '');
+  // lazy-load: data-src menang atas src placeholder, tapi tetap harus http(s)
+  assert.equal(clean('<img src="/x.gif" data-src="javascript:alert(1)">'), '');
+  assert.equal(
+    clean('<img src="data:image/gif;base64,R0lGOD" data-src="/img/a.jpg" alt="A">'),
+    '<img src="https://www.newsmaker.id/img/a.jpg" alt="A">',
+  );
+});
+
+test('event-handler and unknown attributes are stripped', () => {
+  assert.equal(
+    clean('<p onclick="alert(1)" style="color:red" class="x" id="y">t</p>'),
+    '<p>t</p>',
+  );
+  assert.equal(
+    clean('<img src="https://cdn.example.com/a.jpg" onerror="alert(1)" onload="alert(2)" width="640" height="99999">'),
+    '<img src="https://cdn.example.com/a.jpg" width="640">',
+  );
+  assert.equal(clean('<a href="https://example.com" onmouseover="alert(1)">x</a>'),
+    '<a href="https://example.com/" rel="noopener nofollow" target="_blank">x</a>');
+  assert.equal(
+    clean('<table><tr><td colspan="2 onclick=alert(1)" rowspan="2">x</td></tr></table>'),
+    '<table><tbody><tr><td rowspan="2">x</td></tr></tbody></table>',
+  );
+});
+
+test('script, style and other active content are removed with their contents', () => {
+  const out = clean(`
+    <div class="wrap"><p>before</p>
+      <script>alert(1)</script><style>p{display:none}</style>
+      <noscript><img src="/track.gif"></noscript>
+      <iframe src="https://evil.example.com"></iframe>
+      <svg onload="alert(1)"><script>alert(2)</script></svg>
+      <form action="/x"><input name="q"><button>go</button></form>
+      <p>after</p></div>`);
+  assert.doesNotMatch(out, /script|style|alert|iframe|svg|form|input|button|track\.gif|display/i);
+  assert.match(out, /<p>before<\/p>/);
+  assert.match(out, /<p>after<\/p>/);
+});
+
+test('unknown wrappers are unwrapped and legacy tags renamed', () => {
+  assert.equal(clean('<div><span><b>B</b> <i>I</i></span></div>'), '<strong>B</strong> <em>I</em>');
+  assert.equal(clean('<h1>Title</h1>'), '<h2>Title</h2>');
+  assert.equal(clean('<p> &nbsp; </p><p><br></p><p>x</p>'), '<p>x</p>');
+});
+
+test('attribute values and text are escaped', () => {
+  assert.equal(
+    clean('<a href="https://example.com/?q=1&amp;r=2" title="say &quot;hi&quot; <b>&amp; bye">x</a>'),
+    '<a href="https://example.com/?q=1&amp;r=2" title="say &quot;hi&quot; &lt;b&gt;&amp; bye" rel="noopener nofollow" target="_blank">x</a>',
+  );
+  assert.equal(
+    clean('<img src="https://cdn.example.com/a.jpg" alt="&quot; onerror=&quot;alert(1)">'),
+    '<img src="https://cdn.example.com/a.jpg" alt="&quot; onerror=&quot;alert(1)">',
+  );
+  assert.equal(clean('<p>1 &lt; 2 &amp;&amp; &lt;script&gt;</p>'), '<p>1 &lt; 2 &amp;&amp; &lt;script&gt;</p>');
+});
+
+test('blocks: paragraphs, headings, quotes and inline runs', () => {
+  const blocks = buildBlocks(clean('lead <strong>text</strong><h3> Sub </h3><blockquote>Q <em>1</em></blockquote><p>end</p>'));
+  assert.deepEqual(blocks, [
+    { type: 'paragraph', html: 'lead <strong>text</strong>', text: 'lead text' },
+    { type: 'heading', level: 3, text: 'Sub' },
+    { type: 'quote', html: 'Q <em>1</em>', text: 'Q 1' },
+    { type: 'paragraph', html: 'end', text: 'end' },
+  ]);
+});
+
+test('blocks: ordered and unordered lists skip empty items', () => {
+  const blocks = buildBlocks(clean('<ul><li>one</li><li> </li><li><b>two</b></li></ul><ol start="3"><li>three</li></ol>'));
+  assert.deepEqual(blocks, [
+    { type: 'list', ordered: false, items: [{ html: 'one', text: 'one' }, { html: '<strong>two</strong>', text: 'two' }] },
+    { type: 'list', ordered: true, items: [{ html: 'three', text: 'three' }] },
+  ]);
+});
+
+test('blocks: tables with thead, with a th first row, and inside figures', () => {
+  const [withHead, thRow, figure] = buildBlocks(clean(`
+    <table><caption>Rates</caption><thead><tr><th>Pair</th><th>Bid</th></tr></thead>
+      <tbody><tr><td>EUR/USD</td><td>1.08</td></tr><tr><td></td><td></td></tr></tbody></table>
+    <table><tr><th>A</th><th>B</th></tr><tr><td>1</td><td>2</td></tr></table>
+    <figure><table><tr><td>x</td></tr></table><figcaption>Source: BI</figcaption></figure>`));
+  assert.deepEqual(withHead, { type: 'table', caption: 'Rates', header: ['Pair', 'Bid'], rows: [['EUR/USD', '1.08']] });
+  assert.deepEqual(thRow, { type: 'table', caption: null, header: ['A', 'B'], rows: [['1', '2']] });
+  assert.deepEqual(figure, { type: 'table', caption: 'Source: BI', header: null, rows: [['x']] });
+});
+
+test('blocks: images standalone, inside paragraphs and in figures', () => {
+  const blocks = buildBlocks(clean(`
+    <p>Gold rallies<img src="/img/gold.jpg" alt="Gold" width="800" height="450"></p>
+    <figure><img src="https://cdn.example.com/chart.png"><figcaption> Chart </figcaption></figure>
+    <img src="/img/solo.jpg">`));
+  assert.deepEqual(blocks, [
+    { type: 'paragraph', html: 'Gold rallies', text: 'Gold rallies' },
+    { type: 'image', src: 'https://www.newsmaker.id/img/gold.jpg', alt: 'Gold', caption: null, width: 800, height: 450 },
+    { type: 'image', src: 'https://cdn.example.com/chart.png', alt: null, caption: 'Chart', width: null, height: null },
+    { type: 'image', src: 'https://www.newsmaker.id/img/solo.jpg', alt: null, caption: null, width: null, height: null },
+  ]);
+});
+
+test('parseArticleBody returns the sanitized html and its blocks', () => {
+  const { html, blocks } = parseArticleBody('<p onclick="x()">Hi <script>bad()</script></p>', { baseUrl: BASE });
+  assert.equal(html, '<p>Hi </p>');
+  assert.deepEqual(blocks, [{ type: 'paragraph', html: 'Hi', text: 'Hi' }]);
+});
@@ -0,0 +1,63 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Redis = require('ioredis-mock');
+const { createImageStore, resolveVariant } = require('../services/images');
+
+let sharp = null;
+try { sharp = require('sharp'); } catch { }
+
+const tmpDir = () => fs.mkdtempSync(path.join(os.tmpdir(), 'nm-images-'));
+const fakeAxios = (body) => {
+  const calls = [];
+  return { calls, get: async (url) => { calls.push(url); return { data: body }; } };
+};
+
+test('resolveVariant rounds widths up to the allowed list', () => {
+  assert.deepEqual(resolveVariant('thumb'), { key: 'thumb', width: 160 });
+  assert.deepEqual(resolveVariant('300'), { key: 'w320', width: 320 });
+  assert.deepEqual(resolveVariant('99999'), { key: 'w1440', width: 1440 });
+  assert.equal(resolveVariant('nope').key, 'card');
+});
+
+test('without sharp: ingest keeps the hot-linked image and placeholders are SVG', async () => {
+  const axios = fakeAxios(Buffer.from('x'));
+  const store = createImageStore({ dir: tmpDir(), axios, redis: new Redis(), sharp: null });
+  assert.equal(store.available(), false);
+  assert.equal(await store.ingest('https://example.com/a.jpg'), null);
+  assert.equal(axios.calls.length, 0, 'nothing downloaded');
+
+  const ph = await store.placeholder('commodity', 'Commodity <&>', 'card');
+  assert.equal(ph.format, 'svg+xml');
+  const svg = ph.body.toString();
+  assert.match(svg, /width="480" height="270"/);
+  assert.match(svg, /#8a5a14/);
+  assert.match(svg, /Commodity &lt;&amp;&gt;/);
+  assert.equal(await store.variant('f'.repeat(64), 'card'), null);
+});
+
+test('with sharp: ingest stores the original and renders resized variants', { skip: !sharp && 'sharp not installed' }, async () => {
+  const png = await sharp({ create: { width: 800, height: 400, channels: 3, background: '#336699' } }).png().toBuffer();
+  const axios = fakeAxios(png);
+  const redis = new Redis();
+  const store = createImageStore({ dir: tmpDir(), axios, redis });
+
+  const hash = await store.ingest('https://example.com/chart.png');
+  assert.match(hash, /^[a-f0-9]{64}$/);
+  assert.equal(await store.ingest('https://example.com/chart.png'), hash);
+  assert.equal(axios.calls.length, 1, 'second ingest served from the redis source map');
+  const meta = await store.readMeta(hash);
+  assert.deepEqual([meta.format, meta.width, meta.height, meta.bytes], ['png', 800, 400, png.length]);
+
+  const thumb = await store.variant(hash, 'thumb', 'webp');
+  assert.equal(thumb.format, 'webp');
+  assert.equal((await sharp(thumb.body).metadata()).width, 160);
+  const push = await store.variant(hash, 'push', 'webp');
+  assert.equal(push.format, 'jpeg');
+  assert.deepEqual(await sharp(push.body).metadata().then((m) => [m.width, m.height]), [1024, 512]);
+
+  const ph = await store.placeholder('crypto', 'Crypto', 'thumb');
+  assert.equal(ph.format, 'jpeg');
+});
@@ -0,0 +1,43 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const Redis = require('ioredis-mock');
+const { createJobQueue } = require('../services/queue');
+const { registerJobRun, scrapeJob } = require('../services/jobRuns');
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+test('polling a running scrape job shows moving counts, then the final summary', async () => {
+  const q = createJobQueue(new Redis(), { prefix: 'tjr', progressMs: 20 });
+  q.define('news', scrapeJob(async ({ lang }) => {
+    // sama seperti trackScrapeRun: counter run didaftarkan ke job, lalu diisi scraper
+    const stats = { pages_fetched: 0, items_found: 0, items_new: 0, items_updated: 0, waf_hits: 0, error_count: 0 };
+    registerJobRun({ job: 'news', scope: lang, run_id: 7, stats });
+    for (let page = 0; page < 6; page++) {
+      await sleep(40);
+      stats.pages_fetched++;
+      stats.items_found += 10;
+    }
+    stats.items_new = 4;
+  }, { tickMs: 20 }));
+
+  const { job } = await q.enqueue('news', { lang: 'en' });
+  const seen = [];
+  let done = null;
+  for (let i = 0; i < 200 && !done; i++) {
+    const j = await q.getJob(job.id);
+    if (j.state === 'active' && j.progress?.length) seen.push(j.progress[0].pages_fetched);
+    if (j.state === 'completed') done = j;
+    await sleep(15);
+  }
+
+  const distinct = [...new Set(seen)];
+  assert.ok(distinct.length >= 3, `expected progress to move while active, saw ${JSON.stringify(seen)}`);
+  assert.deepEqual(distinct, [...distinct].sort((a, b) => a - b));
+  assert.ok(done, 'job completed');
+  assert.deepEqual(done.progress, [{ job: 'news', scope: 'en', run_id: 7, pages_fetched: 6, items_found: 60, items_new: 4, items_updated: 0, waf_hits: 0, error_count: 0 }]);
+  assert.deepEqual(done.result, { runs: 1, items_found: 60, items_new: 4, items_updated: 0 });
+});
+
+test('registerJobRun outside a job is a no-op', () => {
+  assert.doesNotThrow(() => registerJobRun({ job: 'news', stats: {} }));
+});
@@ -0,0 +1,136 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const Sequelize = require('sequelize');
+const { sequelize } = require('../models');
+const { MIGRATIONS_DIR, migrationFiles, pendingMigrations } = require('../services/schemaMigrations');
+
+const migrations = migrationFiles().map((name) => ({ name, ...require(path.join(MIGRATIONS_DIR, name)) }));
+
+// queryInterface di memori: cukup untuk helper di services/schemaMigrations.js + createTable/dropTable
+function fakeQueryInterface() {
+  const tables = new Map();
+  const calls = [];
+  const get = (t) => {
+    if (!tables.has(t)) throw new Error(`No description found for "${t}" table`);
+    return tables.get(t);
+  };
+  return {
+    tables,
+    calls,
+    async describeTable(t) { return { ...get(t).columns }; },
+    async showIndex(t) { return get(t).indexes.map((i) => ({ ...i })); },
+    async createTable(t, columns) {
+      if (tables.has(t)) throw new Error(`table ${t} exists`);
+      calls.push(`createTable ${t}`);
+      tables.set(t, { columns: { ...columns }, indexes: [] });
+    },
+    async dropTable(t) { calls.push(`dropTable ${t}`); get(t); tables.delete(t); },
+    async addColumn(t, c, spec) {
+      if (get(t).columns[c]) throw new Error(`column ${t}.${c} exists`);
+      calls.push(`addColumn ${t}.${c}`);
+      get(t).columns[c] = spec;
+    },
+    async removeColumn(t, c) { calls.push(`removeColumn ${t}.${c}`); delete get(t).columns[c]; },
+    async addIndex(t, fields, options) {
+      const table = get(t);
+      for (const f of fields) assert.ok(table.columns[f], `index ${options.name} on missing column ${t}.${f}`);
+      assert.ok(!table.indexes.some((i) => i.name === options.name), `index ${options.name} exists`);
+      calls.push(`addIndex ${t}.${options.name}`);
+      table.indexes.push({ name: options.name, fields, unique: !!options.unique, type: options.type || '' });
+    },
+    async removeIndex(t, name) {
+      calls.push(`removeIndex ${t}.${name}`);
+      get(t).indexes = get(t).indexes.filter((i) => i.name !== name);
+    },
+  };
+}
+
+async function migrateUp(qi) {
+  for (const m of migrations) await m.up(qi, Sequelize);
+}
+
+const typeOf = (t) => (typeof t === 'function' ? new t() : t);
+const sqlType = (t) => (typeOf(t).key === 'ENUM' ? `ENUM(${typeOf(t).values.join(',')})` : typeOf(t).toSql());
+
+test('migration files follow the sequelize-cli timestamp naming', () => {
+  assert.ok(migrations.length >= 1);
+  for (const m of migrations) {
+    assert.match(m.name, /^\d{14}-[a-z0-9-]+\.js$/);
+    assert.equal(typeof m.up, 'function', m.name);
+    assert.equal(typeof m.down, 'function', m.name);
+  }
+});
+
+test('migrations on an empty DB produce every model column and index', async () => {
+  const qi = fakeQueryInterface();
+  await migrateUp(qi);
+
+  for (const model of Object.values(sequelize.models)) {
+    const tableName = model.getTableName();
+    const table = qi.tables.get(tableName);
+    assert.ok(table, `table ${tableName}`);
+
+    const fields = new Set();
+    for (const [name, attr] of Object.entries(model.rawAttributes)) {
+      const field = attr.field || name;
+      fields.add(field);
+      const col = table.columns[field];
+      assert.ok(col, `column ${tableName}.${field}`);
+      assert.equal(sqlType(col.type), sqlType(attr.type), `type of ${tableName}.${field}`);
+      assert.equal(col.allowNull !== false, attr.allowNull !== false, `allowNull of ${tableName}.${field}`);
+      assert.equal(!!col.unique, !!attr.unique, `unique of ${tableName}.${field}`);
+      if (['string', 'number', 'boolean'].includes(typeof attr.defaultValue) && sqlType(attr.type) !== 'JSON') {
+        assert.equal(col.defaultValue, attr.defaultValue, `default of ${tableName}.${field}`);
+      }
+    }
+    assert.deepEqual(Object.keys(table.columns).filter((c) => !fields.has(c)), [], `columns in ${tableName} without a model attribute`);
+
+    const want = model._indexes.map((i) => ({ name: i.name, fields: i.fields, unique: !!i.unique, type: i.type || '' }));
+    const byName = (a, b) => a.name.localeCompare(b.name);
+    assert.deepEqual([...table.indexes].sort(byName), [...want].sort(byName), `indexes of ${tableName}`);
+  }
+  assert.deepEqual([...qi.tables.keys()].sort(), Object.values(sequelize.models).map((m) => m.getTableName()).sort());
+});
+
+test('migrations only record a schema that sync() already built', async () => {
+  const qi = fakeQueryInterface();
+  await migrateUp(qi);
+  qi.calls.length = 0;
+  await migrateUp(qi);
+  assert.deepEqual(qi.calls, []);
+});
+
+test('an old DB with only the original tables gets just the new columns, indexes and tables', async () => {
+  const qi = fakeQueryInterface();
+  await migrations[0].up(qi, Sequelize);
+  qi.calls.length = 0;
+  for (const m of migrations.slice(1)) await m.up(qi, Sequelize);
+  assert.ok(qi.calls.includes('addColumn news.category_id'));
+  assert.ok(qi.calls.includes('addIndex news.ft_news_text'));
+  assert.ok(qi.calls.includes('createTable news_lang_reviews'));
+  assert.ok(!qi.calls.some((c) => c === 'createTable news' || c === 'createTable historical_data'));
+});
+
+test('down in reverse order removes everything', async () => {
+  const qi = fakeQueryInterface();
+  await migrateUp(qi);
+  for (const m of [...migrations].reverse()) await m.down(qi, Sequelize);
+  assert.equal(qi.tables.size, 0);
+});
+
+test('pendingMigrations compares the folder with SequelizeMeta', async () => {
+  const files = migrationFiles();
+  const fakeDb = (metaRows) => ({
+    getQueryInterface: () => ({
+      describeTable: async (t) => {
+        if (t !== 'SequelizeMeta' || !metaRows) throw new Error('no table');
+        return { name: {} };
+      },
+    }),
+    query: async () => [metaRows.map((name) => ({ name }))],
+  });
+  assert.deepEqual(await pendingMigrations(fakeDb(null)), files);
+  assert.deepEqual(await pendingMigrations(fakeDb(files.slice(0, 2))), files.slice(2));
+  assert.deepEqual(await pendingMigrations(fakeDb(files)), []);
+});
@@ -0,0 +1,140 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Redis = require('ioredis-mock');
+const { defineSource } = require('../sources');
+const { createNewsCollector, scrapeHwmKey } = require('../services/newsCollector');
+
+for (const m of ['log', 'warn']) mock.method(console, m, () => { });
+
+const HOUR = 3600 * 1000;
+const T0 = Date.UTC(2024, 5, 10, 12);
+// halaman listing: item terbaru dulu, link /a<page>-<i>
+const makePages = (n, perPage = 3) => Array.from({ length: n }, (_, p) => Array.from({ length: perPage }, (_, i) => {
+  const k = p * perPage + i;
+  return { title: `Item ${k}`, link: `https://stub.example.com/a${p}-${i}`, publishedAt: new Date(T0 - k * HOUR) };
+}));
+
+// ioredis-mock berbagi data antar instance → id source unik per test
+let seq = 0;
+
+function setup({ pages, known = new Set(), failDetail = new Set(), notModified = new Set(), blocked = new Set(), maxEmptyPages = 2 }) {
+  const redis = new Redis();
+  const id = `stub${++seq}`;
+  const fetched = [];
+  const source = defineSource({
+    id,
+    name: 'Stub',
+    languages: ['en'],
+    rateLimit: { concurrency: 2, pageDelayMs: 0, maxEmptyPages, maxPages: 10 },
+    listings: () => [{ key: 'all', pageUrl: (p) => (p < pages.length ? `https://stub.example.com/list/${p}` : null) }],
+    async fetchListing(url) {
+      fetched.push(url);
+      if (notModified.has(url)) return { items: [], notModified: true };
+      if (blocked.has(url)) return { items: [], blocked: true };
+      const items = pages[+url.split('/').pop()];
+      return { items, commit: () => redis.set(`etag:${id}:${url}`, 'v1') };
+    },
+    async fetchDetail(it) {
+      if (failDetail.has(it.link)) throw new Error('socket hang up');
+      return { text: `Body of ${it.title}` };
+    },
+  });
+  const collector = createNewsCollector({
+    redis,
+    findKnownLinks: async (lang, links) => new Set(links.filter((l) => known.has(l))),
+    listingChanged: () => false,
+    toNewsItem: (it, detail, src, lang) => ({ ...it, detail: detail?.text || '', language: lang }),
+    needsLangReview: () => false,
+    queueLangReviews: async () => { },
+    sleep: async () => { },
+  });
+  const run = async () => {
+    const ctx = { recentByLink: new Map(), seenLinks: new Set(), commits: [] };
+    const items = await collector.collectSourceItems(source, 'en', ctx);
+    for (const commit of ctx.commits) await commit();
+    return items;
+  };
+  const etagKeys = async () => (await redis.keys(`etag:${id}:*`)).map((k) => k.slice(`etag:${id}:`.length)).sort();
+  return { redis, fetched, run, etagKeys, hwmKey: scrapeHwmKey(id, 'en', 'all') };
+}
+
+test('a failing detail fetch keeps the other items but leaves the HWM and ETag keys unset', async () => {
+  const pages = makePages(2);
+  const { redis, run, etagKeys, hwmKey } = setup({ pages, failDetail: new Set([pages[0][1].link]), known: new Set(pages[1].map((it) => it.link)) });
+  const items = await run();
+  assert.deepEqual(items.map((it) => it.link), [pages[0][0].link, pages[0][2].link]);
+  assert.equal(await redis.get(hwmKey), null);
+  assert.deepEqual(await etagKeys(), []);
+});
+
+test('a failure on a later page also holds back the page-0 commits', async () => {
+  const pages = makePages(3);
+  const { redis, run, etagKeys, hwmKey } = setup({ pages, failDetail: new Set([pages[1][0].link]) });
+  const items = await run();
+  assert.equal(items.length, 8);
+  assert.equal(await redis.get(hwmKey), null);
+  assert.deepEqual(await etagKeys(), []);
+});
+
+test('a blocked page counts as failed', async () => {
+  const pages = makePages(2);
+  const { redis, run, hwmKey } = setup({ pages, blocked: new Set(['https://stub.example.com/list/1']) });
+  await run();
+  assert.equal(await redis.get(hwmKey), null);
+});
+
+test('a clean run commits the ETags and the newest item as HWM', async () => {
+  const pages = makePages(2);
+  const { redis, run, etagKeys, hwmKey } = setup({ pages });
+  const items = await run();
+  assert.equal(items.length, 6);
+  assert.deepEqual(JSON.parse(await redis.get(hwmKey)), { link: pages[0][0].link, publishedAt: pages[0][0].publishedAt.toISOString() });
+  assert.deepEqual(await etagKeys(), ['https://stub.example.com/list/0', 'https://stub.example.com/list/1']);
+});
+
+test('stops at the page holding the high-water mark', async () => {
+  const pages = makePages(5);
+  const { redis, fetched, run, hwmKey } = setup({ pages });
+  await redis.set(hwmKey, JSON.stringify({ link: pages[1][1].link, publishedAt: pages[1][1].publishedAt }));
+  const items = await run();
+  assert.equal(fetched.length, 2);
+  // item di atas mark ikut diambil; sisa halaman itu (lebih lama dari mark) juga, karena belum dikenal
+  assert.ok(items.some((it) => it.link === pages[1][0].link));
+  assert.equal(JSON.parse(await redis.get(hwmKey)).link, pages[0][0].link);
+});
+
+test('an older publishedAt than the mark also stops the listing', async () => {
+  const pages = makePages(5);
+  const { redis, fetched, run, hwmKey } = setup({ pages });
+  await redis.set(hwmKey, JSON.stringify({ link: 'https://stub.example.com/deleted', publishedAt: new Date(T0 - 4.5 * HOUR) }));
+  await run();
+  assert.equal(fetched.length, 2);
+});
+
+test('a 304 on page 0 stops the listing without committing anything', async () => {
+  const pages = makePages(3);
+  const { redis, fetched, run, hwmKey } = setup({ pages, notModified: new Set(['https://stub.example.com/list/0']) });
+  assert.deepEqual(await run(), []);
+  assert.equal(fetched.length, 1);
+  assert.equal(await redis.get(hwmKey), null);
+});
+
+test('first run without a mark stops after one full page of known items', async () => {
+  const pages = makePages(4);
+  const known = new Set([...pages[1], ...pages[2], ...pages[3]].map((it) => it.link));
+  const { redis, fetched, run, hwmKey } = setup({ pages, known });
+  const items = await run();
+  assert.equal(items.length, 3);
+  assert.equal(fetched.length, 2);
+  assert.equal(JSON.parse(await redis.get(hwmKey)).link, pages[0][0].link);
+});
+
+test('with a mark that never shows up, maxEmptyPages known pages in a row end the listing', async () => {
+  const pages = makePages(8);
+  const known = new Set(pages.slice(1).flat().map((it) => it.link));
+  const { redis, fetched, run, hwmKey } = setup({ pages, known, maxEmptyPages: 3 });
+  await redis.set(hwmKey, JSON.stringify({ link: 'https://stub.example.com/deleted', publishedAt: null }));
+  const items = await run();
+  assert.equal(items.length, 3);
+  assert.equal(fetched.length, 4);
+});
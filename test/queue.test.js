@@ -0,0 +1,152 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Redis = require('ioredis-mock');
+const { createJobQueue, JobDeferredError } = require('../services/queue');
+
+// log antrean (emoji) tidak perlu di output test
+for (const m of ['log', 'warn', 'error']) mock.method(console, m, () => { });
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+let seq = 0;
+const newQueue = (opts = {}) => createJobQueue(new Redis(), { prefix: `tq${++seq}`, ...opts });
+
+async function waitForState(q, id, state, timeoutMs = 2000) {
+  const until = Date.now() + timeoutMs;
+  for (;;) {
+    const job = await q.getJob(id);
+    if (job?.state === state) return job;
+    if (Date.now() > until) throw new Error(`job ${id} still ${job?.state}, expected ${state}`);
+    await sleep(10);
+  }
+}
+
+test('ctx.progress is persisted while the job is still running', async () => {
+  const q = newQueue({ progressMs: 50 });
+  let release;
+  const gate = new Promise((r) => { release = r; });
+  q.define('work', async (payload, ctx) => {
+    ctx.progress({ items: 1 });
+    await sleep(10);
+    ctx.progress({ items: 2 });
+    await gate;
+    ctx.progress({ items: 3 });
+    return { ok: true };
+  }, { visibilityMs: 60_000 });
+
+  const { job } = await q.enqueue('work');
+  await sleep(120);
+  const running = await q.getJob(job.id);
+  assert.equal(running.state, 'active');
+  assert.deepEqual(running.progress, { items: 2 });
+
+  release();
+  const done = await waitForState(q, job.id, 'completed');
+  assert.deepEqual(done.progress, { items: 3 });
+  assert.deepEqual(done.result, { ok: true });
+});
+
+test('progress writes are throttled and never overwrite the final state', async () => {
+  const redis = new Redis();
+  const q = createJobQueue(redis, { prefix: `tq${++seq}`, progressMs: 1000 });
+  let sets = 0;
+  const origSet = redis.set.bind(redis);
+  redis.set = (...args) => { if (String(args[0]).includes(':job:')) sets++; return origSet(...args); };
+  q.define('burst', async (payload, ctx) => {
+    for (let i = 1; i <= 50; i++) ctx.progress({ i });
+    return 'done';
+  });
+
+  const { job } = await q.enqueue('burst');
+  const done = await waitForState(q, job.id, 'completed');
+  await sleep(50);
+  assert.equal((await q.getJob(job.id)).state, 'completed');
+  assert.deepEqual(done.progress, { i: 50 });
+  assert.ok(await redis.ttl(`tq${seq}:job:${job.id}`) > 0, 'completed job keeps its TTL');
+  // enqueue + start + 1 progress flush + final save
+  assert.ok(sets <= 4, `expected ≤ 4 job writes, got ${sets}`);
+});
+
+test('a deferred job is rescheduled without using an attempt or reaching dead-letter', async () => {
+  const q = newQueue({ pollMs: 10 });
+  let calls = 0;
+  q.define('locked', async () => {
+    calls++;
+    if (calls <= 3) throw new JobDeferredError('lock busy', 20);
+    return 'ran';
+  }, { maxAttempts: 1 });
+  q.start();
+  try {
+    const { job } = await q.enqueue('locked');
+    const done = await waitForState(q, job.id, 'completed');
+    assert.equal(done.result, 'ran');
+    assert.equal(done.attempts, 1);
+    assert.equal(done.deferrals, 3);
+    assert.deepEqual(done.errors, []);
+    const [stats] = await q.stats();
+    assert.equal(stats.dead, 0);
+    assert.deepEqual(stats.totals, { completed: 1, failed: 0, dead: 0, deferred: 3 });
+  } finally {
+    q.stop();
+  }
+});
+
+test('real errors still retry and end in dead-letter', async () => {
+  const q = newQueue({ pollMs: 10 });
+  q.define('broken', async () => { throw new Error('boom'); }, { maxAttempts: 2, backoffMs: 10 });
+  q.start();
+  try {
+    const { job } = await q.enqueue('broken');
+    const dead = await waitForState(q, job.id, 'dead');
+    assert.equal(dead.attempts, 2);
+    assert.equal(dead.lastError, 'boom');
+    assert.equal((await q.list('broken', 'dead')).length, 1);
+  } finally {
+    q.stop();
+  }
+});
+
+test('a redis error while promoting leaves the job in the delayed set, never orphaned', async () => {
+  const redis = new Redis();
+  const q = createJobQueue(redis, { prefix: `tq${++seq}`, pollMs: 10 });
+  let runs = 0;
+  q.define('later', async () => { runs++; });
+  const { job } = await q.enqueue('later', {}, { dedupeKey: 'later', delayMs: 20 });
+
+  const evalMock = mock.method(redis, 'eval', async () => { throw new Error('connection lost'); });
+  q.start();
+  try {
+    await sleep(80);
+    assert.equal(runs, 0);
+    assert.equal((await q.getJob(job.id)).state, 'delayed');
+    assert.deepEqual((await q.list('later', 'delayed')).map((j) => j.id), [job.id]);
+
+    evalMock.mock.restore();
+    await waitForState(q, job.id, 'completed');
+    assert.equal(runs, 1);
+    // dedupe dilepas setelah selesai → enqueue baru benar-benar job baru
+    assert.notEqual((await q.enqueue('later', {}, { dedupeKey: 'later' })).job.id, job.id);
+  } finally {
+    q.stop();
+  }
+});
+
+test('the reaper moves a stalled active job back to pending in one step', async () => {
+  const redis = new Redis();
+  const prefix = `tq${++seq}`;
+  const q = createJobQueue(redis, { prefix, pollMs: 10 });
+  q.define('stalled', async () => 'done');
+  const { job } = await q.enqueue('stalled');
+  // simulasi worker yang mati di tengah run: job di list active, lockedUntil sudah lewat
+  await redis.rpoplpush(`${prefix}:stalled:pending`, `${prefix}:stalled:active`);
+  await redis.set(`${prefix}:job:${job.id}`, JSON.stringify({ ...job, state: 'active', attempts: 1, lockedUntil: Date.now() - 1 }));
+
+  q.start();
+  try {
+    const done = await waitForState(q, job.id, 'completed');
+    assert.equal(done.result, 'done');
+    assert.match(done.errors[0].message, /requeued/);
+    assert.equal(await redis.llen(`${prefix}:stalled:active`), 0);
+  } finally {
+    q.stop();
+  }
+});
@@ -0,0 +1,135 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseCron, cronMatches, zonedParts, parseWindow, skipReason, loadScheduleConfig, nextRun } = require('../services/schedule');
+
+const sorted = (set) => [...set].sort((a, b) => a - b);
+// 2024-06-03 = Senin, 2024-06-08 = Sabtu, 2024-06-09 = Minggu
+const at = (dow, hour, minute = 0, dom = 3 + ((dow + 6) % 7), month = 6) => ({ minute, hour, dom, month, dow });
+
+const writeConfig = (conf) => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'nm-schedule-')), 'schedule.json');
+  fs.writeFileSync(file, JSON.stringify(conf));
+  return file;
+};
+const entryOf = (cfg, name) => cfg.entries.find((e) => e.name === name);
+
+test('cron ranges, steps and lists', () => {
+  assert.deepEqual(sorted(parseCron('*/15 * * * *').minute), [0, 15, 30, 45]);
+  assert.deepEqual(sorted(parseCron('3-59/15 * * * *').minute), [3, 18, 33, 48]);
+  assert.deepEqual(sorted(parseCron('5/20 * * * *').minute), [5, 25, 45]);
+  assert.deepEqual(sorted(parseCron('0 8-11,14,20-23/2 * * *').hour), [8, 9, 10, 11, 14, 20, 22]);
+  assert.deepEqual(sorted(parseCron('0 0 1,15 jan-mar *').month), [1, 2, 3]);
+  assert.deepEqual(sorted(parseCron('@daily').hour), [0]);
+
+  for (const bad of ['* * * *', '60 * * * *', '*/0 * * * *', '5-1 * * * *', '0 0 * * funday']) {
+    assert.throws(() => parseCron(bad), Error, bad);
+  }
+});
+
+test('day-of-week 0 and 7 both mean Sunday', () => {
+  for (const expr of ['0 9 * * 0', '0 9 * * 7', '0 9 * * sun', '0 9 * * 5-7']) {
+    const cron = parseCron(expr);
+    assert.ok(cron.dow.has(0), expr);
+    assert.ok(!cron.dow.has(7), expr);
+    assert.ok(cronMatches(cron, at(0, 9)), `${expr} matches Sunday`);
+  }
+  assert.ok(!cronMatches(parseCron('0 9 * * 7'), at(6, 9)));
+  assert.deepEqual(sorted(parseCron('0 9 * * 5-7').dow), [0, 5, 6]);
+  assert.deepEqual(sorted(parseCron('0 9 * * mon-fri').dow), [1, 2, 3, 4, 5]);
+});
+
+test('dom and dow both restricted: either one matching is enough', () => {
+  const cron = parseCron('0 9 1 * mon');
+  assert.ok(cronMatches(cron, { minute: 0, hour: 9, dom: 1, month: 6, dow: 6 }));
+  assert.ok(cronMatches(cron, { minute: 0, hour: 9, dom: 3, month: 6, dow: 1 }));
+  assert.ok(!cronMatches(cron, { minute: 0, hour: 9, dom: 4, month: 6, dow: 2 }));
+  // hanya dow dibatasi → dom "*" tidak membuat semua hari cocok
+  assert.ok(!cronMatches(parseCron('0 9 * * mon'), { minute: 0, hour: 9, dom: 4, month: 6, dow: 2 }));
+});
+
+test('zonedParts evaluates in the schedule time zone', () => {
+  // Minggu 2024-06-09 18:30 UTC = Senin 01:30 WIB
+  const t = zonedParts(new Date('2024-06-09T18:30:00Z'), 'Asia/Jakarta');
+  assert.deepEqual(t, { minute: 30, hour: 1, dom: 10, month: 6, dow: 1, ymd: '2024-06-10' });
+});
+
+test('config file without skipWeekends skips weekends for every job except news', () => {
+  const cfg = loadScheduleConfig({ SCHEDULE_CONFIG: writeConfig({ jobs: { extra: { job: 'historical', cron: '0 * * * *' } } }) });
+  const sat = at(6, 10);
+  for (const name of ['calendar-today', 'calendar-next', 'historical', 'extra']) {
+    assert.equal(skipReason(entryOf(cfg, name), sat), 'weekend', name);
+    assert.equal(skipReason(entryOf(cfg, name), at(0, 10)), 'weekend', name);
+    assert.equal(skipReason(entryOf(cfg, name), at(1, 10)), null, name);
+  }
+  for (const name of ['news-en', 'news-id', 'news-recheck', 'scrape-runs-cleanup']) {
+    assert.equal(skipReason(entryOf(cfg, name), sat), null, name);
+  }
+});
+
+test('skipWeekends can be turned off globally or per job', () => {
+  const off = loadScheduleConfig({ SCHEDULE_CONFIG: writeConfig({ skipWeekends: false }) });
+  assert.equal(skipReason(entryOf(off, 'historical'), at(6, 10)), null);
+
+  const perJob = loadScheduleConfig({ SCHEDULE_CONFIG: writeConfig({ jobs: { historical: { skipWeekends: false } } }) });
+  assert.equal(skipReason(entryOf(perJob, 'historical'), at(6, 10)), null);
+  assert.equal(skipReason(entryOf(perJob, 'calendar-today'), at(6, 10)), 'weekend');
+
+  const env = loadScheduleConfig({ SCHEDULE_SKIP_WEEKENDS: 'off', SCHEDULE_CONFIG: writeConfig({ skipWeekends: true }) });
+  assert.equal(skipReason(entryOf(env, 'historical'), at(0, 10)), null);
+});
+
+test('env overrides cron and can disable a job', () => {
+  const cfg = loadScheduleConfig({ SCHEDULE_NEWS_EN: '*/10 * * * *', SCHEDULE_HISTORICAL: 'off' });
+  assert.deepEqual(sorted(entryOf(cfg, 'news-en').cron.minute), [0, 10, 20, 30, 40, 50]);
+  assert.equal(entryOf(cfg, 'historical'), undefined);
+});
+
+test('invalid entries are skipped with a warning', (t) => {
+  const warn = t.mock.method(console, 'warn', () => { });
+  const cfg = loadScheduleConfig({ SCHEDULE_CONFIG: writeConfig({ jobs: { broken: { job: 'historical', cron: 'nope' } } }) });
+  assert.equal(entryOf(cfg, 'broken'), undefined);
+  assert.ok(entryOf(cfg, 'news-en'));
+  assert.equal(warn.mock.callCount(), 1);
+});
+
+test('quiet windows crossing midnight belong to the day they start', () => {
+  const w = parseWindow('fri 23:00-06:00');
+  assert.deepEqual({ start: w.start, end: w.end }, { start: 23 * 60, end: 6 * 60 });
+  const entry = { skipWeekends: false, quiet: [w] };
+  assert.equal(skipReason(entry, at(5, 23, 0)), 'quiet fri 23:00-06:00');
+  assert.equal(skipReason(entry, at(6, 0, 0)), 'quiet fri 23:00-06:00');
+  assert.equal(skipReason(entry, at(6, 5, 59)), 'quiet fri 23:00-06:00');
+  assert.equal(skipReason(entry, at(6, 6, 0)), null);
+  assert.equal(skipReason(entry, at(5, 22, 59)), null);
+  // Kamis malam / Jumat dini hari bukan bagian window
+  assert.equal(skipReason(entry, at(4, 23, 30)), null);
+  assert.equal(skipReason(entry, at(5, 3, 0)), null);
+  // Minggu 23:00 → Senin pagi: hari mulai Minggu (0), pagi milik Senin
+  const sun = { skipWeekends: false, quiet: [parseWindow('sun 23:00-02:00')] };
+  assert.ok(skipReason(sun, at(1, 1, 0)));
+  assert.equal(skipReason(sun, at(0, 1, 0)), null);
+});
+
+test('quiet windows without days apply every day, same-day windows are half-open', () => {
+  const entry = { skipWeekends: false, quiet: [parseWindow('22:30-01:15'), parseWindow('mon-fri 12:00-13:00')] };
+  for (const dow of [0, 3, 6]) {
+    assert.ok(skipReason(entry, at(dow, 22, 30)));
+    assert.ok(skipReason(entry, at(dow, 1, 14)));
+    assert.equal(skipReason(entry, at(dow, 1, 15)), null);
+  }
+  assert.equal(skipReason(entry, at(2, 12, 0)), 'quiet mon-fri 12:00-13:00');
+  assert.equal(skipReason(entry, at(2, 13, 0)), null);
+  assert.equal(skipReason(entry, at(6, 12, 30)), null);
+  assert.throws(() => parseWindow('25:00-26:00'));
+  assert.throws(() => parseWindow('sometimes'));
+});
+
+test('nextRun skips the weekend and quiet windows', () => {
+  const entry = { cron: parseCron('0 */4 * * *'), skipWeekends: true, quiet: [parseWindow('mon 00:00-08:00')] };
+  // Jumat 2024-06-07 21:00 WIB → Sabtu/Minggu dilewati, Senin 00:00 & 04:00 quiet → Senin 08:00
+  const next = nextRun(entry, 'Asia/Jakarta', new Date('2024-06-07T14:00:00Z'));
+  assert.equal(next.toISOString(), '2024-06-10T01:00:00.000Z');
+});
@@ -0,0 +1,105 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { stem, stems, normalizeSearch, searchTerms, buildBooleanQuery, makeSnippet, escapeHtml } = require('../services/search');
+
+const stemAll = (words, lang) => Object.fromEntries(words.map((w) => [w, stem(w, lang)]));
+
+test('Indonesian: particles, possessives, suffixes and confixes', () => {
+  assert.deepEqual(stemAll(['harganya', 'melemahnya', 'naiklah', 'turunpun', 'bukukan', 'investasikan', 'kenaikan', 'pertumbuhan', 'perekonomian', 'pembangunan'], 'id'), {
+    harganya: 'harga',
+    melemahnya: 'lemah',
+    naiklah: 'naik',
+    turunpun: 'turun',
+    bukukan: 'buku',
+    investasikan: 'investasi',
+    kenaikan: 'naik',
+    pertumbuhan: 'tumbuh',
+    perekonomian: 'ekonomi',
+    pembangunan: 'bangun',
+  });
+});
+
+test('Indonesian: meN-/peN- allomorphs pick the prefix that fits the root', () => {
+  assert.deepEqual(stemAll(['menaikkan', 'dinaikkan', 'mendapatkan', 'menjual', 'membeli', 'bergerak', 'bekerja', 'terbesar'], 'id'), {
+    menaikkan: 'naik',
+    dinaikkan: 'naik',
+    mendapatkan: 'dapat',
+    menjual: 'jual',
+    membeli: 'membel', // sisa "bel" < 4 huruf → prefix dibiarkan
+    bergerak: 'gerak',
+    bekerja: 'kerja',
+    terbesar: 'besar',
+  });
+  // huruf luluh tidak direkonstruksi: lebih baik tidak di-stem daripada jadi "uat"
+  assert.equal(stem('menguat', 'id'), 'menguat');
+  assert.equal(stem('penguatan', 'id'), 'penguat');
+  // kata pendek / kata dasar tidak berubah
+  assert.deepEqual(stemAll(['emas', 'suku', 'bunga', 'saham'], 'id'), { emas: 'emas', suku: 'suku', bunga: 'bunga', saham: 'saham' });
+});
+
+test('English: plurals and -ing/-ed/-ly with a 4-letter floor', () => {
+  assert.deepEqual(stemAll(['prices', 'rallies', 'classes', 'cuts', 'gains', 'strongly', 'traded', 'raised', 'falling'], 'en'), {
+    prices: 'price',
+    rallies: 'rally',
+    classes: 'class',
+    cuts: 'cut',
+    gains: 'gain',
+    strongly: 'strong',
+    traded: 'trad',
+    raised: 'rais',
+    falling: 'fall',
+  });
+  // stem terlalu pendek → kata asli
+  assert.deepEqual(stemAll(['rising', 'bring', 'gas', 'bass', 'oil'], 'en'), { rising: 'rising', bring: 'bring', gas: 'gas', bass: 'bass', oil: 'oil' });
+});
+
+test('search terms drop stopwords, short tokens and duplicates per language', () => {
+  assert.deepEqual(searchTerms('The Gold, gold and GOLD prices of oil', 'en'), [
+    { word: 'gold', stem: 'gold' },
+    { word: 'prices', stem: 'price' },
+    { word: 'oil', stem: 'oil' },
+  ]);
+  assert.deepEqual(searchTerms('kenaikan harga emas dan yang di BI', 'id').map((t) => t.word), ['kenaikan', 'harga', 'emas']);
+  // stopword id tidak berlaku untuk en
+  assert.deepEqual(searchTerms('dan yang', 'en').map((t) => t.word), ['dan', 'yang']);
+  assert.deepEqual(stems('Harga emas naik, harganya terbesar', 'id'), ['harga', 'emas', 'naik', 'harga', 'besar']);
+  assert.equal(normalizeSearch('  Gold,  PRICES!! '), 'gold prices');
+});
+
+test('boolean query: boosted word plus stem prefix, operators and quotes stripped', () => {
+  assert.equal(buildBooleanQuery('gold prices', 'en'), 'gold* (>prices price*)');
+  assert.equal(buildBooleanQuery('kenaikan harga emas', 'id'), '(>kenaikan naik*) harga* emas*');
+  // operator BOOLEAN MODE dari input user tidak ikut ke query
+  assert.equal(
+    buildBooleanQuery('"Gold" +prices -falling <rally> (fed)* ~cut @2 \'oil\'', 'en'),
+    'gold* (>prices price*) (>falling fall*) rally* fed* cut* oil*',
+  );
+  assert.doesNotMatch(buildBooleanQuery('"a" "b" +-~<>()*@\'', 'en'), /\S/);
+  assert.equal(buildBooleanQuery('', 'id'), '');
+  assert.equal(buildBooleanQuery('the and of', 'en'), '');
+});
+
+test('snippet marks stems and words, escapes HTML and trims to word boundaries', () => {
+  const terms = searchTerms('price rallied', 'en');
+  const text = `${'Lorem ipsum dolor sit amet '.repeat(6)}Gold prices rallied after the data. ${'More filler text here '.repeat(8)}`;
+  // dipotong di batas kata (bukan "…et Lorem" / "filler te…")
+  assert.equal(makeSnippet([text], terms, { radius: 40 }),
+    '… amet Lorem ipsum dolor sit amet Gold <mark>prices</mark> <mark>rallied</mark> after the data. More filler …');
+
+  // kandidat pertama tanpa hit dilewati
+  assert.equal(makeSnippet(['nothing here', 'Rally in <b>gold</b> & "oil"'], searchTerms('rally', 'en')),
+    '<mark>Rally</mark> in &lt;b&gt;gold&lt;/b&gt; &amp; &quot;oil&quot;');
+  // hit di dalam kata lain tidak ditandai
+  assert.equal(makeSnippet(['Unrally rally'], searchTerms('rally', 'en')), 'Unrally <mark>rally</mark>');
+  // stem id meleset dari teks (pemerintah) → kata aslinya tetap ditandai
+  assert.equal(makeSnippet(['Kebijakan pemerintah baru'], searchTerms('pemerintah', 'id')), 'Kebijakan <mark>pemerintah</mark> baru');
+  // bentuk berimbuhan di teks ikut ditandai lewat stem
+  assert.equal(makeSnippet(['Harga emas naik, kenaikan berlanjut'], searchTerms('kenaikan', 'id')),
+    'Harga emas <mark>naik</mark>, <mark>kenaikan</mark> berlanjut');
+});
+
+test('snippet without hits or terms falls back to escaped leading text', () => {
+  assert.equal(makeSnippet(['', '<i>Gold</i> steady'], searchTerms('silver', 'en')), '&lt;i&gt;Gold&lt;/i&gt; steady');
+  assert.equal(makeSnippet('a'.repeat(300), [], { radius: 10 }), 'a'.repeat(20));
+  assert.equal(escapeHtml('<a href="x">&</a>'), '&lt;a href=&quot;x&quot;&gt;&amp;&lt;/a&gt;');
+});
@@ -0,0 +1,83 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const Redis = require('ioredis-mock');
+const { simhash, hammingDistance } = require('../services/simhash');
+const { nearestStory, claimStoryPush, PUSH_CLAIM_TTL_SECONDS } = require('../services/storyClusters');
+
+// ambang default STORY_CLUSTER_MAX_DISTANCE
+const MAX_DISTANCE = 4;
+
+const GOLD_BODY = `Gold prices climbed during the Asian session on Tuesday as the US dollar weakened after softer
+inflation data raised expectations that the Federal Reserve could begin cutting interest rates in September.
+Spot gold traded near 2,350 dollars per ounce while silver also advanced. Analysts said demand from central
+banks continued to support bullion, although profit taking could limit gains ahead of the retail sales report.`;
+
+const OIL_BODY = `Oil prices fell for a third straight day as rising US crude inventories and worries about slowing
+demand in China outweighed supply cuts by OPEC and its allies. Brent crude slipped below 82 dollars a barrel and
+West Texas Intermediate dropped toward 78 dollars, with traders watching refinery data and hurricane forecasts.`;
+
+const RUPIAH_BODY = `Rupiah melemah terhadap dolar AS pada perdagangan Selasa pagi seiring penguatan imbal hasil obligasi
+pemerintah Amerika Serikat. Bank Indonesia diperkirakan kembali melakukan intervensi di pasar valas dan pasar
+obligasi untuk menjaga stabilitas nilai tukar menjelang rilis data neraca perdagangan pekan ini.`;
+
+const gold = simhash('Gold Rises as Dollar Weakens After Soft US Inflation Data', GOLD_BODY);
+const goldEdited = simhash('Gold Rises As Dollar Weakens After Softer US Inflation Data', GOLD_BODY);
+const goldRetitled = simhash('UPDATE 1-Gold rises as dollar weakens after soft US inflation data', GOLD_BODY);
+const oil = simhash('Oil Extends Losses on Rising US Inventories', OIL_BODY);
+const rupiah = simhash('Rupiah Melemah Tertekan Yield Obligasi AS', RUPIAH_BODY);
+
+test('simhash is a stable 64-bit hex fingerprint, null for short text', () => {
+  assert.match(gold, /^[0-9a-f]{16}$/);
+  assert.equal(simhash('Gold Rises as Dollar Weakens After Soft US Inflation Data', GOLD_BODY), gold);
+  assert.equal(simhash('Gold up', ''), null);
+  assert.equal(hammingDistance(gold, null), null);
+  assert.equal(hammingDistance(gold, gold), 0);
+  assert.equal(hammingDistance('0000000000000000', 'ffffffffffffffff'), 64);
+});
+
+test('near-duplicate titles land within the Hamming threshold', () => {
+  assert.ok(hammingDistance(gold, goldEdited) <= MAX_DISTANCE, `edited title: ${hammingDistance(gold, goldEdited)}`);
+  assert.ok(hammingDistance(gold, goldRetitled) <= MAX_DISTANCE, `retitled: ${hammingDistance(gold, goldRetitled)}`);
+  // URL / tanda baca / huruf besar-kecil tidak mengubah fingerprint
+  assert.equal(simhash('GOLD rises, as dollar weakens after soft US inflation data!', `${GOLD_BODY} https://example.com/x`), gold);
+});
+
+test('different stories stay well above the threshold', () => {
+  for (const [a, b] of [[gold, oil], [gold, rupiah], [oil, rupiah]]) {
+    assert.ok(hammingDistance(a, b) > MAX_DISTANCE * 2, `distance ${hammingDistance(a, b)}`);
+  }
+});
+
+test('nearestStory joins the closest existing cluster within the threshold', () => {
+  const candidates = [
+    { id: 10, simhash: oil, story_cluster_id: 10 },
+    { id: 11, simhash: gold, story_cluster_id: null }, // anggota pertama: cluster = id sendiri
+    { id: 12, simhash: rupiah, story_cluster_id: 12 },
+  ];
+  assert.deepEqual(nearestStory(goldEdited, candidates, MAX_DISTANCE),
+    { id: 11, clusterId: 11, distance: hammingDistance(goldEdited, gold) });
+  assert.equal(nearestStory(goldEdited, candidates.filter((c) => c.id !== 11), MAX_DISTANCE), null);
+  assert.equal(nearestStory(goldEdited, [{ id: 13, simhash: null }], MAX_DISTANCE), null);
+
+  // anggota yang sudah ber-cluster → ikut cluster-nya, bukan id-nya
+  const joined = nearestStory(goldRetitled, [{ id: 14, simhash: gold, story_cluster_id: 11 }], MAX_DISTANCE);
+  assert.equal(joined.clusterId, 11);
+});
+
+test('only the first member of a story cluster is pushed', async () => {
+  const redis = new Redis();
+  // #11 tidak punya tetangga → cluster baru; #14 (judul diedit) masuk cluster #11
+  assert.equal(nearestStory(gold, [{ id: 10, simhash: oil, story_cluster_id: 10 }], MAX_DISTANCE), null);
+  const second = nearestStory(goldEdited, [{ id: 11, simhash: gold, story_cluster_id: 11 }], MAX_DISTANCE);
+  assert.equal(await claimStoryPush(redis, { lang: 'en', clusterId: 11, id: 11 }), null, 'first member is pushed');
+  assert.equal(await claimStoryPush(redis, { lang: 'en', clusterId: second.clusterId, id: 14 }), 11, 'second member is a duplicate of #11');
+  assert.equal(await claimStoryPush(redis, { lang: 'en', clusterId: 11, id: 15 }), 11);
+  // retry job push yang sama tidak dianggap duplikat
+  assert.equal(await claimStoryPush(redis, { lang: 'en', clusterId: 11, id: 11 }), null);
+  // cluster lain / bahasa lain punya klaim sendiri
+  assert.equal(await claimStoryPush(redis, { lang: 'en', clusterId: 10, id: 10 }), null);
+  assert.equal(await claimStoryPush(redis, { lang: 'id', clusterId: 11, id: 21 }), null);
+
+  const ttl = await redis.ttl('push:story:en:11');
+  assert.ok(ttl > 0 && ttl <= PUSH_CLAIM_TTL_SECONDS);
+});